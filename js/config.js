@@ -7,7 +7,7 @@
 
 export const CONFIG = {
     // Business Constants
-    MONTHLY_RATE: 50000,              // ₪ per month per employee
+    MONTHLY_RATE: 50000,              // ₪ per month per employee (fallback when the rate table has no match)
     WORKING_DAYS_PER_MONTH: 20,       // Working days
     EXPECTED_DAILY_HOURS: 8,          // Expected hours per day
     
@@ -15,15 +15,38 @@ export const CONFIG = {
     BUDGET_WARNING_THRESHOLD: 90,     // % - yellow warning
     BUDGET_OVERRUN_THRESHOLD: 100,    // % - red danger
     MIN_INVESTMENT_PERCENT: 60,       // Minimum investment %
+    RECONCILIATION_GAP_PERCENT: 20,   // % - Atlas actual vs hours cost gap counted as large
+    RECONCILIATION_MIN_GAP: 5000,     // ₪ - ...and only when at least this amount
+    FORECAST_MIN_HISTORY_DAYS: 14,    // Days of Atlas snapshot history needed for a burn rate
+    FORECAST_HOURS_MONTHS: 3,         // Complete months of hours cost averaged for a burn rate
+    PLAN_VARIANCE_PERCENT: 20,        // % - plan vs actual variance flagged in the capacity plan view
+    TEAM_COMPARISON_TOP_TASKS: 3,     // Tasks with the most hours listed per team in the team comparison
     
     // Hours Exceptions
     MAX_DAILY_HOURS: 10,              // Flag if more
     MIN_DAILY_HOURS: 6,               // Flag if less
+    WORKING_WEEKDAYS: [0, 1, 2, 3, 4], // Sun-Thu (Date.getDay)
     
     // UI Settings
     TABLE_PAGE_SIZE: 100,             // Rows per page
     SEARCH_DEBOUNCE_MS: 300,          // Search delay
     MAX_MATRIX_TASKS: 20,             // Max tasks in heatmap
+    MAX_CHART_TASKS: 15,              // Max tasks in hours bar chart
+    STORAGE_WARNING_PERCENT: 80,      // Warn when browser storage usage is above this %
+    HEADER_SCAN_ROWS: 20,             // Rows scanned (and previewed) for the header row
+    FILE_WATCH_INTERVAL_MS: 5000,     // How often linked files on disk are checked for changes
+
+    // Chart Colors (FIBI DSM)
+    CHART_COLORS: {
+        INVESTMENT: '#059669',
+        EXPENSE: '#d97706',
+        ABSENCE: '#9ca3af',
+        OTHER: '#CED4E0',
+        BUDGET: '#18285f',
+        ACTUAL: '#ffc10e',
+        HOURS_COST: '#0284c7',
+        OVERRUN: '#EA454F'
+    },
     
     // Excluded Employees (by ID)
     EXCLUDED_EMPLOYEE_IDS: ['158429'],
@@ -55,6 +78,53 @@ export const CONFIG = {
         STATUS: ['סטטוס', 'Status']
     },
     
+    // Column Mappings - Rate table import (monthly or hourly rate)
+    RATE_COLUMNS: {
+        EMPLOYEE_TYPE: ['סוג עובד', 'סוג  עובד', 'Employee Type'],
+        EMPLOYEE_ID: ['מספר עובד', 'EmployeeId', 'Employee ID'],
+        MONTHLY_RATE: ['תעריף חודשי', 'עלות חודשית', 'Monthly Rate'],
+        HOURLY_RATE: ['תעריף שעתי', 'עלות שעתית', 'Hourly Rate'],
+        EFFECTIVE_FROM: ['בתוקף מ', 'מתאריך', 'תאריך תחילה', 'Effective From']
+    },
+
+    // Column Mappings - Capacity plan import (planned hours per employee, requirement/task and month)
+    PLAN_COLUMNS: {
+        EMPLOYEE_ID: ['מספר עובד', 'EmployeeId', 'Employee ID'],
+        EMPLOYEE_NAME: ['שם עובד', 'שם משפחה + פרטי', 'Employee Name', 'Employee'],
+        REQUIREMENT: ['מספר דרישה', 'דרישה', 'Requirement'],
+        TASK: ['משימה', 'Task'],
+        MONTH: ['חודש', 'Month'],
+        HOURS: ['שעות מתוכננות', 'שעות', 'Planned Hours', 'Hours']
+    },
+
+    // Fields that must be mapped before a file can be imported
+    REQUIRED_COLUMNS: {
+        hours: ['EMPLOYEE_NAME', 'HOURS'],
+        requirements: ['ID'],
+        rates: [],
+        plan: []
+    },
+
+    // Field labels for the column-mapping screen
+    COLUMN_LABELS: {
+        EMPLOYEE_NAME: 'שם עובד',
+        EMPLOYEE_ID: 'מספר עובד',
+        EMPLOYEE_TYPE: 'סוג עובד',
+        DATE: 'תאריך',
+        HOURS: 'שעות',
+        ACTIVITY: 'פעילות',
+        SUB_ACTIVITY: 'פעילות משנה',
+        SUB_SUB_ACTIVITY: 'תת פעילות',
+        TASK: 'משימה',
+        CLASSIFICATION: 'סיווג חשבונאי',
+        ID: 'מספר דרישה',
+        NAME: 'שם דרישה',
+        BUDGET: 'תקציב',
+        ACTUAL: 'ביצוע',
+        REQUESTER: 'דורש',
+        STATUS: 'סטטוס'
+    },
+
     // Work Types (for classification)
     WORK_TYPES: {
         INVESTMENT: ['השקעה', 'השקעות', 'פיתוח', 'Investment', 'Investments', 'Development'],
@@ -16,6 +16,15 @@ import { UIRenderer } from './modules/ui-renderer.js';
 import { Exporter } from './modules/exporter.js';
 import { GlobalSearch } from './modules/global-search.js';
 import { TeamFilter } from './modules/team-filter.js';
+import { DateFilter } from './modules/date-filter.js';
+import { SnapshotManager, CURRENT_SNAPSHOT_ID } from './modules/snapshot-manager.js';
+import { DataWorkerClient } from './modules/data-worker-client.js';
+import { FileWatcher, LINK_STATUS } from './modules/file-watcher.js';
+import { ClassificationRules } from './modules/classification-rules.js';
+import { RequirementMatcher } from './modules/requirement-matcher.js';
+import { RateTable } from './modules/rate-table.js';
+import { CapacityPlan } from './modules/capacity-plan.js';
+import { CONFIG } from './config.js';
 
 class DashboardApp {
     constructor() {
@@ -25,6 +34,14 @@ class DashboardApp {
         this.exporter = new Exporter();
         this.globalSearch = new GlobalSearch(this.dataProcessor, this.uiRenderer);
         this.teamFilter = new TeamFilter();
+        this.dateFilter = new DateFilter();
+        this.snapshotManager = new SnapshotManager(this.fileHandler.storage);
+        this.dataWorker = new DataWorkerClient();
+        this.fileWatcher = new FileWatcher(this.fileHandler.storage);
+        this.classificationRules = new ClassificationRules();
+        this.requirementMatcher = new RequirementMatcher();
+        this.rateTable = new RateTable();
+        this.capacityPlan = new CapacityPlan();
 
         this.init();
     }
@@ -35,14 +52,35 @@ class DashboardApp {
     init() {
         console.log('🚀 Dashboard initializing...');
 
+        // Pass filters to data processor (before stored data is loaded)
+        this.dataProcessor.setTeamFilter(this.teamFilter);
+        this.dataProcessor.setDateFilter(this.dateFilter);
+        this.classificationRules.load();
+        this.dataProcessor.setClassificationRules(this.classificationRules);
+        this.requirementMatcher.load();
+        this.dataProcessor.setRequirementMatcher(this.requirementMatcher);
+        this.rateTable.load();
+        this.dataProcessor.setRateTable(this.rateTable);
+        this.capacityPlan.load();
+        this.dataProcessor.setCapacityPlan(this.capacityPlan);
+        this.dateFilter.init(this.onDateRangeChange.bind(this));
+
+        // XLSX parsing and hours processing run in the data worker
+        this.dataProcessor.setWorker(this.dataWorker);
+        this.fileHandler.setWorker(this.dataWorker);
+
         // Initialize modules
-        this.fileHandler.init(this.onDataLoaded.bind(this));
+        this.fileHandler.init(this.onDataLoaded.bind(this), {
+            columnMapping: (request) => this.uiRenderer.showColumnMappingModal(request),
+            sheetChoice: (request) => this.uiRenderer.showSheetPickerModal(request)
+        });
         this.uiRenderer.init();
         this.globalSearch.init();
-        this.teamFilter.init(this.onTeamChange.bind(this));
-
-        // Pass team filter to data processor
-        this.dataProcessor.setTeamFilter(this.teamFilter);
+        this.teamFilter.init(this.onTeamChange.bind(this)).then(() => this.updateTeamCoverageCount());
+        this.snapshotManager.load()
+            .then(() => this.onSnapshotsChanged())
+            .catch(error => console.error('Failed to load snapshots:', error));
+        this.initFileLinks();
 
         // Expose for global access (for onclick handlers)
         window.app = this;
@@ -53,57 +91,77 @@ class DashboardApp {
     /**
      * Handle team change
      */
-    onTeamChange(teamId) {
+    async onTeamChange(teamId) {
         console.log(`🔄 Team changed to: ${teamId}`);
 
         // Refresh all data displays
         if (this.dataProcessor.hoursData && this.dataProcessor.hoursData.length > 0) {
+            await this.dataProcessor.applyFilters();
             this.refreshAllDisplays();
         }
     }
 
     /**
-     * Refresh all displays with current team filter
+     * Handle date range change
+     */
+    async onDateRangeChange(range) {
+        console.log(`🔄 Date range changed to: ${range.preset}`);
+
+        // Summaries are built from in-range hours
+        await this.dataProcessor.applyFilters();
+
+        if (this.dataProcessor.hoursData && this.dataProcessor.hoursData.length > 0) {
+            this.refreshAllDisplays();
+        }
+    }
+
+    /**
+     * Refresh all displays with current team and date filters
      */
     refreshAllDisplays() {
-        const currentTab = this.uiRenderer.currentTab;
+        // Refresh employees tab
+        const employees = this.dataProcessor.getEmployeesArray();
+        this.uiRenderer.renderEmployeesTable(employees);
 
-        if (currentTab === 'employees') {
-            // Refresh employees tab
-            const employees = this.dataProcessor.getEmployeesArray();
-            this.uiRenderer.renderEmployeesTable(employees);
+        const employeeKPIs = this.dataProcessor.getEmployeeKPIs();
+        this.uiRenderer.updateEmployeeKPIs(employeeKPIs);
 
-            const employeeKPIs = this.dataProcessor.getEmployeeKPIs();
-            this.uiRenderer.updateEmployeeKPIs(employeeKPIs);
+        const hoursTotals = this.dataProcessor.getHoursTotals();
+        this.uiRenderer.updateEmployeeHoursKPIs(hoursTotals);
 
-            const hoursTotals = this.dataProcessor.getHoursTotals();
-            this.uiRenderer.updateEmployeeHoursKPIs(hoursTotals);
+        this.updateTeamCoverageCount();
 
-            // Update general stats
-            const stats = this.dataProcessor.getStats();
-            this.uiRenderer.updateKPIs(stats);
+        // Update general stats
+        const stats = this.dataProcessor.getStats();
+        this.uiRenderer.updateKPIs(stats);
 
-        } else if (currentTab === 'hours') {
-            // Refresh tasks tab
-            const tasks = this.dataProcessor.getTasksGrouped();
-            this.uiRenderer.renderTasksCards(tasks);
+        // Computed compliance exceptions depend on team and period
+        this.updateExceptionsKPI();
 
-        } else if (currentTab === 'requirements') {
-            // Requirements tab doesn't need team filtering
-            // But we can still refresh it
-            const requirements = this.dataProcessor.getRequirements();
-            this.uiRenderer.renderRequirementsTable(requirements);
-        }
+        this.renderMonthlyTrend();
+
+        // Refresh tasks tab
+        const tasks = this.dataProcessor.getTasksGrouped();
+        this.uiRenderer.renderTasksCards(tasks);
+
+        // Requirements aren't team filtered, but linked hours follow the period
+        const currentFilter = this.uiRenderer.currentRequirementsFilter || 'all';
+        const requirements = this.dataProcessor.filterRequirements(currentFilter);
+        this.uiRenderer.renderRequirementsTable(requirements);
     }
 
     /**
      * Callback when file data is loaded
+     * @param {Function} onProgress - Optional (label, percent) callback shown in the drop zone
      */
-    onDataLoaded(type, data) {
+    async onDataLoaded(type, data, onProgress = null) {
         console.log(`📊 Data loaded: ${type}`, data.length, 'rows');
 
-        // Process data
-        const stats = this.dataProcessor.updateData(type, data);
+        // Process data (hours in the data worker)
+        const stats = await this.dataProcessor.updateData(type, data, onProgress);
+
+        // Validation report (summary toast only for new imports, not stored data)
+        this.updateImportReport(type, !data.restored);
 
         // Update UI
         this.uiRenderer.updateKPIs(stats);
@@ -125,22 +183,16 @@ class DashboardApp {
             const hoursTotals = this.dataProcessor.getHoursTotals();
             this.uiRenderer.updateEmployeeHoursKPIs(hoursTotals);
 
-            // Update Exceptions KPI (Sheet 2) & Render Modal if needed
-            const exceptions = this.dataProcessor.getExceptions();
+            // Update Exceptions KPI (Sheet 2 + computed compliance)
+            this.updateExceptionsKPI();
 
-            // Count unique employees for KPI
-            const uniqueExceptions = new Set();
-            exceptions.forEach(ex => {
-                // Try to find a unique identifier
-                const id = Object.keys(ex).find(k => k.includes('מספר') || k.includes('ID') || k.includes('id'));
-                const name = Object.keys(ex).find(k => k.includes('שם') || k.includes('Name') || k.includes('Employee'));
+            this.renderMonthlyTrend();
 
-                const uniqueKey = id ? ex[id] : (name ? ex[name] : null);
-                if (uniqueKey) uniqueExceptions.add(uniqueKey);
-            });
-
-            const exceptionsCount = uniqueExceptions.size;
-            this.uiRenderer.updateExceptionsKPI(exceptionsCount);
+            // New hires are in the full view only until assigned to a team
+            const unassigned = this.updateTeamCoverageCount();
+            if (unassigned > 0 && !data.restored && this.teamFilter.getAllTeams().length > 1) {
+                this.uiRenderer.showToast(`${unassigned} עובדים בקובץ השעות אינם משויכים לצוות - ראה "שיוך לצוותים" בלשונית העובדים`, 'info');
+            }
 
         } else if (type === 'requirements') {
             // Render table with all requirements
@@ -159,6 +211,713 @@ class DashboardApp {
         }
     }
 
+    /**
+     * Update import report button and announce the report of a new import
+     */
+    updateImportReport(type, announce) {
+        const reports = this.getImportReports();
+        this.uiRenderer.updateImportReportButton(reports.length > 0, reports.some(({ report }) => report.hasIssues()));
+
+        const report = this.dataProcessor.getImportReport(type);
+        if (!announce || !report || report.rowsRead === 0) return;
+
+        const summary = report.getSummary();
+        const label = type === 'hours' ? 'שעות' : 'דרישות';
+        const issueCount = report.issues.length + summary.unknownClassificationRows;
+        const message = `ייבוא ${label}: נקראו ${summary.rowsRead.toLocaleString('he-IL')} שורות, נשמרו ${summary.rowsKept.toLocaleString('he-IL')}`;
+
+        if (report.hasIssues()) {
+            this.uiRenderer.showToast(`${message} · ${issueCount.toLocaleString('he-IL')} הערות - ראו דוח ייבוא 🧾`, 'error');
+        } else {
+            this.uiRenderer.showToast(message, 'success');
+        }
+    }
+
+    /**
+     * Get available import reports: [{ title, report }]
+     */
+    getImportReports() {
+        return [
+            { title: 'קובץ שעות', report: this.dataProcessor.getImportReport('hours') },
+            { title: 'קובץ דרישות', report: this.dataProcessor.getImportReport('requirements') }
+        ].filter(({ report }) => report && report.rowsRead > 0);
+    }
+
+    /**
+     * Show import validation report (header button)
+     */
+    showImportReport() {
+        const reports = this.getImportReports();
+        if (reports.length === 0) {
+            this.uiRenderer.showToast('אין דוח ייבוא להצגה', 'info');
+            return;
+        }
+        this.uiRenderer.showImportReportModal(reports);
+    }
+
+    /**
+     * Export import validation report to Excel (one sheet per section)
+     */
+    exportImportReportExcel() {
+        const sheets = this.getImportReports().flatMap(({ title, report }) =>
+            report.toSheets().map(sheet => ({ ...sheet, name: `${title.replace('קובץ ', '')} - ${sheet.name}` }))
+        );
+        this.exporter.exportSheetsToExcel(sheets, 'import-report');
+    }
+
+    /**
+     * Update Exceptions KPI - counts unique employees with exceptions
+     */
+    updateExceptionsKPI() {
+        const exceptions = this.dataProcessor.getExceptions();
+
+        const uniqueExceptions = new Set();
+        exceptions.forEach(ex => {
+            // Try to find a unique identifier
+            const id = Object.keys(ex).find(k => k.includes('מספר') || k.includes('ID') || k.includes('id'));
+            const name = Object.keys(ex).find(k => k.includes('שם') || k.includes('Name') || k.includes('Employee'));
+
+            const uniqueKey = id ? ex[id] : (name ? ex[name] : null);
+            if (uniqueKey) uniqueExceptions.add(uniqueKey);
+        });
+
+        this.uiRenderer.updateExceptionsKPI(uniqueExceptions.size);
+    }
+
+    /**
+     * Render monthly trend for the selected team
+     */
+    renderMonthlyTrend() {
+        const trend = this.dataProcessor.getMonthlyTrend();
+        const team = this.teamFilter.getCurrentTeamData();
+        this.uiRenderer.renderMonthlyTrend(trend, team ? team.name : '');
+    }
+
+    /**
+     * Show loaded hours files (called from header button)
+     */
+    showHoursSources() {
+        const sources = this.dataProcessor.getSourceFilesSummary();
+        if (sources.length === 0) {
+            this.uiRenderer.showToast('לא נטענו קבצי שעות', 'info');
+            return;
+        }
+        this.uiRenderer.showHoursSourcesModal(sources);
+    }
+
+    /**
+     * Remove a single hours file (called from sources modal)
+     */
+    async removeHoursSource(name) {
+        await this.fileHandler.removeHoursSource(name);
+
+        if (this.dataProcessor.getSourceFilesSummary().length > 0) {
+            this.showHoursSources();
+        } else {
+            this.uiRenderer.hideEmployeeListModal();
+        }
+    }
+
+    /**
+     * Edit column mapping of loaded data (requirements button / sources modal)
+     */
+    async editColumnMapping(type, sourceName) {
+        const hasData = type === 'hours'
+            ? this.fileHandler.hoursSources.length > 0
+            : this.fileHandler.requirementsData.length > 0;
+
+        if (!hasData) {
+            this.uiRenderer.showToast(type === 'hours' ? 'לא נטענו קבצי שעות' : 'לא נטען קובץ דרישות', 'info');
+            return;
+        }
+
+        this.uiRenderer.hideEmployeeListModal();
+        await this.fileHandler.editColumnMapping(type, sourceName);
+    }
+
+    /**
+     * Edit work type classification rules (header button) and reclassify the loaded hours
+     */
+    async editClassificationRules() {
+        const hasHours = this.dataProcessor.processedHours.length > 0;
+        const rules = await this.uiRenderer.showClassificationRulesModal({
+            rules: this.classificationRules.getRules(),
+            defaults: this.classificationRules.getDefaultRules(),
+            validate: (rule) => this.classificationRules.validateRule(rule),
+            preview: (draft) => hasHours ? this.dataProcessor.previewClassificationRules(draft) : null
+        });
+        if (!rules) return;
+
+        this.classificationRules.setRules(rules);
+        this.classificationRules.save();
+
+        if (this.fileHandler.hoursSources.length === 0) {
+            this.uiRenderer.showToast('כללי הסיווג נשמרו', 'success');
+            return;
+        }
+
+        if (await this.fileHandler.processHoursSources([...this.fileHandler.hoursSources], true)) {
+            this.uiRenderer.showToast('כללי הסיווג נשמרו והשעות סווגו מחדש', 'success');
+        }
+    }
+
+    /**
+     * Edit requirement number patterns and re-link the loaded hours to requirements
+     */
+    async editRequirementPatterns() {
+        const hasHours = this.dataProcessor.processedHours.length > 0;
+
+        this.uiRenderer.hideEmployeeListModal();
+        const patterns = await this.uiRenderer.showRequirementPatternsModal({
+            patterns: this.requirementMatcher.getPatterns(),
+            defaults: this.requirementMatcher.getDefaultPatterns(),
+            validate: (pattern) => this.requirementMatcher.validatePattern(pattern),
+            preview: (draft) => hasHours ? this.dataProcessor.previewRequirementPatterns(draft) : null
+        });
+        if (!patterns) return;
+
+        this.requirementMatcher.setPatterns(patterns);
+        this.requirementMatcher.save();
+
+        if (this.fileHandler.hoursSources.length === 0) {
+            this.uiRenderer.showToast('תבניות מספר הדרישה נשמרו', 'success');
+            return;
+        }
+
+        if (await this.fileHandler.processHoursSources([...this.fileHandler.hoursSources], true)) {
+            this.uiRenderer.showToast('תבניות מספר הדרישה נשמרו והשעות קושרו מחדש', 'success');
+        }
+    }
+
+    /**
+     * Edit rate table (header button) and recompute hours cost
+     */
+    async editRateTable() {
+        const entries = await this.uiRenderer.showRateTableModal({
+            entries: this.rateTable.getEntries(),
+            monthlyHours: this.rateTable.getMonthlyHours(),
+            validate: (entry) => this.rateTable.validateEntry(entry),
+            importFile: (file) => this.importRateTableFile(file),
+            exportEntries: (draft) => this.exportRateTableExcel(draft)
+        });
+        if (!entries) return;
+
+        this.rateTable.setEntries(entries);
+        this.rateTable.save();
+        this.dataProcessor.linkHoursToRequirements();
+        this.uiRenderer.renderRequirementsTable(this.dataProcessor.filterRequirements(this.uiRenderer.currentRequirementsFilter));
+        this.uiRenderer.showToast(`טבלת התעריפים נשמרה (${entries.length} שורות)`, 'success');
+    }
+
+    /**
+     * Read rate table entries from an Excel file (sheet and header row are detected)
+     * @returns {Promise<Object>} { entries, errors }
+     */
+    async importRateTableFile(file) {
+        this.fileHandler.validateFileType(file);
+
+        const reader = this.fileHandler.sheetReader;
+        const workbook = await this.fileHandler.readWorkbook(file);
+        const analysis = reader.analyzeWorkbook(workbook, 'rates');
+        const sheet = analysis.sheets.find(s => s.name === analysis.dataSheet);
+        if (!sheet || sheet.score === 0) return { entries: [], errors: ['לא נמצאה שורת כותרות עם עמודות תעריף'] };
+
+        const rows = reader.readRows(workbook.Sheets[sheet.name], sheet.headerRow);
+        return this.rateTable.parseRows(
+            rows,
+            (value) => this.dataProcessor.parseDate(value),
+            (value) => this.dataProcessor.normalizeEmployeeType(value)
+        );
+    }
+
+    /**
+     * Export rate table entries to Excel (same columns as the import)
+     */
+    exportRateTableExcel(entries) {
+        this.exporter.exportSheetsToExcel([{
+            name: 'תעריפים',
+            data: entries.map(entry => ({
+                'סוג עובד': entry.employeeType,
+                'מספר עובד': entry.employeeId,
+                'תעריף חודשי': Number(entry.monthlyRate),
+                'בתוקף מ': entry.effectiveFrom
+            }))
+        }], 'rate-table');
+    }
+
+    /**
+     * Show team structure editor (header button)
+     */
+    async editTeams() {
+        const structure = await this.uiRenderer.showTeamsEditorModal({
+            structure: this.teamFilter.teamsData || this.teamFilter.getDefaultTeamsStructure(),
+            employees: this.getHoursEmployees(),
+            isCustomized: this.teamFilter.isCustomized,
+            validate: (data) => this.teamFilter.validateStructure(data),
+            importFile: (file) => this.readTeamsStructureFile(file),
+            loadFileStructure: () => this.teamFilter.fetchTeamsStructure(),
+            exportStructure: (data) => this.exporter.exportJSON(data, 'teams-structure')
+        });
+        if (!structure) return;
+
+        this.teamFilter.setTeamsStructure(structure);
+        this.uiRenderer.showToast(`מבנה הצוותים נשמר (${structure.teams.filter(t => t.id !== 'all').length} צוותים)`, 'success');
+    }
+
+    /**
+     * Employees of the loaded hours (all periods and teams), by name
+     * @returns {Array} [{ id, name, hours }]
+     */
+    getHoursEmployees() {
+        const employees = {};
+        this.dataProcessor.processedHours.forEach(row => {
+            if (!row.employeeId) return;
+            const emp = employees[row.employeeId] = employees[row.employeeId] || { id: row.employeeId, name: row.employee, hours: 0 };
+            emp.hours += row.hours;
+        });
+        return Object.values(employees).sort((a, b) => a.name.localeCompare(b.name, 'he'));
+    }
+
+    /**
+     * Show employees without a team and team members missing from the hours (employees tab)
+     */
+    showTeamCoverage() {
+        const coverage = this.teamFilter.getCoverage(this.getHoursEmployees());
+        const teams = this.teamFilter.getAllTeams().filter(team => team.id !== 'all');
+        this.uiRenderer.showTeamCoverageModal(coverage, teams, this.dataProcessor.processedHours.length > 0);
+    }
+
+    /**
+     * Show team comparison (header button): the units below the selected unit,
+     * or every team when the selection has none below it
+     */
+    showTeamComparison() {
+        const current = this.teamFilter.getCurrentTeamData();
+        const children = current && current.id !== 'all' ? this.teamFilter.getChildren(current.id) : [];
+        const units = this.teamFilter.getTeamsTree().map(node => node.team);
+        const teams = children.length > 0 ? children : units.filter(team => team.type === 'team');
+        const scopeId = children.length > 0 ? current.id : 'all';
+
+        const comparison = this.dataProcessor.getTeamComparison((teams.length > 0 ? teams : units).map(team => team.id), scopeId);
+        this.uiRenderer.showTeamComparisonModal(comparison, children.length > 0 ? current.name : '', this.dataProcessor.processedHours.length > 0);
+    }
+
+    /**
+     * Add employee to team from the coverage view
+     */
+    assignEmployeeToTeam(employeeId, teamId) {
+        this.teamFilter.assignEmployee(employeeId, teamId);
+        const team = this.teamFilter.getTeam(teamId);
+        this.uiRenderer.showToast(`העובד ${employeeId} שויך ל${team.name}`, 'success');
+        this.showTeamCoverage();
+    }
+
+    /**
+     * Remove employee from team from the coverage view
+     */
+    removeEmployeeFromTeam(employeeId, teamId) {
+        this.teamFilter.removeEmployee(employeeId, teamId);
+        const team = this.teamFilter.getTeam(teamId);
+        this.uiRenderer.showToast(`העובד ${employeeId} הוסר מ${team.name}`, 'success');
+        this.showTeamCoverage();
+    }
+
+    /**
+     * Update the unassigned employees count on the employees tab
+     * @returns {Number} Unassigned employees
+     */
+    updateTeamCoverageCount() {
+        const count = this.teamFilter.getCoverage(this.getHoursEmployees()).unassigned.length;
+        this.uiRenderer.setElementText('unassignedEmployeesCount', count);
+        return count;
+    }
+
+    /**
+     * Read and validate a teams structure JSON file
+     */
+    async readTeamsStructureFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('הקובץ אינו JSON תקין');
+        }
+
+        const error = this.teamFilter.validateStructure(data);
+        if (error) throw new Error(error);
+        return this.teamFilter.normalizeStructure(data);
+    }
+
+    /**
+     * Show capacity plan vs actual hours (header button)
+     */
+    showCapacityPlan() {
+        this.uiRenderer.showPlanVarianceModal(this.dataProcessor.getPlanVariance(), this.capacityPlan.getEntries().length);
+    }
+
+    /**
+     * Show capacity plan editor (enter or import planned hours)
+     */
+    async editCapacityPlan() {
+        const employees = {};
+        this.dataProcessor.processedHours.forEach(row => {
+            if (row.employeeId) employees[row.employeeId] = row.employee;
+        });
+
+        const entries = await this.uiRenderer.showCapacityPlanModal({
+            entries: this.capacityPlan.getEntries(),
+            employees: Object.entries(employees).map(([id, name]) => ({ id, name })),
+            requirements: this.dataProcessor.processedRequirements.map(req => ({ id: req.id, name: req.name })),
+            validate: (entry) => this.capacityPlan.validateEntry(entry),
+            importFile: (file) => this.importCapacityPlanFile(file),
+            exportEntries: (draft) => this.exportCapacityPlanExcel(draft)
+        });
+        if (!entries) return;
+
+        this.capacityPlan.setEntries(entries);
+        this.capacityPlan.save();
+        this.uiRenderer.showToast(`התכנון נשמר (${entries.length} שורות)`, 'success');
+        this.showCapacityPlan();
+    }
+
+    /**
+     * Read capacity plan entries from an Excel file (sheet and header row are detected)
+     * @returns {Promise<Object>} { entries, errors }
+     */
+    async importCapacityPlanFile(file) {
+        this.fileHandler.validateFileType(file);
+
+        const reader = this.fileHandler.sheetReader;
+        const workbook = await this.fileHandler.readWorkbook(file);
+        const analysis = reader.analyzeWorkbook(workbook, 'plan');
+        const sheet = analysis.sheets.find(s => s.name === analysis.dataSheet);
+        if (!sheet || sheet.score === 0) return { entries: [], errors: ['לא נמצאה שורת כותרות עם עמודות תכנון'] };
+
+        const rows = reader.readRows(workbook.Sheets[sheet.name], sheet.headerRow);
+        return this.capacityPlan.parseRows(rows, (value) => this.dataProcessor.parseDate(value));
+    }
+
+    /**
+     * Export capacity plan entries to Excel (same columns as the import)
+     */
+    exportCapacityPlanExcel(entries) {
+        this.exporter.exportSheetsToExcel([{
+            name: 'תכנון',
+            data: entries.map(entry => ({
+                'מספר עובד': entry.employeeId,
+                'שם עובד': entry.employee,
+                'מספר דרישה': entry.requirement,
+                'משימה': entry.task,
+                'חודש': entry.month,
+                'שעות מתוכננות': Number(entry.hours)
+            }))
+        }], 'capacity-plan');
+    }
+
+    /**
+     * Show reconciliation of Atlas actual vs hours-derived cost (requirements tab)
+     */
+    showReconciliation() {
+        if (this.dataProcessor.processedRequirements.length === 0) {
+            this.uiRenderer.showToast('לא נטען קובץ דרישות', 'info');
+            return;
+        }
+        this.uiRenderer.showReconciliationModal(this.dataProcessor.getReconciliation());
+    }
+
+    /**
+     * Show hours referencing requirements missing from the requirements file
+     */
+    showUnknownRequirements() {
+        if (this.dataProcessor.processedHours.length === 0) {
+            this.uiRenderer.showToast('לא נטענו קבצי שעות', 'info');
+            return;
+        }
+        this.uiRenderer.showUnknownRequirementsModal(
+            this.dataProcessor.getUnknownRequirementReferences(),
+            this.dataProcessor.processedRequirements.length > 0
+        );
+    }
+
+    /**
+     * Export unknown requirement references to Excel (summary + rows)
+     */
+    exportUnknownRequirementsExcel() {
+        const report = this.dataProcessor.getUnknownRequirementReferences();
+        this.exporter.exportSheetsToExcel([
+            {
+                name: 'סיכום',
+                data: report.requirements.map(entry => ({
+                    'מספר דרישה': entry.requirement,
+                    'שעות': Math.round(entry.hours * 10) / 10,
+                    'שורות': entry.rows,
+                    'עובדים': entry.employees.join(', '),
+                    'דוגמאות': entry.examples.join(' | ')
+                }))
+            },
+            {
+                name: 'שורות',
+                data: report.rows.map(row => ({
+                    'מספר דרישה': row.requirement,
+                    'עובד': row.employee,
+                    'תאריך': this.uiRenderer.formatDate(row.date),
+                    'שעות': row.hours,
+                    'שדה': row.field,
+                    'טקסט': row.text,
+                    'קובץ': row.file,
+                    'שורת נתונים': row.row
+                }))
+            }
+        ], 'unknown-requirements');
+    }
+
+    /**
+     * Check if any dataset is loaded
+     */
+    hasLoadedData() {
+        return this.dataProcessor.processedHours.length > 0 || this.dataProcessor.processedRequirements.length > 0;
+    }
+
+    /**
+     * Show snapshots modal (called from header button)
+     */
+    async showSnapshots() {
+        try {
+            await this.snapshotManager.load();
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+            this.uiRenderer.showToast(`טעינת תמונות המצב נכשלה: ${error.message}`, 'error');
+            return;
+        }
+        this.onSnapshotsChanged();
+        this.uiRenderer.showSnapshotsModal(this.snapshotManager.getSnapshots(), this.hasLoadedData());
+    }
+
+    /**
+     * Save named snapshot of the loaded datasets
+     */
+    async saveSnapshot(name) {
+        if (!this.hasLoadedData()) {
+            this.uiRenderer.showToast('אין נתונים טעונים לשמירה', 'error');
+            return;
+        }
+
+        try {
+            const snapshot = await this.snapshotManager.save(name, {
+                hoursSources: this.fileHandler.hoursSources,
+                requirementsData: this.fileHandler.requirementsData
+            }, this.dataProcessor.getSnapshotSummary());
+
+            this.onSnapshotsChanged();
+            this.uiRenderer.showToast(`תמונת המצב "${snapshot.name}" נשמרה`, 'success');
+            this.uiRenderer.showSnapshotsModal(this.snapshotManager.getSnapshots(), true);
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            this.uiRenderer.showToast(`שמירת תמונת המצב נכשלה: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Delete snapshot
+     */
+    async deleteSnapshot(id) {
+        try {
+            await this.snapshotManager.remove(id);
+            this.onSnapshotsChanged();
+            this.uiRenderer.showSnapshotsModal(this.snapshotManager.getSnapshots(), this.hasLoadedData());
+        } catch (error) {
+            console.error('Failed to delete snapshot:', error);
+            this.uiRenderer.showToast(`מחיקת תמונת המצב נכשלה: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Snapshots are the Atlas spend history - refresh forecasts and the requirements table
+     */
+    onSnapshotsChanged() {
+        this.dataProcessor.setSpendHistory(this.snapshotManager.getSnapshots());
+        this.uiRenderer.renderRequirementsTable(this.dataProcessor.filterRequirements(this.uiRenderer.currentRequirementsFilter));
+    }
+
+    /**
+     * Load snapshot datasets as the current data
+     */
+    async restoreSnapshot(id) {
+        const snapshot = this.snapshotManager.getSnapshot(id);
+        if (!snapshot) return;
+
+        this.uiRenderer.hideEmployeeListModal();
+        await this.fileHandler.restoreDatasets(snapshot.hoursSources, snapshot.requirementsData);
+        this.uiRenderer.showToast(`נטענה תמונת המצב "${snapshot.name}"`, 'success');
+    }
+
+    /**
+     * Compare two snapshots ('current' = loaded data)
+     */
+    compareSnapshots(baseId, targetId) {
+        if (baseId === targetId) {
+            this.uiRenderer.showToast('יש לבחור שתי תמונות מצב שונות', 'error');
+            return;
+        }
+
+        const resolve = (id) => {
+            if (id === CURRENT_SNAPSHOT_ID) {
+                return { name: 'נתונים נוכחיים', summary: this.dataProcessor.getSnapshotSummary() };
+            }
+            return this.snapshotManager.getSnapshot(id);
+        };
+
+        const base = resolve(baseId);
+        const target = resolve(targetId);
+        if (!base || !target) return;
+
+        const comparison = this.snapshotManager.compare(base.summary, target.summary);
+        this.uiRenderer.showSnapshotComparisonModal(comparison, base.name, target.name);
+    }
+
+    /**
+     * Start watching linked files (File System Access API, Chromium only)
+     */
+    initFileLinks() {
+        const supported = this.fileWatcher.isSupported();
+        document.getElementById('fileLinksBtn')?.classList.toggle('hidden', !supported);
+        if (!supported) return;
+
+        this.fileWatcher.init(this.onLinkedFileStatus.bind(this))
+            .catch(error => console.error('Failed to start file watcher:', error));
+    }
+
+    /**
+     * Handle linked file status change: auto re-import, or badge for one-click reload
+     */
+    onLinkedFileStatus(type, link) {
+        if (link.status === LINK_STATUS.CHANGED && link.autoReload) {
+            if (this.fileHandler.isBusy()) {
+                // Retry once the running import (or its prompt) is done
+                setTimeout(() => {
+                    const current = this.fileWatcher.getLink(type);
+                    if (current && current.status === LINK_STATUS.CHANGED) this.onLinkedFileStatus(type, current);
+                }, CONFIG.FILE_WATCH_INTERVAL_MS);
+            } else {
+                this.reloadLinkedFile(type, false);
+            }
+            return;
+        }
+
+        this.updateLinkBadge(type, link);
+    }
+
+    /**
+     * Show drop zone badge for a linked file that needs attention
+     */
+    updateLinkBadge(type, link) {
+        const badges = {
+            [LINK_STATUS.CHANGED]: ['↻', `${link.name} השתנה - לחץ לטעינה מחדש`],
+            [LINK_STATUS.PERMISSION]: ['🔗', `אשר גישה לקובץ המקושר ${link.name}`],
+            [LINK_STATUS.MISSING]: ['⚠', `הקובץ המקושר ${link.name} לא נמצא`]
+        };
+        const badge = link ? badges[link.status] : null;
+
+        if (!badge) {
+            this.fileHandler.setLinkBadge(type, null);
+            return;
+        }
+
+        this.fileHandler.setLinkBadge(type, badge[0], badge[1], () => {
+            if (link.status === LINK_STATUS.MISSING) {
+                this.showFileLinks();
+            } else {
+                this.reloadLinkedFile(type);
+            }
+        });
+    }
+
+    /**
+     * Show linked files modal (called from header button)
+     */
+    showFileLinks() {
+        this.uiRenderer.showFileLinksModal({
+            hours: this.fileWatcher.getLink('hours'),
+            requirements: this.fileWatcher.getLink('requirements')
+        });
+    }
+
+    /**
+     * Pick a file on disk, link it to the dataset type and import it
+     */
+    async linkFile(type) {
+        try {
+            const file = await this.fileWatcher.link(type);
+            if (!file) return;
+            this.uiRenderer.hideEmployeeListModal();
+            this.updateLinkBadge(type, null);
+            if (await this.fileHandler.handleFiles([file], type)) {
+                await this.fileWatcher.markLoaded(type, file);
+            } else {
+                this.updateLinkBadge(type, this.fileWatcher.getLink(type));
+            }
+        } catch (error) {
+            console.error('Failed to link file:', error);
+            this.uiRenderer.showToast(`קישור הקובץ נכשל: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Re-import a linked file (same path as a drop: remembered mappings apply, team filter is kept)
+     * A failed or cancelled import leaves the link changed, with its reload badge
+     * @param {Boolean} requestPermission - Ask for read permission (only from a click)
+     */
+    async reloadLinkedFile(type, requestPermission = true) {
+        const link = this.fileWatcher.getLink(type);
+        if (!link) return;
+
+        try {
+            const file = await this.fileWatcher.readFile(type, requestPermission);
+            if (!file) {
+                if (requestPermission) this.uiRenderer.showToast(`אין הרשאת קריאה לקובץ ${link.name}`, 'error');
+                return;
+            }
+            this.uiRenderer.hideEmployeeListModal();
+            this.updateLinkBadge(type, null);
+            if (!await this.fileHandler.handleFiles([file], type)) {
+                // The import already reported why
+                this.updateLinkBadge(type, link);
+                return;
+            }
+            await this.fileWatcher.markLoaded(type, file);
+            this.uiRenderer.showToast(`${link.name} נטען מחדש`, 'success');
+        } catch (error) {
+            console.error('Failed to reload linked file:', error);
+            this.uiRenderer.showToast(`טעינת ${link.name} נכשלה: ${error.message}`, 'error');
+            this.updateLinkBadge(type, link);
+        }
+    }
+
+    /**
+     * Remove file link
+     */
+    async unlinkFile(type) {
+        try {
+            await this.fileWatcher.unlink(type);
+            this.updateLinkBadge(type, null);
+            this.showFileLinks();
+        } catch (error) {
+            console.error('Failed to unlink file:', error);
+            this.uiRenderer.showToast(`ניתוק הקובץ נכשל: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Toggle automatic re-import of a linked file
+     */
+    async setLinkAutoReload(type, enabled) {
+        await this.fileWatcher.setAutoReload(type, enabled);
+        const link = this.fileWatcher.getLink(type);
+        if (enabled && link && link.status === LINK_STATUS.CHANGED) {
+            this.reloadLinkedFile(type, false);
+        }
+    }
+
     /**
      * Clear file (called from UI)
      */
@@ -363,7 +1122,8 @@ class DashboardApp {
             'active': 'פעיל',
             'backlog': 'Backlog',
             'done': 'בוצע',
-            'overbudget': 'חריגה'
+            'overbudget': 'חריגה',
+            'projectedOverrun': 'צפי חריגה'
         };
         return names[filter] || filter;
     }
@@ -452,6 +1212,64 @@ class DashboardApp {
         });
     }
 
+    /**
+     * Get monthly trend rows formatted for export
+     */
+    getMonthlyTrendExportData() {
+        return this.dataProcessor.getMonthlyTrend().map(m => ({
+            'חודש': this.uiRenderer.formatMonth(m.monthKey),
+            'סה"כ שעות': Math.round(m.totalHours * 10) / 10,
+            'שעות השקעה': Math.round(m.investmentHours * 10) / 10,
+            'השקעה %': m.investmentPercent.toFixed(1) + '%',
+            'שעות הוצאה': Math.round(m.expenseHours * 10) / 10,
+            'הוצאה %': m.expensePercent.toFixed(1) + '%',
+            'שעות היעדרות': Math.round(m.absenceHours * 10) / 10,
+            'היעדרות %': m.absencePercent.toFixed(1) + '%'
+        }));
+    }
+
+    /**
+     * Export monthly trend to Excel
+     */
+    exportMonthlyTrendExcel() {
+        const data = this.getMonthlyTrendExportData();
+        if (data.length === 0) {
+            this.uiRenderer.showToast('אין נתוני מגמה לייצוא', 'error');
+            return;
+        }
+        this.exporter.exportToExcel(data, 'monthly-trend', 'מגמה חודשית');
+    }
+
+    /**
+     * Export monthly trend to PDF
+     */
+    exportMonthlyTrendPDF() {
+        const data = this.getMonthlyTrendExportData();
+        if (data.length === 0) {
+            this.uiRenderer.showToast('אין נתוני מגמה לייצוא', 'error');
+            return;
+        }
+
+        const columns = Object.keys(data[0]).map(key => ({ header: key, dataKey: key }));
+        this.exporter.exportToPDF({
+            data,
+            columns,
+            title: 'מגמה חודשית',
+            filename: 'monthly-trend'
+        });
+    }
+
+    /**
+     * Export monthly trend to HTML Clipboard
+     */
+    exportMonthlyTrendHTML() {
+        if (this.dataProcessor.getMonthlyTrend().length === 0) {
+            this.uiRenderer.showToast('אין נתוני מגמה לייצוא', 'error');
+            return;
+        }
+        this.exporter.exportToHTMLClipboard('monthlyTrendTable');
+    }
+
     /**
      * Export employees to HTML Clipboard
      */
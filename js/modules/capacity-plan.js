@@ -0,0 +1,314 @@
+/**
+ * ============================================
+ * Capacity Plan Module
+ * ============================================
+ * Planned hours per employee, per requirement (or task) and month,
+ * and their variance against the actual hours reported in Snow.
+ * An employee is matched by ID when the entry has one, else by name;
+ * a plan target by requirement number when the entry has one, else by task name.
+ */
+
+import { ColumnMapper } from './column-mapper.js';
+
+const STORAGE_KEY = 'matafOS_capacityPlan';
+
+export const NO_TEAM_LABEL = 'ללא צוות';
+
+export class CapacityPlan {
+    constructor() {
+        this.entries = [];  // [{ employeeId, employee, requirement, task, month, hours }]
+        this.columnMapper = new ColumnMapper();
+    }
+
+    /**
+     * Get entries
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Replace entries (invalid entries are dropped)
+     */
+    setEntries(entries) {
+        this.entries = (entries || [])
+            .filter(entry => !this.validateEntry(entry))
+            .map(entry => ({
+                employeeId: String(entry.employeeId || '').trim(),
+                employee: String(entry.employee || '').trim(),
+                requirement: String(entry.requirement || '').trim(),
+                task: String(entry.task || '').trim(),
+                month: entry.month,
+                hours: Number(entry.hours)
+            }));
+    }
+
+    /**
+     * Validate an entry
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validateEntry(entry) {
+        if (!entry) return 'שורה ריקה';
+        if (!String(entry.employeeId || '').trim() && !String(entry.employee || '').trim()) return 'חסר מספר עובד או שם עובד';
+        if (!String(entry.requirement || '').trim() && !String(entry.task || '').trim()) return 'חסרה דרישה או משימה';
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(entry.month || '')) return 'חודש לא תקין';
+        const hours = Number(entry.hours);
+        if (entry.hours === '' || isNaN(hours) || hours < 0) return 'שעות לא תקינות';
+        return null;
+    }
+
+    /**
+     * Employee key of an entry ('id:<employeeId>' or 'name:<employee>')
+     */
+    getEmployeeKey(entry) {
+        return entry.employeeId ? `id:${entry.employeeId}` : `name:${entry.employee}`;
+    }
+
+    /**
+     * Target key of an entry ('req:<requirement>' or 'task:<task>')
+     */
+    getTargetKey(entry) {
+        return entry.requirement ? `req:${entry.requirement}` : `task:${entry.task}`;
+    }
+
+    /**
+     * Compare plan entries with actual hours, for the months the entries cover
+     * Hours of a planned employee/target/month count as actual for that entry;
+     * other hours of the employee in those months (absence excluded) are unplanned.
+     * @param {Array} entries - Plan entries in scope
+     * @param {Array} rows - Processed hours rows ({ employee, employeeId, requirement, task, monthKey, hours, type })
+     * @param {Object} resolvers - { getTeam(employeeId, month) -> team name|null, getRequirementName(id) -> name|'' }
+     *   Teams are resolved per month, so an employee who moved is split between the teams by month
+     * @returns {Object} { months, items, employees, teams, targets, totals }
+     */
+    getVariance(entries, rows, resolvers = {}) {
+        const getTeam = resolvers.getTeam || (() => null);
+        const getRequirementName = resolvers.getRequirementName || (() => '');
+        const months = [...new Set(entries.map(entry => entry.month))].sort();
+        const monthSet = new Set(months);
+        const scopeRows = rows.filter(row => monthSet.has(row.monthKey));
+
+        // Employee names by ID (entries may carry only one of them)
+        const namesById = {};
+        const idsByName = {};
+        scopeRows.forEach(row => {
+            if (row.employeeId) {
+                namesById[row.employeeId] = row.employee;
+                idsByName[row.employee] = row.employeeId;
+            }
+        });
+
+        // Plan items: one per employee + target + month (duplicate entries are summed)
+        const items = {};
+        entries.forEach(entry => {
+            const key = `${this.getEmployeeKey(entry)}|${this.getTargetKey(entry)}|${entry.month}`;
+            if (!items[key]) {
+                const employeeId = entry.employeeId || idsByName[entry.employee] || '';
+                items[key] = {
+                    employeeId,
+                    employee: entry.employee || namesById[entry.employeeId] || entry.employeeId,
+                    team: getTeam(employeeId, entry.month) || NO_TEAM_LABEL,
+                    requirement: entry.requirement,
+                    task: entry.task,
+                    month: entry.month,
+                    planned: 0,
+                    actual: 0
+                };
+            }
+            items[key].planned += entry.hours;
+        });
+
+        // Employees: everyone planned or reporting hours in the plan months
+        // (team = the team in the last plan month; byMonth feeds the per-month team totals)
+        const employees = {};
+        const getEmployee = (employeeId, name) => {
+            const key = employeeId || `name:${name}`;
+            if (!employees[key]) {
+                employees[key] = {
+                    employeeId,
+                    employee: name || employeeId,
+                    team: getTeam(employeeId, months[months.length - 1]) || NO_TEAM_LABEL,
+                    planned: 0,
+                    actual: 0,
+                    unplanned: 0,
+                    byMonth: {}
+                };
+            }
+            return employees[key];
+        };
+        const addHours = (employee, month, field, hours) => {
+            const totals = employee.byMonth[month] = employee.byMonth[month] || { planned: 0, actual: 0, unplanned: 0 };
+            employee[field] += hours;
+            totals[field] += hours;
+        };
+        Object.values(items).forEach(item => {
+            addHours(getEmployee(item.employeeId, item.employee), item.month, 'planned', item.planned);
+        });
+
+        // Targets: planned requirements / tasks, actual = all hours on them (any employee)
+        const targets = {};
+        Object.values(items).forEach(item => {
+            const key = item.requirement ? `req:${item.requirement}` : `task:${item.task}`;
+            if (!targets[key]) {
+                targets[key] = {
+                    requirement: item.requirement,
+                    task: item.task,
+                    name: item.requirement ? getRequirementName(item.requirement) : item.task,
+                    planned: 0,
+                    actual: 0,
+                    employees: new Set()
+                };
+            }
+            targets[key].planned += item.planned;
+        });
+
+        scopeRows.forEach(row => {
+            const employeeKeys = [row.employeeId ? `id:${row.employeeId}` : null, `name:${row.employee}`].filter(Boolean);
+            const targetKeys = [row.requirement ? `req:${row.requirement}` : null, `task:${row.task}`].filter(Boolean);
+
+            let item = null;
+            for (const employeeKey of employeeKeys) {
+                for (const targetKey of targetKeys) {
+                    item = item || items[`${employeeKey}|${targetKey}|${row.monthKey}`] || null;
+                }
+            }
+
+            const employee = getEmployee(row.employeeId, row.employee);
+            if (item) {
+                item.actual += row.hours;
+                addHours(employee, row.monthKey, 'actual', row.hours);
+            } else if (row.type !== 'היעדרות') {
+                addHours(employee, row.monthKey, 'unplanned', row.hours);
+            }
+
+            targetKeys.forEach(targetKey => {
+                const target = targets[targetKey];
+                if (!target) return;
+                target.actual += row.hours;
+                target.employees.add(row.employeeId || row.employee);
+            });
+        });
+
+        // Teams: sum of their employees, each month under the team the employee was in then
+        const teams = {};
+        Object.values(employees).forEach(emp => {
+            Object.entries(emp.byMonth).forEach(([month, totals]) => {
+                const name = getTeam(emp.employeeId, month) || NO_TEAM_LABEL;
+                const team = teams[name] = teams[name] || { team: name, employees: new Set(), planned: 0, actual: 0, unplanned: 0 };
+                team.employees.add(emp.employeeId || `name:${emp.employee}`);
+                team.planned += totals.planned;
+                team.actual += totals.actual;
+                team.unplanned += totals.unplanned;
+            });
+        });
+
+        const withVariance = (row) => ({
+            ...row,
+            variance: row.actual - row.planned,
+            variancePercent: row.planned > 0 ? ((row.actual - row.planned) / row.planned) * 100 : null
+        });
+        const byPlanned = (a, b) => b.planned - a.planned;
+        const employeeRows = Object.values(employees)
+            .map(({ byMonth, ...emp }) => withVariance(emp))
+            .sort(byPlanned);
+
+        return {
+            months,
+            items: Object.values(items).map(withVariance)
+                .sort((a, b) => a.month.localeCompare(b.month) || a.employee.localeCompare(b.employee, 'he')),
+            employees: employeeRows,
+            teams: Object.values(teams)
+                .map(team => withVariance({ ...team, employees: team.employees.size }))
+                .sort(byPlanned),
+            targets: Object.values(targets)
+                .map(target => withVariance({ ...target, employees: target.employees.size }))
+                .sort(byPlanned),
+            totals: withVariance(employeeRows.reduce((sum, emp) => ({
+                planned: sum.planned + emp.planned,
+                actual: sum.actual + emp.actual,
+                unplanned: sum.unplanned + emp.unplanned
+            }), { planned: 0, actual: 0, unplanned: 0 }))
+        };
+    }
+
+    /**
+     * Parse a month value: 'YYYY-MM', 'MM/YYYY', or any date parseDate understands
+     * @returns {String} 'YYYY-MM' ('' if unparseable)
+     */
+    parseMonth(value, parseDate) {
+        const text = String(value ?? '').trim();
+        let match = text.match(/^(\d{4})[-/.](\d{1,2})$/);
+        if (match) return `${match[1]}-${match[2].padStart(2, '0')}`;
+        match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+        if (match) return `${match[2]}-${match[1].padStart(2, '0')}`;
+
+        const date = parseDate(value);
+        return date ? date.slice(0, 7) : '';
+    }
+
+    /**
+     * Convert rows read from an Excel sheet to entries (CONFIG.PLAN_COLUMNS aliases)
+     * @param {Function} parseDate - Value -> ISO date ('' if unparseable)
+     * @returns {Object} { entries, errors: [String] }
+     */
+    parseRows(rows, parseDate) {
+        const mapping = this.columnMapper.detectMapping('plan', this.columnMapper.getHeaders(rows));
+        const entries = [];
+        const errors = [];
+
+        if (!mapping.HOURS || !mapping.MONTH) {
+            return { entries, errors: ['לא נמצאו עמודות חודש ושעות'] };
+        }
+
+        rows.forEach((row, index) => {
+            const get = (field) => mapping[field] ? String(row[mapping[field]] ?? '').trim() : '';
+            const monthRaw = mapping.MONTH ? row[mapping.MONTH] : '';
+            const hoursRaw = get('HOURS').replace(/[,\s]/g, '');
+
+            // Blank lines (e.g. totals spacing) are skipped silently
+            if (!get('EMPLOYEE_ID') && !get('EMPLOYEE_NAME') && !hoursRaw) return;
+
+            const entry = {
+                employeeId: get('EMPLOYEE_ID'),
+                employee: get('EMPLOYEE_NAME'),
+                requirement: get('REQUIREMENT'),
+                task: get('TASK'),
+                month: this.parseMonth(monthRaw, parseDate),
+                hours: hoursRaw === '' || isNaN(parseFloat(hoursRaw)) ? '' : parseFloat(hoursRaw)
+            };
+
+            const error = this.validateEntry(entry);
+            if (error) {
+                errors.push(`שורה ${index + 1}: ${error}`);
+                return;
+            }
+            entries.push(entry);
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * Load entries from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) this.setEntries(JSON.parse(saved));
+        } catch (error) {
+            console.error('Failed to load capacity plan from localStorage:', error);
+        }
+        return this.entries;
+    }
+
+    /**
+     * Save entries to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Failed to save capacity plan to localStorage:', error);
+        }
+    }
+}
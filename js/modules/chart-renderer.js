@@ -0,0 +1,194 @@
+/**
+ * ============================================
+ * Chart Renderer Module
+ * ============================================
+ * Thin wrapper around the bundled Chart.js (js/vendor/chart.umd.min.js)
+ * Keeps one chart instance per canvas and applies RTL / FIBI defaults
+ */
+
+import { CONFIG } from '../config.js';
+
+export class ChartRenderer {
+    constructor() {
+        this.charts = new Map(); // canvasId -> Chart instance
+        this.defaultsApplied = false;
+    }
+
+    /**
+     * Check that Chart.js is loaded
+     */
+    isAvailable() {
+        return Boolean(window.Chart);
+    }
+
+    /**
+     * Apply global defaults once (font, colors)
+     */
+    applyDefaults() {
+        if (this.defaultsApplied || !this.isAvailable()) return;
+
+        window.Chart.defaults.font.family = "'Assistant', Arial, sans-serif";
+        window.Chart.defaults.color = '#374151';
+        window.Chart.defaults.maintainAspectRatio = false;
+        this.defaultsApplied = true;
+    }
+
+    /**
+     * Get canvas element, destroying any previous chart on it
+     */
+    prepareCanvas(canvasId) {
+        if (!this.isAvailable()) {
+            console.warn('Chart.js not loaded');
+            return null;
+        }
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            console.warn(`Canvas ${canvasId} not found`);
+            return null;
+        }
+
+        this.applyDefaults();
+        this.destroy(canvasId);
+        return canvas;
+    }
+
+    /**
+     * Render donut chart
+     * @param {String} canvasId - Canvas element ID
+     * @param {Object} options - { labels, values, colors, valueFormatter }
+     */
+    renderDonut(canvasId, { labels, values, colors, valueFormatter = (v) => v }) {
+        const canvas = this.prepareCanvas(canvasId);
+        if (!canvas) return null;
+
+        // Skip empty slices so the legend stays readable
+        const slices = labels
+            .map((label, i) => ({ label, value: values[i] || 0, color: colors[i] }))
+            .filter(slice => slice.value > 0);
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+
+        const chart = new window.Chart(canvas, {
+            type: 'doughnut',
+            data: {
+                labels: slices.map(slice => slice.label),
+                datasets: [{
+                    data: slices.map(slice => slice.value),
+                    backgroundColor: slices.map(slice => slice.color),
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                cutout: '60%',
+                plugins: {
+                    legend: { position: 'bottom', rtl: true, textDirection: 'rtl' },
+                    tooltip: {
+                        rtl: true,
+                        textDirection: 'rtl',
+                        callbacks: {
+                            label: (ctx) => {
+                                const percent = total > 0 ? (ctx.parsed / total) * 100 : 0;
+                                return ` ${ctx.label}: ${valueFormatter(ctx.parsed)} (${percent.toFixed(1)}%)`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
+    /**
+     * Render bar chart
+     * @param {String} canvasId - Canvas element ID
+     * @param {Object} options - { labels, datasets: [{ label, data, color | colors }], horizontal, stacked, valueFormatter }
+     */
+    renderBar(canvasId, { labels, datasets, horizontal = false, stacked = false, valueFormatter = (v) => v }) {
+        const canvas = this.prepareCanvas(canvasId);
+        if (!canvas) return null;
+
+        const valueAxis = horizontal ? 'x' : 'y';
+        const categoryAxis = horizontal ? 'y' : 'x';
+
+        const chart = new window.Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: datasets.map(ds => ({
+                    label: ds.label,
+                    data: ds.data,
+                    backgroundColor: ds.colors || ds.color,
+                    borderRadius: 4,
+                    maxBarThickness: 36
+                }))
+            },
+            options: {
+                indexAxis: horizontal ? 'y' : 'x',
+                scales: {
+                    [valueAxis]: {
+                        stacked,
+                        beginAtZero: true,
+                        // RTL: horizontal bars grow from right to left
+                        reverse: horizontal,
+                        ticks: { callback: (value) => valueFormatter(value) }
+                    },
+                    [categoryAxis]: {
+                        stacked,
+                        // RTL: first category on the right for vertical bars
+                        reverse: !horizontal,
+                        position: horizontal ? 'right' : 'bottom',
+                        ticks: {
+                            autoSkip: false,
+                            callback: function (value) {
+                                const label = String(this.getLabelForValue(value));
+                                return label.length > 30 ? label.substring(0, 27) + '...' : label;
+                            }
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: datasets.length > 1,
+                        position: 'bottom',
+                        rtl: true,
+                        textDirection: 'rtl'
+                    },
+                    tooltip: {
+                        rtl: true,
+                        textDirection: 'rtl',
+                        callbacks: {
+                            label: (ctx) => ` ${ctx.dataset.label || ''}: ${valueFormatter(ctx.parsed[valueAxis])}`
+                        }
+                    }
+                }
+            }
+        });
+
+        this.charts.set(canvasId, chart);
+        return chart;
+    }
+
+    /**
+     * Get color for work type
+     */
+    getWorkTypeColor(type) {
+        const colors = CONFIG.CHART_COLORS;
+        if (type === 'השקעה') return colors.INVESTMENT;
+        if (type === 'הוצאה') return colors.EXPENSE;
+        if (type === 'היעדרות') return colors.ABSENCE;
+        return colors.OTHER;
+    }
+
+    /**
+     * Destroy chart on canvas (if any)
+     */
+    destroy(canvasId) {
+        const chart = this.charts.get(canvasId);
+        if (chart) {
+            chart.destroy();
+            this.charts.delete(canvasId);
+        }
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * ============================================
+ * Classification Rules Module
+ * ============================================
+ * Ordered rules that assign a work type (investment/expense/absence/other)
+ * to an hours row by activity, sub-activity, task, accounting classification
+ * or requirement number. The first matching rule wins; no match = "אחר".
+ * No DOM access - the worker classifies with the rules sent by the main thread.
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'matafOS_classificationRules';
+
+export const WORK_TYPE_OTHER = 'אחר';
+
+export const WORK_TYPE_VALUES = ['השקעה', 'הוצאה', 'היעדרות', WORK_TYPE_OTHER];
+
+// Rule field -> hours row property
+export const RULE_FIELDS = {
+    classification: { label: CONFIG.COLUMN_LABELS.CLASSIFICATION, get: row => row.classification },
+    activity: { label: CONFIG.COLUMN_LABELS.ACTIVITY, get: row => row.activity },
+    subActivity: { label: CONFIG.COLUMN_LABELS.SUB_ACTIVITY, get: row => row.subActivity },
+    task: { label: CONFIG.COLUMN_LABELS.TASK, get: row => row.taskField },
+    requirement: { label: CONFIG.COLUMN_LABELS.ID, get: row => row.requirement }
+};
+
+export const RULE_MATCH_LABELS = {
+    exact: 'שווה ל',
+    contains: 'מכיל',
+    regex: 'ביטוי רגולרי'
+};
+
+export class ClassificationRules {
+    constructor() {
+        this.rules = this.getDefaultRules();
+        this.compiled = new WeakMap(); // rule -> matcher function
+    }
+
+    /**
+     * Default rules: the CONFIG.WORK_TYPES keywords on the classification column
+     * (same result as the former substring check - investment, then expense, then absence)
+     */
+    getDefaultRules() {
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const keywordRule = (keywords, type) => ({
+            field: 'classification',
+            match: 'regex',
+            value: keywords.map(escape).join('|'),
+            type
+        });
+
+        return [
+            keywordRule(CONFIG.WORK_TYPES.INVESTMENT, 'השקעה'),
+            keywordRule(CONFIG.WORK_TYPES.EXPENSE, 'הוצאה'),
+            keywordRule(CONFIG.WORK_TYPES.ABSENCE, 'היעדרות')
+        ];
+    }
+
+    /**
+     * Get rules (in order)
+     */
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Replace rules (invalid rules are dropped)
+     */
+    setRules(rules) {
+        this.rules = (rules || []).filter(rule => !this.validateRule(rule));
+    }
+
+    /**
+     * Validate a rule
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validateRule(rule) {
+        if (!rule || !RULE_FIELDS[rule.field]) return 'שדה לא מוכר';
+        if (!RULE_MATCH_LABELS[rule.match]) return 'סוג התאמה לא מוכר';
+        if (!WORK_TYPE_VALUES.includes(rule.type)) return 'סוג עבודה לא מוכר';
+        if (String(rule.value ?? '').trim() === '') return 'חסר ערך להתאמה';
+
+        if (rule.match === 'regex') {
+            try {
+                new RegExp(rule.value);
+            } catch (error) {
+                return `ביטוי רגולרי לא תקין: ${error.message}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build (and cache) matcher for a rule - case-insensitive, values trimmed
+     */
+    getMatcher(rule) {
+        if (this.compiled.has(rule)) return this.compiled.get(rule);
+
+        const value = String(rule.value).trim().toLowerCase();
+        let matcher;
+        if (rule.match === 'exact') {
+            matcher = (text) => text === value;
+        } else if (rule.match === 'contains') {
+            matcher = (text) => text.includes(value);
+        } else {
+            const regex = new RegExp(String(rule.value).trim(), 'i');
+            matcher = (text) => regex.test(text);
+        }
+
+        this.compiled.set(rule, matcher);
+        return matcher;
+    }
+
+    /**
+     * Get index of the first rule matching a row (-1 if none)
+     * @param {Object} row - { classification, activity, subActivity, taskField, requirement }
+     */
+    findRuleIndex(row, rules = this.rules) {
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            const text = String(RULE_FIELDS[rule.field].get(row) ?? '').trim().toLowerCase();
+            if (text && this.getMatcher(rule)(text)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Classify a row: work type of the first matching rule, else "אחר"
+     */
+    classify(row, rules = this.rules) {
+        const index = this.findRuleIndex(row, rules);
+        return index === -1 ? WORK_TYPE_OTHER : rules[index].type;
+    }
+
+    /**
+     * Preview rules against processed hours
+     * Per rule: rows/hours it wins, and hours whose type would change from the current one
+     * @returns {Object} { rules: [{ rows, hours, changedHours }], unmatched: { rows, hours, changedHours }, changedHours }
+     */
+    preview(rows, rules) {
+        const stats = rules.map(() => ({ rows: 0, hours: 0, changedHours: 0 }));
+        const unmatched = { rows: 0, hours: 0, changedHours: 0 };
+        const valid = rules.map(rule => !this.validateRule(rule));
+
+        rows.forEach(row => {
+            let index = -1;
+            for (let i = 0; i < rules.length && index === -1; i++) {
+                if (valid[i] && this.findRuleIndex(row, [rules[i]]) === 0) index = i;
+            }
+
+            const target = index === -1 ? unmatched : stats[index];
+            const type = index === -1 ? WORK_TYPE_OTHER : rules[index].type;
+            target.rows++;
+            target.hours += row.hours;
+            if (type !== row.type) target.changedHours += row.hours;
+        });
+
+        return {
+            rules: stats,
+            unmatched,
+            changedHours: stats.reduce((sum, s) => sum + s.changedHours, unmatched.changedHours)
+        };
+    }
+
+    /**
+     * Load rules from localStorage (defaults if none saved)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) this.setRules(JSON.parse(saved));
+        } catch (error) {
+            console.error('Failed to load classification rules from localStorage:', error);
+        }
+        return this.rules;
+    }
+
+    /**
+     * Save rules to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+        } catch (error) {
+            console.error('Failed to save classification rules to localStorage:', error);
+        }
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * Column Mapper Module
+ * ============================================
+ * Detects which file header holds each field (CONFIG alias lists)
+ * and remembers user-corrected mappings per file signature
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'matafOS_columnMappings';
+
+export class ColumnMapper {
+    /**
+     * Get column alias config for file type
+     */
+    getColumnsConfig(type) {
+        if (type === 'rates') return CONFIG.RATE_COLUMNS;
+        if (type === 'plan') return CONFIG.PLAN_COLUMNS;
+        return type === 'hours' ? CONFIG.HOURS_COLUMNS : CONFIG.REQUIREMENTS_COLUMNS;
+    }
+
+    /**
+     * Get headers (column names) from parsed rows, in file order
+     * Internal keys (_sourceFile etc.) are skipped
+     */
+    getHeaders(rows, sampleSize = 50) {
+        const headers = [];
+        const seen = new Set();
+
+        // Rows read from several sheets: the first row of each sheet carries that sheet's headers
+        const sheetStarts = rows.filter((row, i) =>
+            i >= sampleSize && row._sourceSheet && row._sourceSheet !== rows[i - 1]._sourceSheet
+        );
+
+        [...rows.slice(0, sampleSize), ...sheetStarts].forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (key.startsWith('_') || seen.has(key)) return;
+                seen.add(key);
+                headers.push(key);
+            });
+        });
+
+        return headers;
+    }
+
+    /**
+     * Get first non-empty sample values of a column
+     */
+    getSampleValues(rows, header, count = 3) {
+        const samples = [];
+        for (const row of rows) {
+            const value = row[header];
+            if (value !== null && value !== undefined && String(value).trim() !== '') {
+                samples.push(value);
+                if (samples.length >= count) break;
+            }
+        }
+        return samples;
+    }
+
+    /**
+     * Find header matching alias list (same rules as DataProcessor.findColumn)
+     */
+    findHeader(headers, possibleNames) {
+        // Exact match with trim
+        for (const name of possibleNames) {
+            const trimmedName = String(name).trim();
+            const exact = headers.find(h => String(h).trim() === trimmedName);
+            if (exact !== undefined) return exact;
+        }
+
+        // Case-insensitive "includes" fallback
+        for (const name of possibleNames) {
+            const trimmedName = String(name).trim().toLowerCase();
+            const found = headers.find(h => String(h).trim().toLowerCase().includes(trimmedName));
+            if (found) return found;
+        }
+
+        return null;
+    }
+
+    /**
+     * Auto-detect mapping: { FIELD: header } ('' when not found)
+     */
+    detectMapping(type, headers) {
+        const mapping = {};
+        Object.entries(this.getColumnsConfig(type)).forEach(([field, names]) => {
+            mapping[field] = this.findHeader(headers, names) || '';
+        });
+        return mapping;
+    }
+
+    /**
+     * Get required fields that are not mapped
+     */
+    getMissingRequired(type, mapping) {
+        const required = CONFIG.REQUIRED_COLUMNS[type] || [];
+        return required.filter(field => !mapping[field]);
+    }
+
+    /**
+     * Get file signature from type + header set (independent of column order)
+     */
+    getSignature(type, headers) {
+        const text = [type, ...headers.map(h => String(h).trim()).sort()].join('|');
+
+        // djb2 hash keeps the storage key short
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `${type}:${headers.length}:${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Resolve mapping for rows: remembered by signature, else auto-detected
+     * @returns {Object} { signature, headers, mapping, remembered, missing }
+     */
+    resolve(type, rows) {
+        const headers = this.getHeaders(rows);
+        const signature = this.getSignature(type, headers);
+        const saved = this.getSavedMapping(signature);
+        const mapping = saved
+            ? { ...this.detectMapping(type, headers), ...saved }
+            : this.detectMapping(type, headers);
+
+        return {
+            signature,
+            headers,
+            mapping,
+            remembered: Boolean(saved),
+            missing: this.getMissingRequired(type, mapping)
+        };
+    }
+
+    /**
+     * Load all remembered mappings from localStorage
+     */
+    loadAll() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Failed to load column mappings from localStorage:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get remembered mapping for signature (null if none)
+     */
+    getSavedMapping(signature) {
+        return this.loadAll()[signature] || null;
+    }
+
+    /**
+     * Remember mapping for signature
+     */
+    saveMapping(signature, mapping) {
+        try {
+            const all = this.loadAll();
+            all[signature] = mapping;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+        } catch (error) {
+            console.error('Failed to save column mapping to localStorage:', error);
+        }
+    }
+}
@@ -6,6 +6,13 @@
  */
 
 import { CONFIG, getUtilizationStatus } from '../config.js';
+import { ImportReport, ISSUE_CATEGORIES } from './import-report.js';
+import { ClassificationRules, WORK_TYPE_OTHER } from './classification-rules.js';
+import { RequirementMatcher, PATTERN_FIELDS } from './requirement-matcher.js';
+import { RateTable } from './rate-table.js';
+import { SpendForecast } from './spend-forecast.js';
+import { CapacityPlan } from './capacity-plan.js';
+import { LOAD_CANCELLED } from './data-worker-client.js';
 
 export class DataProcessor {
     constructor() {
@@ -14,8 +21,23 @@ export class DataProcessor {
         this.processedHours = [];
         this.processedRequirements = [];
         this.exceptionsData = []; // Store exceptions
-        this.employeeSummary = {};
+        this.hoursSources = [];   // Per-file stats: [{ name, rows, duplicates }]
+        this.hoursMappings = {};  // Column mapping per hours file: { fileName: { FIELD: header } }
+        this.hoursSourceNames = []; // Loaded hours files in load order (including files without valid rows)
+        this.requirementsMapping = null;
+        this.importReports = { hours: null, requirements: null }; // Validation report of the last import
+        this.employeeSummary = {};    // Selected team's employees (hours attributed by membership on each row's date)
+        this.allEmployeeSummary = {}; // All employees in the date range
         this.teamFilter = null;
+        this.dateFilter = null;
+        this.classificationRules = new ClassificationRules(); // Work type rules (defaults until set)
+        this.requirementMatcher = new RequirementMatcher();   // Requirement number patterns (defaults until set)
+        this.rateTable = new RateTable();                     // Hours -> cost rates (CONFIG.MONTHLY_RATE until set)
+        this.capacityPlan = new CapacityPlan();               // Planned hours per employee / requirement / month
+        this.spendHistory = [];       // Saved snapshots - Atlas actuals over time for spend forecasts
+        this.worker = null;           // DataWorkerClient (heavy processing off the main thread)
+        this.workerGeneration = 0;    // Worker generation holding our processed hours
+        this.workerViews = null;      // Tasks computed in the worker: { filterKey, tasks, allTasks }
     }
 
     /**
@@ -25,28 +47,190 @@ export class DataProcessor {
         this.teamFilter = teamFilter;
     }
 
+    /**
+     * Set classification rules instance
+     */
+    setClassificationRules(classificationRules) {
+        this.classificationRules = classificationRules;
+    }
+
+    /**
+     * Set requirement matcher instance
+     */
+    setRequirementMatcher(requirementMatcher) {
+        this.requirementMatcher = requirementMatcher;
+    }
+
+    /**
+     * Set rate table instance
+     */
+    setRateTable(rateTable) {
+        this.rateTable = rateTable;
+    }
+
+    /**
+     * Set capacity plan instance
+     */
+    setCapacityPlan(capacityPlan) {
+        this.capacityPlan = capacityPlan;
+    }
+
+    /**
+     * Set snapshots used as Atlas spend history and refresh the forecasts
+     * @param {Array} snapshots - SnapshotManager.getSnapshots()
+     */
+    setSpendHistory(snapshots) {
+        this.spendHistory = snapshots || [];
+        this.updateForecasts();
+    }
+
+    /**
+     * Set date filter instance
+     */
+    setDateFilter(dateFilter) {
+        this.dateFilter = dateFilter;
+    }
+
+    /**
+     * Set data worker - hours processing, employee summary and task grouping run in it
+     */
+    setWorker(worker) {
+        this.worker = worker;
+    }
+
+    /**
+     * Get filter state for the worker copy of the filters
+     */
+    getFilterState() {
+        return {
+            team: this.teamFilter ? this.teamFilter.getState() : null,
+            dateRange: this.dateFilter ? this.dateFilter.getRange() : null
+        };
+    }
+
+    /**
+     * Re-apply team and date filters - rebuild everything derived from hours
+     */
+    async applyFilters() {
+        if (this.worker && this.processedHours.length > 0 && await this.worker.isReady()) {
+            try {
+                const filters = this.getFilterState();
+                const generation = this.worker.generation;
+
+                // A restarted worker lost our processed hours - send them again
+                const views = generation === this.workerGeneration
+                    ? await this.worker.request('applyFilters', { filters })
+                    : await this.worker.request('loadProcessedHours', { processedHours: this.processedHours, filters });
+
+                this.workerGeneration = generation;
+                this.applyWorkerViews(views, filters);
+                this.linkHoursToRequirements();
+                return;
+            } catch (error) {
+                console.warn('Data worker failed, rebuilding on main thread:', error);
+            }
+        }
+
+        this.workerViews = null;
+        this.buildEmployeeSummary();
+        this.linkHoursToRequirements();
+    }
+
     /**
      * Update data and reprocess
+     * @param {Function} onProgress - Optional (label, percent) callback for hours processing
      */
-    updateData(type, data) {
+    async updateData(type, data, onProgress = null) {
         if (type === 'hours') {
-            // Handle new structure
-            if (data.rows) {
-                this.hoursData = data.rows;
-                this.exceptionsData = data.exceptions || [];
+            const rows = data.rows || data;
+            if (this.worker && rows.length > 0 && await this.worker.isReady()) {
+                await this.processHoursInWorker(data, onProgress);
             } else {
-                this.hoursData = data;
-                this.exceptionsData = [];
+                this.setHoursInput(data);
+                this.workerViews = null;
+                this.processHours();
             }
-            this.processHours();
+            // Requirements loaded earlier get the new hours
+            this.linkHoursToRequirements();
         } else if (type === 'requirements') {
-            this.requirementsData = data;
+            if (Array.isArray(data)) {
+                this.requirementsData = data;
+                this.requirementsMapping = null;
+            } else {
+                this.requirementsData = data.rows || [];
+                this.requirementsMapping = data.mapping || null;
+            }
             this.processRequirements();
         }
 
         return this.getStats();
     }
 
+    /**
+     * Set hours input: { rows, exceptions, mappings, sources } or a plain rows array
+     */
+    setHoursInput(data) {
+        if (data.rows) {
+            this.hoursData = data.rows;
+            this.exceptionsData = data.exceptions || [];
+            this.hoursMappings = data.mappings || {};
+            this.hoursSourceNames = data.sources || [];
+        } else {
+            this.hoursData = data;
+            this.exceptionsData = [];
+            this.hoursMappings = {};
+            this.hoursSourceNames = [];
+        }
+    }
+
+    /**
+     * Process hours in the data worker
+     * Nothing is replaced until the worker returns, so a cancelled load keeps the current data;
+     * a worker failure falls back to processing on the main thread
+     */
+    async processHoursInWorker(data, onProgress) {
+        const filters = this.getFilterState();
+        const generation = this.worker.generation;
+        let result;
+        try {
+            result = await this.worker.request('processHours', {
+                data: { rows: data.rows || data, exceptions: data.exceptions || [], mappings: data.mappings || {}, sources: data.sources || [] },
+                filters,
+                rules: this.classificationRules.getRules(),
+                requirementPatterns: this.requirementMatcher.getPatterns()
+            }, onProgress);
+        } catch (error) {
+            if (error && error.name === LOAD_CANCELLED) throw error;
+            console.warn('Data worker failed, processing hours on main thread:', error);
+            this.setHoursInput(data);
+            this.workerViews = null;
+            this.processHours();
+            return;
+        }
+
+        this.setHoursInput(data);
+        this.processedHours = result.processedHours;
+        this.hoursSources = result.hoursSources;
+        this.importReports.hours = Object.assign(new ImportReport('hours'), result.report);
+        this.workerGeneration = generation;
+        this.applyWorkerViews(result.views, filters);
+    }
+
+    /**
+     * Take employee summary and task views computed in the worker
+     */
+    applyWorkerViews(views, filters) {
+        this.employeeSummary = views.employeeSummary;
+        this.allEmployeeSummary = views.allEmployeeSummary;
+        this.taskMatrix = views.taskMatrix;
+        this.taskKPIs = views.taskKPIs;
+        this.workerViews = {
+            filterKey: JSON.stringify(filters),
+            tasks: views.tasks,
+            allTasks: views.allTasks
+        };
+    }
+
     /**
      * Process hours data
      */
@@ -56,20 +240,48 @@ export class DataProcessor {
             console.log('📋 Hours columns:', Object.keys(this.hoursData[0]));
         }
 
+        const report = new ImportReport('hours');
+        report.rowsRead = this.hoursData.length;
+        const rowNumbers = {}; // Data row counter per source file
+
         this.processedHours = this.hoursData.map(row => {
-            const employeeId = String(this.findColumn(row, CONFIG.HOURS_COLUMNS.EMPLOYEE_ID) || '');
-            const classificationValue = this.findColumn(row, CONFIG.HOURS_COLUMNS.CLASSIFICATION) || '';
-            const workType = this.classifyWorkType(classificationValue);
+            const mapping = this.hoursMappings[row._sourceFile];
+            const field = (name) => this.getField(row, CONFIG.HOURS_COLUMNS, name, mapping);
+
+            const sourceFile = row._sourceFile || '';
+            rowNumbers[sourceFile] = (rowNumbers[sourceFile] || 0) + 1;
+
+            const employee = field('EMPLOYEE_NAME') || '';
+            const hoursRaw = field('HOURS');
+            const hours = parseFloat(hoursRaw) || 0;
+            const details = { file: sourceFile, row: rowNumbers[sourceFile], subject: employee, value: hoursRaw };
+
+            // Rows without employee or hours are dropped
+            if (!employee) {
+                report.addIssue(ISSUE_CATEGORIES.DROPPED, 'ללא שם עובד', details);
+                return null;
+            }
+            if (hours <= 0) {
+                const unparseable = !this.isBlankValue(hoursRaw) && isNaN(parseFloat(hoursRaw));
+                if (unparseable) {
+                    report.addIssue(ISSUE_CATEGORIES.NUMBER, 'ערך שעות לא מספרי', details);
+                }
+                report.addIssue(ISSUE_CATEGORIES.DROPPED, unparseable ? 'שעות לא תקינות' : hours < 0 ? 'שעות שליליות' : 'אפס שעות', details);
+                return null;
+            }
+
+            const employeeId = String(field('EMPLOYEE_ID') || '');
+            const classificationValue = field('CLASSIFICATION') || '';
 
             // Read employee type directly from Excel (with trim!)
-            const employeeTypeRaw = this.findColumn(row, CONFIG.HOURS_COLUMNS.EMPLOYEE_TYPE) || '';
+            const employeeTypeRaw = field('EMPLOYEE_TYPE') || '';
             const employeeType = this.normalizeEmployeeType(employeeTypeRaw);
 
             // Read all task-related fields
-            const subSubActivity = this.findColumn(row, CONFIG.HOURS_COLUMNS.SUB_SUB_ACTIVITY) || '';
-            const subActivity = this.findColumn(row, CONFIG.HOURS_COLUMNS.SUB_ACTIVITY) || '';
-            const activity = this.findColumn(row, CONFIG.HOURS_COLUMNS.ACTIVITY) || '';
-            const taskField = this.findColumn(row, CONFIG.HOURS_COLUMNS.TASK) || '';
+            const subSubActivity = field('SUB_SUB_ACTIVITY') || '';
+            const subActivity = field('SUB_ACTIVITY') || '';
+            const activity = field('ACTIVITY') || '';
+            const taskField = field('TASK') || '';
 
             // Determine task name based on priority:
             // 1. If sub-sub-activity exists, use it
@@ -78,12 +290,31 @@ export class DataProcessor {
             // 4. Else use task field
             const taskName = subSubActivity || subActivity || activity || taskField || 'ללא משימה';
 
+            const requirement = this.requirementMatcher.extract({ taskField, activity, subActivity, subSubActivity });
+            const workType = this.classificationRules.classify({
+                classification: classificationValue,
+                activity,
+                subActivity,
+                taskField,
+                requirement
+            });
+
+            // ISO date + derived period fields (display formatting is done in UIRenderer)
+            const dateRaw = field('DATE');
+            const dateFields = this.getDateFields(this.parseDate(dateRaw));
+            if (!dateFields.date) {
+                report.addIssue(ISSUE_CATEGORIES.DATE, this.isBlankValue(dateRaw) ? 'תאריך חסר' : 'תאריך לא ניתן לפענוח', {
+                    ...details,
+                    value: dateRaw
+                });
+            }
+
             return {
-                employee: this.findColumn(row, CONFIG.HOURS_COLUMNS.EMPLOYEE_NAME) || '',
+                employee: employee,
                 employeeId: employeeId,
                 employeeType: employeeType, // Direct from Excel: "עובד מתף" or "עובד פרויקטלי"
-                date: this.formatDate(this.findColumn(row, CONFIG.HOURS_COLUMNS.DATE)),
-                hours: parseFloat(this.findColumn(row, CONFIG.HOURS_COLUMNS.HOURS)) || 0,
+                ...dateFields,
+                hours: hours,
                 task: taskName,
                 activity: activity,
                 subActivity: subActivity,
@@ -91,15 +322,37 @@ export class DataProcessor {
                 taskField: taskField,
                 classification: classificationValue,
                 type: workType,
-                requirement: this.extractRequirement(taskField),
+                requirement: requirement,
+                sourceFile: sourceFile,
+                sourceRow: rowNumbers[sourceFile], // 1-based data row within the file
                 raw: row
             };
-        }).filter(row => row.employee && row.hours > 0);
+        }).filter(Boolean);
 
         // Filter excluded employees
-        this.processedHours = this.processedHours.filter(row =>
-            !CONFIG.EXCLUDED_EMPLOYEE_IDS.includes(row.employeeId)
-        );
+        this.processedHours = this.processedHours.filter(row => {
+            if (!CONFIG.EXCLUDED_EMPLOYEE_IDS.includes(row.employeeId)) return true;
+            report.addIssue(ISSUE_CATEGORIES.DROPPED, 'עובד מוחרג', this.getIssueDetails(row));
+            return false;
+        });
+
+        // Drop rows repeated across source files
+        const beforeDedup = this.processedHours;
+        this.processedHours = this.removeCrossFileDuplicates(beforeDedup);
+        if (this.processedHours.length < beforeDedup.length) {
+            const kept = new Set(this.processedHours);
+            beforeDedup.filter(row => !kept.has(row)).forEach(row => {
+                report.addIssue(ISSUE_CATEGORIES.DROPPED, 'כפילות בין קבצים', this.getIssueDetails(row));
+            });
+        }
+
+        // Classifications that matched no work type
+        this.processedHours
+            .filter(row => row.type === WORK_TYPE_OTHER)
+            .forEach(row => report.addUnknownClassification(row.classification, row.hours));
+
+        report.rowsKept = this.processedHours.length;
+        this.importReports.hours = report;
 
         // Debug: show sample with types
         const sample = this.processedHours.slice(0, 3).map(h => ({
@@ -117,6 +370,87 @@ export class DataProcessor {
         this.buildEmployeeSummary();
     }
 
+    /**
+     * Remove rows duplicated across source files (employee + date + task + hours)
+     * Identical rows inside one file are legitimate; a later file only adds
+     * the copies of a row beyond what an earlier file already had.
+     * Every loaded file gets stats, so a file without valid rows is listed with 0 rows
+     */
+    removeCrossFileDuplicates(rows) {
+        const rowKey = (row) => [row.employeeId || row.employee, row.date, row.task, row.hours].join('|');
+        const sourceOrder = [...this.hoursSourceNames];
+        const counts = new Map(); // key -> Map(source -> count)
+
+        rows.forEach(row => {
+            if (!sourceOrder.includes(row.sourceFile)) sourceOrder.push(row.sourceFile);
+
+            const key = rowKey(row);
+            if (!counts.has(key)) counts.set(key, new Map());
+            const perSource = counts.get(key);
+            perSource.set(row.sourceFile, (perSource.get(row.sourceFile) || 0) + 1);
+        });
+
+        // Allowed copies per key per source: beyond the max of earlier sources
+        const allowance = new Map();
+        counts.forEach((perSource, key) => {
+            let maxSoFar = 0;
+            const allowed = new Map();
+            sourceOrder.forEach(source => {
+                const count = perSource.get(source) || 0;
+                allowed.set(source, Math.max(0, count - maxSoFar));
+                maxSoFar = Math.max(maxSoFar, count);
+            });
+            allowance.set(key, allowed);
+        });
+
+        const stats = {};
+        sourceOrder.forEach(source => {
+            stats[source] = { name: source, rows: 0, duplicates: 0 };
+        });
+
+        const kept = rows.filter(row => {
+            const allowed = allowance.get(rowKey(row));
+            const remaining = allowed.get(row.sourceFile);
+            stats[row.sourceFile].rows++;
+
+            if (remaining > 0) {
+                allowed.set(row.sourceFile, remaining - 1);
+                return true;
+            }
+
+            stats[row.sourceFile].duplicates++;
+            return false;
+        });
+
+        this.hoursSources = Object.values(stats);
+
+        const duplicates = rows.length - kept.length;
+        if (duplicates > 0) {
+            console.log(`🔁 Removed ${duplicates} duplicate rows across ${sourceOrder.length} files`);
+        }
+
+        return kept;
+    }
+
+    /**
+     * Get source files with their contribution to the current view
+     * (team and date filters applied)
+     */
+    getSourceFilesSummary() {
+        const view = {};
+        this.getHours().forEach(row => {
+            if (!view[row.sourceFile]) view[row.sourceFile] = { rows: 0, hours: 0 };
+            view[row.sourceFile].rows++;
+            view[row.sourceFile].hours += row.hours;
+        });
+
+        return this.hoursSources.map(source => ({
+            ...source,
+            viewRows: view[source.name] ? view[source.name].rows : 0,
+            viewHours: view[source.name] ? view[source.name].hours : 0
+        }));
+    }
+
     /**
      * Process requirements data
      */
@@ -127,31 +461,57 @@ export class DataProcessor {
             console.log('📋 First requirement row:', this.requirementsData[0]);
         }
 
-        this.processedRequirements = this.requirementsData.map(row => {
-            const budgetRaw = this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.BUDGET);
-            const actualRaw = this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.ACTUAL);
+        const report = new ImportReport('requirements');
+        report.rowsRead = this.requirementsData.length;
+
+        const mapping = this.requirementsMapping;
+        this.processedRequirements = this.requirementsData.map((row, index) => {
+            const field = (name) => this.getField(row, CONFIG.REQUIREMENTS_COLUMNS, name, mapping);
+
+            const id = String(field('ID') || '');
+            const name = String(field('NAME') || '');
+            const details = { row: index + 1, subject: id || name };
+
+            if (!id && !name) {
+                report.addIssue(ISSUE_CATEGORIES.DROPPED, 'ללא מספר ושם דרישה', details);
+                return null;
+            }
+
+            const budgetRaw = field('BUDGET');
+            const actualRaw = field('ACTUAL');
 
             // Clean and parse numbers (remove commas, spaces, etc.)
+            // Unparseable values count as 0 and are reported
             const budget = this.parseNumber(budgetRaw) || 0;
             const actual = this.parseNumber(actualRaw) || 0;
+            if (!this.isBlankValue(budgetRaw) && this.parseNumber(budgetRaw) === null) {
+                report.addIssue(ISSUE_CATEGORIES.NUMBER, 'תקציב לא מספרי (נספר כ-0)', { ...details, value: budgetRaw });
+            }
+            if (!this.isBlankValue(actualRaw) && this.parseNumber(actualRaw) === null) {
+                report.addIssue(ISSUE_CATEGORIES.NUMBER, 'ביצוע לא מספרי (נספר כ-0)', { ...details, value: actualRaw });
+            }
             const utilization = budget > 0 ? (actual / budget) * 100 : 0;
 
             // Get status from file (Active, Backlog, Done, etc.)
-            const fileStatus = String(this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.STATUS) || '').trim();
+            const fileStatus = String(field('STATUS') || '').trim();
 
             return {
-                id: String(this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.ID) || ''),
-                name: String(this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.NAME) || ''),
+                id: id,
+                name: name,
                 budget: budget,
                 actual: actual,
                 remaining: budget - actual, // Calculate remaining
                 utilization: utilization,
                 status: fileStatus || getUtilizationStatus(utilization), // Use file status if available
                 utilizationStatus: getUtilizationStatus(utilization), // Keep utilization status separate
-                requester: String(this.findColumn(row, CONFIG.REQUIREMENTS_COLUMNS.REQUESTER) || ''),
+                requester: String(field('REQUESTER') || ''),
+                sheet: row._sourceSheet || '', // Origin sheet when imported from several sheets
                 raw: row
             };
-        }).filter(row => row.id || row.name);
+        }).filter(Boolean);
+
+        report.rowsKept = this.processedRequirements.length;
+        this.importReports.requirements = report;
 
         console.log('✅ Processed requirements:', this.processedRequirements.length);
         if (this.processedRequirements.length > 0) {
@@ -162,6 +522,22 @@ export class DataProcessor {
         this.linkHoursToRequirements();
     }
 
+    /**
+     * Get field value using the confirmed column mapping
+     * Falls back to alias detection (findColumn) for fields the mapping doesn't cover
+     * @param {Object} row - Raw row
+     * @param {Object} columns - CONFIG.HOURS_COLUMNS / CONFIG.REQUIREMENTS_COLUMNS
+     * @param {String} field - Field key (e.g. 'EMPLOYEE_ID')
+     * @param {Object} mapping - { FIELD: header } ('' = not in file)
+     */
+    getField(row, columns, field, mapping) {
+        if (mapping && mapping[field] !== undefined) {
+            const header = mapping[field];
+            return header && row[header] !== undefined ? row[header] : null;
+        }
+        return this.findColumn(row, columns[field]);
+    }
+
     /**
      * Find column value by possible names
      */
@@ -184,6 +560,27 @@ export class DataProcessor {
         return null;
     }
 
+    /**
+     * Check for an empty cell value
+     */
+    isBlankValue(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    /**
+     * Get import-report details for a processed hours row
+     */
+    getIssueDetails(row) {
+        return { file: row.sourceFile, row: row.sourceRow, subject: row.employee, value: row.hours };
+    }
+
+    /**
+     * Get validation report of the last import ('hours' / 'requirements')
+     */
+    getImportReport(type) {
+        return this.importReports[type];
+    }
+
     /**
      * Parse number from string (remove commas, spaces, etc.)
      */
@@ -201,83 +598,168 @@ export class DataProcessor {
     }
 
     /**
-     * Format date to DD/MM/YYYY
+     * Parse a date value (Excel serial, Date or string) to an ISO date (YYYY-MM-DD)
      */
-    formatDate(dateValue) {
+    parseDate(dateValue) {
         if (!dateValue) return '';
 
-        // Excel serial date
-        if (typeof dateValue === 'number') {
-            const date = new Date((dateValue - 25569) * 86400 * 1000);
-            return date.toLocaleDateString('he-IL');
-        }
+        const pad = (n) => String(n).padStart(2, '0');
+        let date = null;
 
-        // String date
-        if (typeof dateValue === 'string') {
-            // Try parsing various formats
-            const date = new Date(dateValue);
-            if (!isNaN(date)) {
-                return date.toLocaleDateString('he-IL');
+        if (typeof dateValue === 'number') {
+            // Excel serial date (days since 1899-12-30, UTC)
+            date = new Date(Math.round((dateValue - 25569) * 86400 * 1000));
+        } else if (dateValue instanceof Date) {
+            date = new Date(Date.UTC(dateValue.getFullYear(), dateValue.getMonth(), dateValue.getDate()));
+        } else {
+            const str = String(dateValue).trim();
+
+            // DD/MM/YYYY or DD.MM.YYYY (Israeli format)
+            const dmy = str.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})/);
+            if (dmy) {
+                date = new Date(Date.UTC(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1])));
+            } else {
+                const parsed = new Date(str);
+                if (!isNaN(parsed)) {
+                    date = new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+                }
             }
-            return dateValue;
         }
 
-        return String(dateValue);
+        if (!date || isNaN(date)) return '';
+        return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
     }
 
     /**
-     * Classify work type (investment/expense/absence)
+     * Derive period fields from an ISO date
+     * week = ISO date of the week's first day (Sunday), weekday = 0 (Sun) - 6 (Sat)
      */
-    classifyWorkType(typeValue) {
-        if (!typeValue) return 'אחר';
+    getDateFields(isoDate) {
+        if (!isoDate) {
+            return { date: '', year: null, month: null, monthKey: '', week: '', weekday: null };
+        }
 
-        const type = String(typeValue).toLowerCase();
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        const weekday = date.getUTCDay();
+        const weekStart = new Date(date);
+        weekStart.setUTCDate(date.getUTCDate() - weekday);
 
-        // Check investment
-        for (const inv of CONFIG.WORK_TYPES.INVESTMENT) {
-            if (type.includes(inv.toLowerCase())) {
-                return 'השקעה';
-            }
-        }
+        return {
+            date: isoDate,
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            monthKey: isoDate.slice(0, 7), // YYYY-MM
+            week: weekStart.toISOString().slice(0, 10),
+            weekday: weekday
+        };
+    }
 
-        // Check expense
-        for (const exp of CONFIG.WORK_TYPES.EXPENSE) {
-            if (type.includes(exp.toLowerCase())) {
-                return 'הוצאה';
-            }
-        }
+    /**
+     * Preview classification rules against all processed hours (see ClassificationRules.preview)
+     */
+    previewClassificationRules(rules) {
+        return this.classificationRules.preview(this.processedHours, rules);
+    }
 
-        // Check absence
-        for (const abs of CONFIG.WORK_TYPES.ABSENCE) {
-            if (type.includes(abs.toLowerCase())) {
-                return 'היעדרות';
+    /**
+     * Preview requirement number patterns against all processed hours (see RequirementMatcher.preview)
+     */
+    previewRequirementPatterns(patterns) {
+        const knownIds = new Set(this.processedRequirements.map(req => req.id));
+        return this.requirementMatcher.preview(this.processedHours, patterns, knownIds);
+    }
+
+    /**
+     * Get hours rows referencing a requirement number that is not in the requirements file
+     * (selected date range, all teams)
+     * @returns {Object} { requirements: [{ requirement, rows, hours, employees, examples }], rows: [...] }
+     */
+    getUnknownRequirementReferences() {
+        const knownIds = new Set(this.processedRequirements.map(req => req.id));
+        const byRequirement = {};
+        const rows = [];
+
+        this.getHoursInRange().forEach(row => {
+            if (!row.requirement || knownIds.has(row.requirement)) return;
+
+            const found = this.requirementMatcher.find(row);
+            const text = found ? found.text : row.taskField;
+            const fieldLabel = found ? PATTERN_FIELDS[found.field].label : '';
+
+            if (!byRequirement[row.requirement]) {
+                byRequirement[row.requirement] = {
+                    requirement: row.requirement,
+                    rows: 0,
+                    hours: 0,
+                    employees: new Set(),
+                    examples: new Set()
+                };
             }
-        }
+            const entry = byRequirement[row.requirement];
+            entry.rows++;
+            entry.hours += row.hours;
+            entry.employees.add(row.employee);
+            if (entry.examples.size < 3) entry.examples.add(`${fieldLabel}: ${text}`);
+
+            rows.push({
+                requirement: row.requirement,
+                employee: row.employee,
+                date: row.date,
+                hours: row.hours,
+                field: fieldLabel,
+                text,
+                file: row.sourceFile,
+                row: row.sourceRow
+            });
+        });
 
-        return 'אחר';
+        return {
+            requirements: Object.values(byRequirement)
+                .map(entry => ({ ...entry, employees: Array.from(entry.employees), examples: Array.from(entry.examples) }))
+                .sort((a, b) => b.hours - a.hours),
+            rows
+        };
     }
 
     /**
-     * Extract requirement number from task description
-     * Pattern: "123456 - Task Name"
+     * Build employee summaries: the selected team's from its hours (so an employee who moved
+     * teams shows only the hours of the team's period), and everyone's in the date range
      */
-    extractRequirement(task) {
-        if (!task) return '';
-        const match = String(task).match(/^(\d{4,6})\s*-/);
-        return match ? match[1] : '';
+    buildEmployeeSummary() {
+        const hoursInRange = this.getHoursInRange();
+        const teamHours = this.getHours();
+        this.allEmployeeSummary = this.summarizeEmployees(hoursInRange);
+        this.employeeSummary = teamHours === hoursInRange ? this.allEmployeeSummary : this.summarizeEmployees(teamHours);
+
+        // Debug: show sample employees with their breakdown
+        const sampleEmployees = Object.values(this.employeeSummary).slice(0, 2).map(emp => ({
+            name: emp.name,
+            employeeTypeRaw: emp.employeeType,
+            type: emp.type,
+            totalHours: emp.totalHours,
+            investmentHours: emp.investmentHours,
+            expenseHours: emp.expenseHours,
+            investmentPercent: emp.investmentPercent.toFixed(1) + '%',
+            expensePercent: emp.expensePercent.toFixed(1) + '%'
+        }));
+        console.log('✅ Employee summary:', sampleEmployees);
+
+        // Build task matrix
+        this.buildTaskMatrix();
     }
 
     /**
-     * Build employee summary from hours
+     * Summarize hours per employee
+     * @returns {Object} employee key -> { name, id, type, totalHours, investmentPercent, ... }
      */
-    buildEmployeeSummary() {
-        this.employeeSummary = {};
+    summarizeEmployees(hours) {
+        const summary = {};
 
-        this.processedHours.forEach(row => {
+        hours.forEach(row => {
             const key = row.employeeId || row.employee;
 
-            if (!this.employeeSummary[key]) {
-                this.employeeSummary[key] = {
+            if (!summary[key]) {
+                summary[key] = {
                     name: row.employee,
                     id: row.employeeId,
                     employeeType: row.employeeType, // Direct from Excel (already normalized)
@@ -292,7 +774,7 @@ export class DataProcessor {
                 };
             }
 
-            const emp = this.employeeSummary[key];
+            const emp = summary[key];
             emp.totalHours += row.hours;
 
             // Use the already classified type from processedHours
@@ -310,7 +792,7 @@ export class DataProcessor {
         });
 
         // Calculate percentages and normalize employee type
-        Object.values(this.employeeSummary).forEach(emp => {
+        Object.values(summary).forEach(emp => {
             emp.investmentPercent = emp.totalHours > 0
                 ? (emp.investmentHours / emp.totalHours) * 100
                 : 0;
@@ -342,21 +824,7 @@ export class DataProcessor {
             }
         });
 
-        // Debug: show sample employees with their breakdown
-        const sampleEmployees = Object.values(this.employeeSummary).slice(0, 2).map(emp => ({
-            name: emp.name,
-            employeeTypeRaw: emp.employeeType,
-            type: emp.type,
-            totalHours: emp.totalHours,
-            investmentHours: emp.investmentHours,
-            expenseHours: emp.expenseHours,
-            investmentPercent: emp.investmentPercent.toFixed(1) + '%',
-            expensePercent: emp.expensePercent.toFixed(1) + '%'
-        }));
-        console.log('✅ Employee summary:', sampleEmployees);
-
-        // Build task matrix
-        this.buildTaskMatrix();
+        return summary;
     }
 
     /**
@@ -365,7 +833,7 @@ export class DataProcessor {
     buildTaskMatrix() {
         const taskData = {};
 
-        this.processedHours.forEach(row => {
+        this.getHoursInRange().forEach(row => {
             const task = row.task;
             if (!task) return;
 
@@ -496,9 +964,91 @@ export class DataProcessor {
 
     /**
      * Get Exceptions Data
+     * Combines Snow exceptions (sheet 2) with computed daily compliance
      */
     getExceptions() {
-        return this.exceptionsData || [];
+        const sheetExceptions = (this.exceptionsData || []).map(row => ({
+            'מקור': 'Snow',
+            ...row
+        }));
+
+        return [...sheetExceptions, ...this.getComplianceExceptions()];
+    }
+
+    /**
+     * Compute daily hours compliance per employee (respects team filter)
+     * Flags days above MAX_DAILY_HOURS, below MIN_DAILY_HOURS
+     * and working days with no report at all - between the employee's own first and last
+     * reported day (clipped to the date range), so hires and leavers are not flagged outside it,
+     * and only while the employee was in the unit (dated memberships)
+     * @param {Array} hoursData - Hours rows (defaults to filtered hours)
+     * @param {String} teamId - Unit the rows belong to (defaults to the selected team)
+     */
+    getComplianceExceptions(hoursData = this.getHours(), teamId = this.teamFilter ? this.teamFilter.getCurrentTeam() : 'all') {
+        const employees = {};
+
+        // Sum hours per employee per day
+        hoursData.forEach(row => {
+            if (!row.date) return;
+
+            const empKey = row.employeeId || row.employee;
+            if (!employees[empKey]) {
+                employees[empKey] = { name: row.employee, id: row.employeeId, days: {}, firstDay: row.date, lastDay: row.date };
+            }
+
+            const emp = employees[empKey];
+            emp.days[row.date] = (emp.days[row.date] || 0) + row.hours;
+            if (row.date < emp.firstDay) emp.firstDay = row.date;
+            if (row.date > emp.lastDay) emp.lastDay = row.date;
+        });
+
+        const range = this.dateFilter ? this.dateFilter.getRange() : {};
+        const getWorkingDays = (firstDay, lastDay) => {
+            const workingDays = [];
+            const cursor = new Date(`${range.from && range.from > firstDay ? range.from : firstDay}T00:00:00Z`);
+            const end = new Date(`${range.to && range.to < lastDay ? range.to : lastDay}T00:00:00Z`);
+            while (cursor <= end) {
+                if (CONFIG.WORKING_WEEKDAYS.includes(cursor.getUTCDay())) {
+                    workingDays.push(cursor.toISOString().slice(0, 10));
+                }
+                cursor.setUTCDate(cursor.getUTCDate() + 1);
+            }
+            return workingDays;
+        };
+
+        const exceptions = [];
+        const addException = (emp, dayKey, label, hours) => {
+            exceptions.push({
+                'מקור': 'חישוב מערכת',
+                'שם עובד': emp.name,
+                'מספר עובד': emp.id,
+                'תאריך': dayKey,
+                'סוג חריגה': label,
+                'שעות מדווחות': Math.round(hours * 100) / 100
+            });
+        };
+
+        Object.values(employees).forEach(emp => {
+            Object.entries(emp.days).forEach(([dayKey, hours]) => {
+                if (hours > CONFIG.MAX_DAILY_HOURS) {
+                    addException(emp, dayKey, `דיווח עודף (מעל ${CONFIG.MAX_DAILY_HOURS} שעות)`, hours);
+                } else if (hours < CONFIG.MIN_DAILY_HOURS) {
+                    addException(emp, dayKey, `דיווח חסר (פחות מ-${CONFIG.MIN_DAILY_HOURS} שעות)`, hours);
+                }
+            });
+
+            getWorkingDays(emp.firstDay, emp.lastDay).forEach(dayKey => {
+                const inTeam = !this.teamFilter || this.teamFilter.isEmployeeInTeam(teamId, emp.id, dayKey);
+                if (emp.days[dayKey] === undefined && inTeam) {
+                    addException(emp, dayKey, 'ללא דיווח', 0);
+                }
+            });
+        });
+
+        return exceptions.sort((a, b) =>
+            String(a['שם עובד']).localeCompare(String(b['שם עובד']), 'he') ||
+            a['תאריך'].localeCompare(b['תאריך'])
+        );
     }
 
     /**
@@ -523,27 +1073,274 @@ export class DataProcessor {
         return totals;
     }
 
+    /**
+     * Get monthly investment/expense/absence trend
+     * @param {Array} hoursData - Hours rows (defaults to filtered hours)
+     */
+    getMonthlyTrend(hoursData = this.getHours()) {
+        const months = {};
+
+        hoursData.forEach(row => {
+            if (!row.monthKey) return;
+
+            if (!months[row.monthKey]) {
+                months[row.monthKey] = {
+                    monthKey: row.monthKey,
+                    totalHours: 0,
+                    investmentHours: 0,
+                    expenseHours: 0,
+                    absenceHours: 0
+                };
+            }
+
+            const month = months[row.monthKey];
+            month.totalHours += row.hours;
+            if (row.type === 'השקעה') month.investmentHours += row.hours;
+            else if (row.type === 'הוצאה') month.expenseHours += row.hours;
+            else if (row.type === 'היעדרות') month.absenceHours += row.hours;
+        });
+
+        return Object.values(months)
+            .sort((a, b) => a.monthKey.localeCompare(b.monthKey))
+            .map((month, index, arr) => {
+                const percent = (hours) => month.totalHours > 0 ? (hours / month.totalHours) * 100 : 0;
+                const investmentPercent = percent(month.investmentHours);
+                const previous = arr[index - 1];
+                const previousPercent = previous && previous.totalHours > 0
+                    ? (previous.investmentHours / previous.totalHours) * 100
+                    : null;
+
+                return {
+                    ...month,
+                    investmentPercent,
+                    expensePercent: percent(month.expenseHours),
+                    absencePercent: percent(month.absenceHours),
+                    // Change in investment % vs previous month (null for first month)
+                    investmentChange: previousPercent === null ? null : investmentPercent - previousPercent
+                };
+            });
+    }
+
+    /**
+     * Get monthly trend for a single employee
+     */
+    getEmployeeMonthlyTrend(employeeIdOrName) {
+        const employeeHours = this.getHoursInRange().filter(h =>
+            (h.employeeId && h.employeeId === employeeIdOrName) ||
+            h.employee === employeeIdOrName
+        );
+        return this.getMonthlyTrend(employeeHours);
+    }
+
+    /**
+     * Get dataset summary for snapshots (all loaded data, ignores team and date filters)
+     * @returns {Object} { requirements: [...], employees: [...], totalHours, from, to }
+     */
+    getSnapshotSummary() {
+        const employees = {};
+        let totalHours = 0;
+        let from = '';
+        let to = '';
+
+        this.processedHours.forEach(row => {
+            const key = row.employeeId || row.employee;
+            if (!employees[key]) {
+                employees[key] = {
+                    id: row.employeeId,
+                    name: row.employee,
+                    totalHours: 0,
+                    investmentHours: 0
+                };
+            }
+            employees[key].totalHours += row.hours;
+            if (row.type === 'השקעה') employees[key].investmentHours += row.hours;
+
+            totalHours += row.hours;
+            if (row.date && (!from || row.date < from)) from = row.date;
+            if (row.date && (!to || row.date > to)) to = row.date;
+        });
+
+        return {
+            totalHours,
+            from,
+            to,
+            employees: Object.values(employees).map(emp => ({
+                ...emp,
+                investmentPercent: emp.totalHours > 0 ? (emp.investmentHours / emp.totalHours) * 100 : 0
+            })),
+            requirements: this.processedRequirements.map(req => ({
+                id: req.id,
+                name: req.name,
+                budget: req.budget,
+                actual: req.actual,
+                utilization: req.utilization
+            }))
+        };
+    }
+
     /**
      * Link hours data to requirements
      */
     linkHoursToRequirements() {
-        // Calculate actual hours per requirement
+        // Calculate actual hours and their cost (rate of each employee on each date) per requirement
         const hoursPerReq = {};
+        const costPerReq = {};
 
-        this.processedHours.forEach(row => {
+        this.getHoursInRange().forEach(row => {
             if (row.requirement) {
                 hoursPerReq[row.requirement] = (hoursPerReq[row.requirement] || 0) + row.hours;
+                costPerReq[row.requirement] = (costPerReq[row.requirement] || 0) + this.rateTable.getCost(row);
             }
         });
 
         // Update requirements with actual hours
         this.processedRequirements.forEach(req => {
-            const hours = hoursPerReq[req.id] || 0;
-            req.actualHours = hours;
-            req.actualCost = hours * (CONFIG.MONTHLY_RATE / (CONFIG.WORKING_DAYS_PER_MONTH * CONFIG.EXPECTED_DAILY_HOURS));
+            req.actualHours = hoursPerReq[req.id] || 0;
+            req.actualCost = costPerReq[req.id] || 0;
+        });
+
+        this.updateForecasts();
+    }
+
+    /**
+     * Forecast year-end spend of each requirement from its burn rate
+     * (Atlas actuals across snapshots, else linked hours cost per month).
+     * Uses all hours of the year - the date filter doesn't change the forecast.
+     */
+    updateForecasts() {
+        if (this.processedRequirements.length === 0) return;
+
+        const forecaster = new SpendForecast();
+        const atlasHistory = forecaster.buildAtlasHistory(this.spendHistory);
+        const monthlyCosts = forecaster.buildMonthlyCosts(this.processedHours, row => this.rateTable.getCost(row));
+
+        this.processedRequirements.forEach(req => {
+            Object.assign(req, forecaster.forecast(req, atlasHistory, monthlyCosts));
         });
     }
 
+    /**
+     * Reconcile Atlas actual spend with the cost of linked hours, per requirement
+     * gap = Atlas actual - hours cost; largest gaps first
+     * @returns {Array} [{ id, name, status, budget, actual, actualHours, hoursCost, gap, gapPercent, isLarge, hoursOnly, atlasOnly }]
+     */
+    getReconciliation() {
+        return this.processedRequirements.map(req => {
+            const hoursCost = req.actualCost || 0;
+            const gap = req.actual - hoursCost;
+            const base = Math.max(Math.abs(req.actual), hoursCost);
+            const gapPercent = base > 0 ? (Math.abs(gap) / base) * 100 : 0;
+
+            return {
+                id: req.id,
+                name: req.name,
+                status: req.status,
+                budget: req.budget,
+                actual: req.actual,
+                actualHours: req.actualHours || 0,
+                hoursCost,
+                gap,
+                gapPercent,
+                isLarge: Math.abs(gap) >= CONFIG.RECONCILIATION_MIN_GAP && gapPercent >= CONFIG.RECONCILIATION_GAP_PERCENT,
+                hoursOnly: hoursCost > 0 && req.actual === 0,
+                atlasOnly: req.actual > 0 && hoursCost === 0
+            };
+        }).sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap));
+    }
+
+    /**
+     * Compare the capacity plan with actual hours, for the planned months within the date range
+     * All teams are included - the result breaks down per team
+     * @returns {Object} CapacityPlan.getVariance() result
+     */
+    getPlanVariance() {
+        const range = this.dateFilter ? this.dateFilter.getRange() : {};
+        const fromMonth = range.from ? range.from.slice(0, 7) : '';
+        const toMonth = range.to ? range.to.slice(0, 7) : '';
+        const entries = this.capacityPlan.getEntries().filter(entry =>
+            (!fromMonth || entry.month >= fromMonth) && (!toMonth || entry.month <= toMonth)
+        );
+
+        const names = {};
+        this.processedRequirements.forEach(req => { names[req.id] = req.name; });
+
+        return this.capacityPlan.getVariance(entries, this.processedHours, {
+            // Team in the plan month (dated memberships), checked on its first day
+            getTeam: (employeeId, month) => {
+                const team = this.teamFilter && employeeId ? this.teamFilter.getEmployeeTeam(employeeId, month ? `${month}-01` : null) : null;
+                return team ? team.name : null;
+            },
+            getRequirementName: (id) => names[id] || ''
+        });
+    }
+
+    /**
+     * Compare units side by side over the selected date range
+     * Hours are attributed by the membership on each row's date; exceptions are the computed
+     * compliance exceptions of the unit's hours plus Snow exceptions of its employees
+     * @param {Array} teamIds - Units to compare
+     * @param {String} scopeId - Unit of the total row ('all' = everyone)
+     * @returns {Object} { teams: [summary], total: summary }
+     *   summary: { teamId, team, employees, totalHours, investmentPercent, expensePercent,
+     *   lowInvestment: [name], exceptions, topTasks: [{ task, hours }] }
+     */
+    getTeamComparison(teamIds, scopeId = 'all', lowInvestmentThreshold = 65) {
+        const hours = this.getHoursInRange();
+        const summarize = (teamId) => {
+            const team = this.teamFilter.getTeam(teamId);
+            const rows = this.teamFilter.filterHoursData(hours, teamId);
+            const employees = {};
+            const tasks = {};
+            let totalHours = 0;
+            let investmentHours = 0;
+            let expenseHours = 0;
+
+            rows.forEach(row => {
+                const key = row.employeeId || row.employee;
+                const emp = employees[key] = employees[key] || { id: row.employeeId, name: row.employee, totalHours: 0, investmentHours: 0 };
+                emp.totalHours += row.hours;
+                totalHours += row.hours;
+
+                if (row.type === 'השקעה') {
+                    emp.investmentHours += row.hours;
+                    investmentHours += row.hours;
+                } else if (row.type === 'הוצאה') {
+                    expenseHours += row.hours;
+                }
+
+                const task = row.task || 'ללא משימה';
+                tasks[task] = (tasks[task] || 0) + row.hours;
+            });
+
+            const ids = new Set(Object.values(employees).map(emp => String(emp.id || '').trim()).filter(Boolean));
+            const sheetExceptions = (this.exceptionsData || []).filter(row => ids.has(String(row['מספר עובד'] ?? '').trim()));
+            const complianceExceptions = this.getComplianceExceptions(rows, teamId);
+
+            return {
+                teamId,
+                team: team ? team.name : teamId,
+                employees: Object.keys(employees).length,
+                totalHours,
+                investmentPercent: totalHours > 0 ? (investmentHours / totalHours) * 100 : 0,
+                expensePercent: totalHours > 0 ? (expenseHours / totalHours) * 100 : 0,
+                lowInvestment: Object.values(employees)
+                    .filter(emp => emp.totalHours > 0 && (emp.investmentHours / emp.totalHours) * 100 < lowInvestmentThreshold)
+                    .map(emp => emp.name)
+                    .sort((a, b) => a.localeCompare(b, 'he')),
+                exceptions: sheetExceptions.length + complianceExceptions.length,
+                topTasks: Object.entries(tasks)
+                    .map(([task, taskHours]) => ({ task, hours: taskHours }))
+                    .sort((a, b) => b.hours - a.hours)
+                    .slice(0, CONFIG.TEAM_COMPARISON_TOP_TASKS)
+            };
+        };
+
+        return {
+            teams: teamIds.map(summarize),
+            total: summarize(scopeId)
+        };
+    }
+
     /**
      * Get statistics for KPIs
      */
@@ -567,11 +1364,20 @@ export class DataProcessor {
         };
     }
 
+    /**
+     * Get processed hours within the selected date range (no team filter)
+     */
+    getHoursInRange() {
+        if (!this.dateFilter) return this.processedHours;
+        return this.dateFilter.filterHoursData(this.processedHours);
+    }
+
     /**
      * Get processed hours data
+     * Date range always applies, skipFilter skips the team filter only
      */
     getHours(skipFilter = false) {
-        let hours = this.processedHours;
+        let hours = this.getHoursInRange();
 
         // Apply team filter if available AND not skipped
         if (this.teamFilter && !skipFilter) {
@@ -597,24 +1403,22 @@ export class DataProcessor {
 
     /**
      * Get employee details by ID or name
+     * Employees of the selected team get the team's hours; others (e.g. from global search) all their hours
      */
     getEmployeeDetails(employeeIdOrName) {
         if (!this.employeeSummary) return null;
 
         // Try to find by ID first, then by name
-        let employee = this.employeeSummary[employeeIdOrName];
-
-        if (!employee) {
-            // Try to find by name
-            employee = Object.values(this.employeeSummary).find(emp =>
-                emp.name === employeeIdOrName || emp.id === employeeIdOrName
-            );
-        }
+        const find = (summary) => summary[employeeIdOrName] || Object.values(summary).find(emp =>
+            emp.name === employeeIdOrName || emp.id === employeeIdOrName
+        );
+        const teamEmployee = find(this.employeeSummary);
+        const employee = teamEmployee || find(this.allEmployeeSummary || {});
 
         if (!employee) return null;
 
         // Get all hours records for this employee
-        const employeeHours = this.processedHours.filter(h =>
+        const employeeHours = (teamEmployee ? this.getHours() : this.getHoursInRange()).filter(h =>
             (h.employeeId && h.employeeId === employee.id) ||
             (h.employee === employee.name)
         );
@@ -648,10 +1452,9 @@ export class DataProcessor {
             ...employee,
             tasks: tasksArray.sort((a, b) => b.totalHours - a.totalHours),
             totalRecords: employeeHours.length,
-            firstDate: employeeHours.length > 0 ?
-                employeeHours.reduce((min, h) => !min || h.date < min ? h.date : min, null) : null,
-            lastDate: employeeHours.length > 0 ?
-                employeeHours.reduce((max, h) => !max || h.date > max ? h.date : null, null) : null
+            // ISO dates compare correctly as strings
+            firstDate: employeeHours.reduce((min, h) => h.date && (!min || h.date < min) ? h.date : min, null),
+            lastDate: employeeHours.reduce((max, h) => h.date && (!max || h.date > max) ? h.date : max, null)
         };
     }
 
@@ -659,10 +1462,10 @@ export class DataProcessor {
      * Search in data
      */
     searchHours(query) {
-        if (!query) return this.processedHours;
+        if (!query) return this.getHours();
 
         const q = query.toLowerCase();
-        return this.processedHours.filter(row =>
+        return this.getHours().filter(row =>
             row.employee.toLowerCase().includes(q) ||
             row.task.toLowerCase().includes(q) ||
             row.requirement.includes(q)
@@ -694,6 +1497,10 @@ export class DataProcessor {
             return this.processedRequirements.filter(req => req.utilization > CONFIG.BUDGET_OVERRUN_THRESHOLD);
         }
 
+        if (status === 'projectedOverrun') {
+            return this.processedRequirements.filter(req => req.projectedOverrun);
+        }
+
         // Filter by status from file (Active, Backlog, Done, etc.)
         return this.processedRequirements.filter(req =>
             req.status && req.status.toLowerCase() === status.toLowerCase()
@@ -717,23 +1524,18 @@ export class DataProcessor {
         const overbudget = this.processedRequirements.filter(req =>
             req.utilization > CONFIG.BUDGET_OVERRUN_THRESHOLD
         ).length;
+        const projectedOverrun = this.processedRequirements.filter(req => req.projectedOverrun).length;
 
-        return { all, active, backlog, done, overbudget };
+        return { all, active, backlog, done, overbudget, projectedOverrun };
     }
 
     /**
      * Get employees as array sorted by total hours
+     * The selected team's summary, or everyone's when skipFilter is set
      */
     getEmployeesArray(skipFilter = false) {
-        let employees = Object.values(this.employeeSummary)
+        return Object.values(skipFilter ? this.allEmployeeSummary : this.employeeSummary)
             .sort((a, b) => b.totalHours - a.totalHours);
-
-        // Apply team filter if available AND not skipped
-        if (this.teamFilter && !skipFilter) {
-            employees = this.teamFilter.filterEmployees(employees);
-        }
-
-        return employees;
     }
 
     /**
@@ -746,8 +1548,19 @@ export class DataProcessor {
 
     /**
      * Get tasks grouped by task name with employee details
+     * Uses the worker result while it matches the current filters
      */
     getTasksGrouped(skipFilter = false) {
+        if (this.workerViews && this.workerViews.filterKey === JSON.stringify(this.getFilterState())) {
+            return skipFilter ? this.workerViews.allTasks : this.workerViews.tasks;
+        }
+        return this.computeTasksGrouped(skipFilter);
+    }
+
+    /**
+     * Group hours by task name with employee details
+     */
+    computeTasksGrouped(skipFilter = false) {
         const hours = this.getHours(skipFilter);
         const tasksMap = new Map();
 
@@ -0,0 +1,140 @@
+/**
+ * ============================================
+ * Data Worker Client
+ * ============================================
+ * Main-thread side of the data worker (js/workers/data-worker.js):
+ * request/response messaging, progress callbacks and cancel.
+ * Callers fall back to the main thread when isReady() is false.
+ */
+
+// Error name of requests rejected by cancel()
+export const LOAD_CANCELLED = 'LoadCancelled';
+
+export class DataWorkerClient {
+    constructor() {
+        this.scriptUrl = new URL('../workers/data-worker.js', import.meta.url);
+        this.worker = null;
+        this.readyPromise = null;
+        this.pending = new Map(); // id -> { resolve, reject, onProgress }
+        this.nextId = 1;
+        this.generation = 0;      // Incremented on every (re)start - worker state is lost on restart
+    }
+
+    /**
+     * Check Web Worker support
+     */
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Start the worker once; resolves false if it cannot load (e.g. opened from file://)
+     */
+    start() {
+        if (this.readyPromise) return this.readyPromise;
+
+        this.generation++;
+        this.readyPromise = new Promise(resolve => {
+            if (!this.isSupported()) {
+                resolve(false);
+                return;
+            }
+
+            try {
+                this.worker = new Worker(this.scriptUrl);
+            } catch (error) {
+                console.warn('Data worker unavailable, processing on main thread:', error);
+                resolve(false);
+                return;
+            }
+
+            this.worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'ready' || message.type === 'failed') {
+                    if (message.type === 'failed') {
+                        console.warn('Data worker failed to load, processing on main thread:', message.error);
+                    }
+                    resolve(message.type === 'ready');
+                    return;
+                }
+                this.handleMessage(message);
+            };
+
+            this.worker.onerror = (e) => {
+                console.error('Data worker error:', e.message);
+                resolve(false);
+                this.rejectAll(new Error(e.message || 'שגיאה בעיבוד הנתונים'));
+            };
+        });
+
+        return this.readyPromise;
+    }
+
+    /**
+     * Check if requests can be sent to the worker
+     */
+    isReady() {
+        return this.start();
+    }
+
+    /**
+     * Send request to the worker
+     * @param {String} action - Worker handler name
+     * @param {Object} payload - Structured-cloneable data
+     * @param {Function} onProgress - Optional (label, percent) callback
+     * @returns {Promise<*>} Handler result
+     */
+    async request(action, payload = {}, onProgress = null) {
+        const ready = await this.start();
+        if (!ready) throw new Error('Data worker is not available');
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, action, payload });
+        });
+    }
+
+    /**
+     * Route worker message (progress or result) to its request
+     */
+    handleMessage({ id, progress, result, error }) {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+
+        if (progress) {
+            if (entry.onProgress) entry.onProgress(progress.label, progress.percent);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (error) {
+            entry.reject(new Error(error));
+        } else {
+            entry.resolve(result);
+        }
+    }
+
+    /**
+     * Cancel running work: the worker is terminated and restarted on the next request
+     */
+    cancel() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.readyPromise = null;
+
+        const error = new Error('הטעינה בוטלה');
+        error.name = LOAD_CANCELLED;
+        this.rejectAll(error);
+    }
+
+    /**
+     * Reject all pending requests
+     */
+    rejectAll(error) {
+        this.pending.forEach(entry => entry.reject(error));
+        this.pending.clear();
+    }
+}
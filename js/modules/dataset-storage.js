@@ -0,0 +1,183 @@
+/**
+ * ============================================
+ * Dataset Storage Module
+ * ============================================
+ * IndexedDB persistence for loaded datasets (hours, requirements)
+ * Small preferences (team, tab, date range) stay in localStorage
+ */
+
+const DB_NAME = 'matafOS';
+const DB_VERSION = 3;
+const STORE_NAME = 'datasets';
+const SNAPSHOT_STORE_NAME = 'snapshots';
+const FILE_LINK_STORE_NAME = 'fileLinks';
+
+export class DatasetStorage {
+    constructor() {
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Check IndexedDB support
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade) the database once
+     */
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB לא נתמך בדפדפן'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+                    db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(FILE_LINK_STORE_NAME)) {
+                    db.createObjectStore(FILE_LINK_STORE_NAME, { keyPath: 'type' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+
+        // Ask the browser not to evict our data under storage pressure
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => { });
+        }
+
+        // Allow a retry after a failed open
+        this.openPromise.catch(() => { this.openPromise = null; });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Run a request inside a transaction
+     */
+    async run(mode, action, storeName = STORE_NAME) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const store = tx.objectStore(storeName);
+            const request = action(store);
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error || (request && request.error));
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Save dataset under key
+     */
+    async save(key, data) {
+        await this.run('readwrite', store => store.put({ key, data, savedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Load dataset by key (null if missing)
+     */
+    async load(key) {
+        const record = await this.run('readonly', store => store.get(key));
+        return record ? record.data : null;
+    }
+
+    /**
+     * Remove dataset by key
+     */
+    async remove(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Save snapshot record ({ id, name, createdAt, ... })
+     */
+    async saveSnapshot(snapshot) {
+        await this.run('readwrite', store => store.put(snapshot), SNAPSHOT_STORE_NAME);
+    }
+
+    /**
+     * Load all snapshots (oldest first)
+     */
+    async loadSnapshots() {
+        const snapshots = await this.run('readonly', store => store.getAll(), SNAPSHOT_STORE_NAME);
+        return (snapshots || []).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    /**
+     * Remove snapshot by id
+     */
+    async removeSnapshot(id) {
+        await this.run('readwrite', store => store.delete(id), SNAPSHOT_STORE_NAME);
+    }
+
+    /**
+     * Save file link record ({ type, handle, ... }) - file handles are stored as-is
+     */
+    async saveFileLink(link) {
+        await this.run('readwrite', store => store.put(link), FILE_LINK_STORE_NAME);
+    }
+
+    /**
+     * Load all file links
+     */
+    async loadFileLinks() {
+        return (await this.run('readonly', store => store.getAll(), FILE_LINK_STORE_NAME)) || [];
+    }
+
+    /**
+     * Remove file link by dataset type
+     */
+    async removeFileLink(type) {
+        await this.run('readwrite', store => store.delete(type), FILE_LINK_STORE_NAME);
+    }
+
+    /**
+     * Get storage usage estimate in bytes ({ usage, quota } or null)
+     */
+    async getUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Format bytes for display
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit > 1 ? 1 : 0)} ${units[unit]}`;
+    }
+}
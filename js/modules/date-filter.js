@@ -0,0 +1,199 @@
+/**
+ * ============================================
+ * Date Filter Module
+ * ============================================
+ * Manages the global date-range filter (all tabs)
+ */
+
+export class DateFilter {
+    constructor() {
+        this.preset = 'all';
+        this.from = '';   // ISO date (YYYY-MM-DD), inclusive
+        this.to = '';     // ISO date (YYYY-MM-DD), inclusive
+        this.onRangeChange = null;
+    }
+
+    /**
+     * Initialize date range controls
+     */
+    init(onRangeChangeCallback) {
+        this.onRangeChange = onRangeChangeCallback;
+
+        // Load saved range before data is processed
+        const saved = this.loadSavedRange();
+        if (saved) {
+            this.applyRange(saved.preset, saved.from, saved.to);
+            console.log(`💾 Loaded saved date range: ${this.preset}`);
+        }
+
+        const presetSelector = document.getElementById('dateRangePreset');
+        const fromInput = document.getElementById('dateRangeFrom');
+        const toInput = document.getElementById('dateRangeTo');
+
+        if (!presetSelector || !fromInput || !toInput) {
+            console.warn('Date range controls not found');
+            return;
+        }
+
+        this.updateControls();
+
+        presetSelector.addEventListener('change', (e) => {
+            const preset = e.target.value;
+            if (preset === 'custom') {
+                // Keep current bounds, let the user edit them
+                this.setRange('custom', this.from, this.to);
+            } else {
+                this.setRange(preset);
+            }
+        });
+
+        const onInputChange = () => this.setRange('custom', fromInput.value, toInput.value);
+        fromInput.addEventListener('change', onInputChange);
+        toInput.addEventListener('change', onInputChange);
+    }
+
+    /**
+     * Set range, persist and trigger callback
+     */
+    setRange(preset, from = '', to = '') {
+        this.applyRange(preset, from, to);
+        this.updateControls();
+        this.saveRange();
+
+        console.log(`📅 Date range changed to: ${this.preset} (${this.from || '…'} - ${this.to || '…'})`);
+
+        if (this.onRangeChange) {
+            this.onRangeChange(this.getRange());
+        }
+    }
+
+    /**
+     * Resolve preset to concrete bounds
+     */
+    applyRange(preset, from = '', to = '') {
+        if (preset === 'custom') {
+            this.preset = 'custom';
+            this.from = from || '';
+            this.to = to || '';
+            // Swap reversed bounds
+            if (this.from && this.to && this.from > this.to) {
+                [this.from, this.to] = [this.to, this.from];
+            }
+            return;
+        }
+
+        const bounds = this.getPresetBounds(preset);
+        this.preset = bounds ? preset : 'all';
+        this.from = bounds ? bounds.from : '';
+        this.to = bounds ? bounds.to : '';
+    }
+
+    /**
+     * Get bounds for a preset relative to today (null for 'all' / unknown)
+     */
+    getPresetBounds(preset, today = new Date()) {
+        const year = today.getFullYear();
+        const month = today.getMonth();
+
+        switch (preset) {
+            case 'thisMonth':
+                return { from: this.toISODate(new Date(year, month, 1)), to: this.toISODate(new Date(year, month + 1, 0)) };
+            case 'lastMonth':
+                return { from: this.toISODate(new Date(year, month - 1, 1)), to: this.toISODate(new Date(year, month, 0)) };
+            case 'quarterToDate':
+                return { from: this.toISODate(new Date(year, month - (month % 3), 1)), to: this.toISODate(today) };
+            case 'yearToDate':
+                return { from: this.toISODate(new Date(year, 0, 1)), to: this.toISODate(today) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Format local date as ISO (YYYY-MM-DD)
+     */
+    toISODate(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Sync header controls with current range
+     */
+    updateControls() {
+        const presetSelector = document.getElementById('dateRangePreset');
+        const fromInput = document.getElementById('dateRangeFrom');
+        const toInput = document.getElementById('dateRangeTo');
+
+        if (presetSelector) presetSelector.value = this.preset;
+        if (fromInput) {
+            fromInput.value = this.from;
+            fromInput.classList.toggle('hidden', this.preset === 'all');
+        }
+        if (toInput) {
+            toInput.value = this.to;
+            toInput.classList.toggle('hidden', this.preset === 'all');
+        }
+    }
+
+    /**
+     * Save selected range to localStorage
+     */
+    saveRange() {
+        try {
+            localStorage.setItem('matafOS_selectedDateRange', JSON.stringify({
+                preset: this.preset,
+                from: this.from,
+                to: this.to
+            }));
+        } catch (error) {
+            console.error('Failed to save date range to localStorage:', error);
+        }
+    }
+
+    /**
+     * Load saved range from localStorage
+     */
+    loadSavedRange() {
+        try {
+            const saved = localStorage.getItem('matafOS_selectedDateRange');
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Failed to load date range from localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get current range
+     */
+    getRange() {
+        return { preset: this.preset, from: this.from, to: this.to };
+    }
+
+    /**
+     * Check if a range is active
+     */
+    isActive() {
+        return Boolean(this.from || this.to);
+    }
+
+    /**
+     * Check if ISO date is within current range
+     */
+    isDateInRange(isoDate) {
+        if (!this.isActive()) return true;
+        if (!isoDate) return false;
+        if (this.from && isoDate < this.from) return false;
+        if (this.to && isoDate > this.to) return false;
+        return true;
+    }
+
+    /**
+     * Filter hours data by current range
+     */
+    filterHoursData(hoursData) {
+        if (!this.isActive()) return hoursData;
+        return hoursData.filter(row => this.isDateInRange(row.date));
+    }
+}
@@ -30,7 +30,7 @@ export class Exporter {
             const ws = XLSX.utils.json_to_sheet(data);
 
             // Add worksheet to workbook
-            XLSX.utils.book_append_sheet(wb, ws, sheetName);
+            XLSX.utils.book_append_sheet(wb, ws, this._safeSheetName(sheetName));
 
             // Generate Excel file and download
             XLSX.writeFile(wb, `${filename}.xlsx`);
@@ -42,6 +42,72 @@ export class Exporter {
         }
     }
 
+    /**
+     * Export several sheets to one Excel workbook
+     * @param {Array} sheets - [{ name, data }] (empty sheets are skipped)
+     * @param {String} filename - Output filename (without extension)
+     */
+    exportSheetsToExcel(sheets, filename = 'export') {
+        const nonEmpty = (sheets || []).filter(sheet => sheet.data && sheet.data.length > 0);
+        if (nonEmpty.length === 0) {
+            this._showToast('אין נתונים לייצוא', 'error');
+            return;
+        }
+
+        try {
+            const wb = XLSX.utils.book_new();
+            const usedNames = new Set();
+
+            nonEmpty.forEach(sheet => {
+                // Sheet names must be unique within the workbook
+                const baseName = this._safeSheetName(sheet.name);
+                let name = baseName;
+                for (let i = 2; usedNames.has(name); i++) {
+                    name = this._safeSheetName(`${baseName.substring(0, 28)} ${i}`);
+                }
+                usedNames.add(name);
+                XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(sheet.data), name);
+            });
+
+            XLSX.writeFile(wb, `${filename}.xlsx`);
+            console.log(`✅ Exported ${nonEmpty.length} sheets to ${filename}.xlsx`);
+        } catch (error) {
+            console.error('❌ Excel export error:', error);
+            this._showToast('שגיאה בייצוא לאקסל', 'error');
+        }
+    }
+
+    /**
+     * Download data as a formatted JSON file
+     * @param {Object} data - JSON-serializable data
+     * @param {String} filename - Output filename (without extension)
+     */
+    exportJSON(data, filename = 'export') {
+        try {
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${filename}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            console.log(`✅ Exported ${filename}.json`);
+        } catch (error) {
+            console.error('❌ JSON export error:', error);
+            this._showToast('שגיאה בייצוא קובץ JSON', 'error');
+        }
+    }
+
+    /**
+     * Make a valid Excel sheet name (max 31 chars, no : \ / ? * [ ])
+     */
+    _safeSheetName(name) {
+        return String(name || '').replace(/[:\\/?*[\]]/g, ' ').substring(0, 31).trim() || 'Sheet1';
+    }
+
     /**
      * Export table to Excel directly from DOM
      * @param {String} tableId - ID of the table element
@@ -279,14 +345,19 @@ export class Exporter {
      * Export requirements list to Excel
      */
     exportRequirementsToExcel(requirements, filename = 'requirements') {
+        // Sheet column only for requirements imported from several sheets
+        const hasSheets = requirements.some(req => req.sheet);
         const data = requirements.map(req => ({
             'מספר דרישה': req.id || '',
             'שם דרישה': req.name || '',
             'תקציב': req.budget || 0,
             'בפועל': req.actual || 0,
             'ניצול': (req.utilization || 0).toFixed(1) + '%',
+            'צפי סוף שנה': req.projected ?? '',
+            'צפי חריגה': req.projectedOverrun ? 'כן' : '',
             'סטטוס': req.status || '',
-            'דורש': req.requester || ''
+            'דורש': req.requester || '',
+            ...(hasSheets ? { 'גיליון מקור': req.sheet || '' } : {})
         }));
 
         this.exportToExcel(data, filename, 'דרישות');
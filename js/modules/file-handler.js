@@ -6,20 +6,53 @@
  */
 
 import { CONFIG } from '../config.js';
+import { DatasetStorage } from './dataset-storage.js';
+import { ColumnMapper } from './column-mapper.js';
+import { SheetReader } from './sheet-reader.js';
+import { LOAD_CANCELLED } from './data-worker-client.js';
+
+// Legacy localStorage keys (datasets moved to IndexedDB)
+const LEGACY_STORAGE_KEYS = {
+    hours: 'dashboardHours',
+    requirements: 'dashboardRequirements'
+};
+
+// Sheet choices remembered per workbook structure
+const SHEET_CHOICES_KEY = 'matafOS_sheetChoices';
 
 export class FileHandler {
     constructor() {
         this.hoursData = [];
         this.exceptionsData = []; // New: Store exceptions
+        this.hoursSources = [];   // Loaded hours files: [{ name, rows, exceptions, mapping, loadedAt }]
         this.requirementsData = [];
+        this.requirementsMapping = null; // { FIELD: header }
         this.onDataLoaded = null;  // Callback when data is loaded
+        this.prompts = {};         // Import prompts: { columnMapping, sheetChoice } (return Promise<choice|null>)
+        this.storage = new DatasetStorage();
+        this.storageQueue = Promise.resolve(); // Dataset writes run in call order, so the last one wins
+        this.columnMapper = new ColumnMapper();
+        this.sheetReader = new SheetReader();
+        this.worker = null;        // DataWorkerClient - XLSX parsing off the main thread
+        this.loadCancelled = false;
+        this.loading = false;      // A tracked load is running
+    }
+
+    /**
+     * Set data worker used for XLSX parsing
+     */
+    setWorker(worker) {
+        this.worker = worker;
     }
 
     /**
      * Initialize drag & drop handlers
+     * @param {Function} onDataLoaded - Called with (type, data) after load
+     * @param {Object} prompts - { columnMapping(request), sheetChoice(request) } user prompts during import
      */
-    init(onDataLoaded) {
+    init(onDataLoaded, prompts = {}) {
         this.onDataLoaded = onDataLoaded;
+        this.prompts = prompts;
         this.setupDropZones();
         this.loadFromStorage();
     }
@@ -42,10 +75,11 @@ export class FileHandler {
             // Click to open file dialog
             zone.addEventListener('click', () => input.click());
 
-            // File selected
+            // File(s) selected - hours accepts several files at once
             input.addEventListener('change', (e) => {
-                const file = e.target.files[0];
-                if (file) this.handleFile(file, type);
+                const files = Array.from(e.target.files);
+                if (files.length > 0) this.handleFiles(files, type);
+                input.value = ''; // Allow re-selecting the same file
             });
 
             // Drag events
@@ -61,188 +95,394 @@ export class FileHandler {
             zone.addEventListener('drop', (e) => {
                 e.preventDefault();
                 zone.classList.remove('drag-over');
-                const file = e.dataTransfer.files[0];
-                if (file) this.handleFile(file, type);
+                const files = Array.from(e.dataTransfer.files);
+                if (files.length > 0) this.handleFiles(files, type);
+            });
+        });
+    }
+
+    /**
+     * Handle dropped/selected files
+     * Hours files are added to the loaded sources, requirements use the first file
+     * Errors and cancels are reported here (toast)
+     * @returns {Promise<Boolean>} Whether a file was imported
+     */
+    async handleFiles(files, type) {
+        if (type !== 'hours') {
+            return this.handleFile(files[0], type);
+        }
+
+        const previousSources = [...this.hoursSources];
+        let loadedCount = 0;
+
+        try {
+            await this.trackLoad('hours', async (progress) => {
+                for (const [index, file] of files.entries()) {
+                    const fileProgress = files.length > 1
+                        ? (label, percent) => progress(`${index + 1}/${files.length} · ${label}`, percent)
+                        : progress;
+
+                    try {
+                        console.log(`📄 Processing hours file:`, file.name);
+                        this.validateFileType(file);
+
+                        const data = await this.readExcel(file, type, fileProgress);
+                        const mapping = data ? await this.confirmColumnMapping(file.name, type, data.rows) : null;
+                        this.throwIfCancelled();
+                        if (!mapping) {
+                            this._showToast(`טעינת ${file.name} בוטלה`, 'info');
+                            continue;
+                        }
+
+                        this.addHoursSource(file.name, data.rows, data.exceptions, mapping);
+                        loadedCount++;
+                    } catch (error) {
+                        if (this.isCancelError(error)) throw error;
+                        console.error(`❌ Error processing ${file.name}:`, error);
+                        this._showToast(`שגיאה בטעינת ${file.name}: ${error.message}`, 'error');
+                    }
+                }
+            });
+        } catch (error) {
+            if (!this.isCancelError(error)) throw error;
+            // Files read before the cancel are dropped too
+            this.hoursSources = previousSources;
+            this.mergeHoursSources();
+            this._showToast('טעינת השעות בוטלה', 'info');
+            return false;
+        }
+
+        if (loadedCount === 0) return false;
+        if (!await this.processHoursSources(previousSources)) return false;
+
+        await this.saveToStorage('hours');
+
+        if (loadedCount > 1) {
+            this._showToast(`נטענו ${loadedCount} קבצי שעות`, 'success');
+        }
+        return true;
+    }
+
+    /**
+     * Validate file extension
+     */
+    validateFileType(file) {
+        const ext = '.' + file.name.split('.').pop().toLowerCase();
+        if (!CONFIG.ACCEPTED_FILE_TYPES.includes(ext)) {
+            throw new Error(`סוג קובץ לא נתמך: ${ext}`);
+        }
+    }
+
+    /**
+     * Add (or replace, by file name) an hours source and rebuild merged data
+     */
+    addHoursSource(name, rows, exceptions = [], mapping = null) {
+        const source = {
+            name,
+            rows: rows || [],
+            exceptions: exceptions || [],
+            mapping: mapping || this.columnMapper.resolve('hours', rows || []).mapping,
+            loadedAt: new Date().toISOString()
+        };
+
+        const existingIndex = this.hoursSources.findIndex(s => s.name === name);
+        if (existingIndex >= 0) {
+            // Same export downloaded again - replace it
+            this.hoursSources[existingIndex] = source;
+        } else {
+            this.hoursSources.push(source);
+        }
+
+        this.mergeHoursSources();
+    }
+
+    /**
+     * Remove an hours source by file name
+     */
+    async removeHoursSource(name) {
+        const previousSources = [...this.hoursSources];
+        this.hoursSources = this.hoursSources.filter(s => s.name !== name);
+
+        if (this.hoursSources.length === 0) {
+            await this.clearFile('hours');
+            return;
+        }
+
+        this.mergeHoursSources();
+        if (await this.processHoursSources(previousSources)) {
+            await this.saveToStorage('hours');
+        }
+    }
+
+    /**
+     * Merge all hours sources into one dataset
+     * Rows are tagged with their file (_sourceFile); duplicates are resolved in DataProcessor
+     */
+    mergeHoursSources() {
+        this.hoursData = [];
+        const exceptionKeys = new Set();
+        this.exceptionsData = [];
+
+        this.hoursSources.forEach(source => {
+            // Sources saved before column mapping existed
+            if (!source.mapping) {
+                source.mapping = this.columnMapper.resolve('hours', source.rows).mapping;
+            }
+
+            source.rows.forEach(row => {
+                this.hoursData.push({ ...row, _sourceFile: source.name });
+            });
+
+            // Exceptions sheets of overlapping exports repeat the same rows
+            source.exceptions.forEach(ex => {
+                const key = JSON.stringify(ex);
+                if (!exceptionKeys.has(key)) {
+                    exceptionKeys.add(key);
+                    this.exceptionsData.push(ex);
+                }
             });
         });
     }
 
+    /**
+     * Process the merged hours in the app, with progress and cancel in the drop zone
+     * A cancelled or failed run restores previousSources, so nothing from it is kept
+     * @returns {Promise<Boolean>} True if the hours were processed
+     */
+    async processHoursSources(previousSources, restored = false) {
+        try {
+            await this.trackLoad('hours', progress => this.notifyHoursLoaded(restored, progress));
+            this.showHoursSourcesInfo();
+            return true;
+        } catch (error) {
+            const cancelled = this.isCancelError(error);
+            if (!cancelled) console.error('❌ Error processing hours:', error);
+
+            this.hoursSources = previousSources;
+            this.mergeHoursSources();
+            this.showHoursSourcesInfo();
+            this._showToast(cancelled ? 'טעינת השעות בוטלה' : `שגיאה בעיבוד השעות: ${error.message}`, cancelled ? 'info' : 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Pass merged hours to the app
+     * @param {Boolean} restored - Loaded from storage (not a new import)
+     * @param {Function} onProgress - Optional (label, percent) callback
+     * @returns {Promise} Resolves when the app has processed the hours
+     */
+    async notifyHoursLoaded(restored = false, onProgress = null) {
+        if (this.onDataLoaded) {
+            await this.onDataLoaded('hours', {
+                restored,
+                rows: this.hoursData,
+                exceptions: this.exceptionsData,
+                sources: this.hoursSources.map(s => s.name),
+                mappings: Object.fromEntries(this.hoursSources.map(s => [s.name, s.mapping]))
+            }, onProgress);
+        }
+    }
+
+    /**
+     * Pass requirements (with their column mapping) to the app
+     */
+    async notifyRequirementsLoaded(restored = false) {
+        if (this.onDataLoaded) {
+            await this.onDataLoaded('requirements', {
+                restored,
+                rows: this.requirementsData,
+                mapping: this.requirementsMapping
+            });
+        }
+    }
+
+    /**
+     * Confirm column mapping for a newly read file
+     * A remembered mapping (same file signature) is applied silently,
+     * otherwise the mapping screen is shown
+     * @returns {Promise<Object|null>} Mapping, or null if the user cancelled
+     */
+    async confirmColumnMapping(fileName, type, rows) {
+        const resolved = this.columnMapper.resolve(type, rows);
+
+        if (resolved.remembered && resolved.missing.length === 0) {
+            console.log(`🧭 Using remembered column mapping for ${fileName}`);
+            return resolved.mapping;
+        }
+
+        if (!this.prompts.columnMapping) return resolved.mapping;
+
+        const mapping = await this.prompts.columnMapping(this.buildMappingRequest(fileName, type, rows, resolved));
+        if (mapping) {
+            this.columnMapper.saveMapping(resolved.signature, mapping);
+        }
+        return mapping;
+    }
+
+    /**
+     * Build request for the mapping screen (headers, samples, current mapping)
+     */
+    buildMappingRequest(fileName, type, rows, resolved, mapping = resolved.mapping) {
+        return {
+            fileName,
+            type,
+            mapping,
+            detected: this.columnMapper.detectMapping(type, resolved.headers),
+            headers: resolved.headers.map(header => ({
+                name: header,
+                samples: this.columnMapper.getSampleValues(rows, header)
+            }))
+        };
+    }
+
+    /**
+     * Re-open the mapping screen for loaded data and reprocess
+     * @param {String} type - 'hours' or 'requirements'
+     * @param {String} sourceName - Hours file name (hours only)
+     */
+    async editColumnMapping(type, sourceName) {
+        const source = type === 'hours' ? this.hoursSources.find(s => s.name === sourceName) : null;
+        const rows = type === 'hours' ? (source ? source.rows : []) : this.requirementsData;
+        if (rows.length === 0 || !this.prompts.columnMapping) return;
+
+        const fileName = type === 'hours' ? sourceName : 'קובץ דרישות';
+        const resolved = this.columnMapper.resolve(type, rows);
+        const current = type === 'hours' ? source.mapping : this.requirementsMapping;
+
+        const mapping = await this.prompts.columnMapping(this.buildMappingRequest(fileName, type, rows, resolved, current || resolved.mapping));
+        if (!mapping) return;
+
+        this.columnMapper.saveMapping(resolved.signature, mapping);
+
+        if (type === 'hours') {
+            const previousSources = this.hoursSources.map(s => ({ ...s }));
+            source.mapping = mapping;
+            if (await this.processHoursSources(previousSources)) {
+                await this.saveToStorage('hours');
+            }
+        } else {
+            this.requirementsMapping = mapping;
+            this.notifyRequirementsLoaded();
+        }
+    }
+
+    /**
+     * Replace loaded datasets (e.g. when restoring a snapshot)
+     * @param {Array} hoursSources - [{ name, rows, exceptions, loadedAt }]
+     * @param {Array} requirementsData - Raw requirements rows
+     */
+    async restoreDatasets(hoursSources, requirementsData) {
+        if (hoursSources && hoursSources.length > 0) {
+            const previousSources = [...this.hoursSources];
+            this.hoursSources = hoursSources;
+            this.mergeHoursSources();
+            if (await this.processHoursSources(previousSources)) {
+                await this.saveToStorage('hours');
+            }
+        } else {
+            await this.clearFile('hours');
+        }
+
+        if (requirementsData && requirementsData.length > 0) {
+            this.requirementsData = requirementsData;
+            this.requirementsMapping = this.columnMapper.resolve('requirements', requirementsData).mapping;
+            this.showStoredFileInfo('requirements', requirementsData.length);
+            await this.saveToStorage('requirements');
+            this.notifyRequirementsLoaded();
+        } else {
+            await this.clearFile('requirements');
+        }
+    }
+
+    /**
+     * Show loaded hours files in the drop zone
+     */
+    showHoursSourcesInfo() {
+        const zone = document.getElementById('hoursDropZone');
+        const status = zone ? zone.querySelector('.file-status') : null;
+        const sourcesBtn = document.getElementById('hoursSourcesBtn');
+        const count = this.hoursSources.length;
+
+        if (zone) {
+            zone.classList.toggle('has-file', count > 0);
+            zone.title = count > 0
+                ? `קבצי שעות:\n${this.hoursSources.map(s => s.name).join('\n')}\n(גרור קבצים נוספים להוספה)`
+                : '';
+        }
+        if (status) {
+            status.textContent = count > 1 ? `שעות (${count} קבצים)` : 'שעות';
+        }
+        if (sourcesBtn) {
+            sourcesBtn.classList.toggle('hidden', count === 0);
+        }
+    }
+
     /**
      * Handle uploaded file
+     * @returns {Promise<Boolean>} Whether the file was imported
      */
     async handleFile(file, type) {
+        // Hours files are merged with the loaded sources
+        if (type === 'hours') {
+            return this.handleFiles([file], type);
+        }
+
         try {
             console.log(`📄 Processing ${type} file:`, file.name);
 
             // Validate file type
-            const ext = '.' + file.name.split('.').pop().toLowerCase();
-            if (!CONFIG.ACCEPTED_FILE_TYPES.includes(ext)) {
-                throw new Error(`סוג קובץ לא נתמך: ${ext}`);
-            }
+            this.validateFileType(file);
 
             // Read file
-            const data = await this.readExcel(file, type);
-
-            // Store data
-            if (type === 'hours') {
-                // Handle new format { rows, exceptions }
-                if (data.rows) {
-                    this.hoursData = data.rows;
-                    this.exceptionsData = data.exceptions || [];
-                } else {
-                    this.hoursData = data;
-                    this.exceptionsData = [];
-                }
-            } else if (type === 'requirements') {
-                this.requirementsData = data;
+            const data = await this.trackLoad(type, async (progress) => {
+                const rows = await this.readExcel(file, type, progress);
+                this.throwIfCancelled();
+                return rows;
+            });
+            const mapping = data ? await this.confirmColumnMapping(file.name, type, data) : null;
+            if (!mapping) {
+                this._showToast(`טעינת ${file.name} בוטלה`, 'info');
+                return false;
             }
 
+            this.requirementsData = data;
+            this.requirementsMapping = mapping;
+
             // Update UI
             this.showFileInfo(file, type);
 
             // Save to storage
-            this.saveToStorage();
+            await this.saveToStorage('requirements');
 
             // Callback
-            if (this.onDataLoaded) {
-                // Pass both datasets for hours
-                if (type === 'hours') {
-                    this.onDataLoaded(type, { rows: this.hoursData, exceptions: this.exceptionsData });
-                } else {
-                    this.onDataLoaded(type, data);
-                }
-            }
+            this.notifyRequirementsLoaded();
 
-            const count = Array.isArray(data) ? data.length : (data.rows ? data.rows.length : 0);
-            console.log(`✅ ${type} loaded:`, count, 'rows');
+            console.log(`✅ ${type} loaded:`, data.length, 'rows');
+            return true;
 
         } catch (error) {
+            if (this.isCancelError(error)) {
+                this._showToast(`טעינת ${file.name} בוטלה`, 'info');
+                return false;
+            }
             console.error(`❌ Error processing ${type}:`, error);
-            alert(`שגיאה בטעינת קובץ: ${error.message}`);
+            this._showToast(`שגיאה בטעינת קובץ: ${error.message}`, 'error');
+            return false;
         }
     }
 
     /**
-     * Read Excel file and parse to array
+     * Read file into a SheetJS workbook (xlsx, xls and csv)
      */
-    async readExcel(file, type) {
+    readWorkbook(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get first sheet
-                    const sheetName = workbook.SheetNames[0];
-                    const sheet = workbook.Sheets[sheetName];
-
-                    let rows;
-
-                    if (type === 'hours') {
-                        // קובץ שעות - כותרות בשורה 2 (אינדקס 1), נתונים מ-3
-                        const range = XLSX.utils.decode_range(sheet['!ref']);
-                        const headerRow = 1; // שורה 2
-
-                        // קריאת כותרות
-                        const headers = [];
-                        for (let col = range.s.c; col <= range.e.c; col++) {
-                            const cellAddress = XLSX.utils.encode_cell({ r: headerRow, c: col });
-                            const cell = sheet[cellAddress];
-                            const headerValue = cell ? String(cell.v).trim() : `col_${col}`;
-                            headers[col] = headerValue;
-                        }
-
-                        console.log('📋 Headers from row 2:', headers.filter(h => h));
-
-                        // קריאת נתונים מהשורה 3 ואילך
-                        rows = [];
-                        for (let row = headerRow + 1; row <= range.e.r; row++) {
-                            const rowData = {};
-                            let hasData = false;
-
-                            for (let col = range.s.c; col <= range.e.c; col++) {
-                                const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-                                const cell = sheet[cellAddress];
-                                const value = cell ? cell.v : '';
-
-                                if (headers[col]) {
-                                    rowData[headers[col]] = value;
-                                    if (value !== '' && value !== null && value !== undefined) {
-                                        hasData = true;
-                                    }
-                                }
-                            }
-
-                            if (hasData) {
-                                rows.push(rowData);
-                            }
-                        }
-
-                        // Parse Sheet 2 (Exceptions) if exists
-                        const exceptions = [];
-                        if (workbook.SheetNames.length > 1) {
-                            try {
-                                const sheet2Name = workbook.SheetNames[1];
-                                const sheet2 = workbook.Sheets[sheet2Name];
-
-                                // Convert raw sheet to array of arrays to find header
-                                const jsonData = XLSX.utils.sheet_to_json(sheet2, { header: 1 });
-
-                                // Find header row index
-                                let headerRowIndex = -1;
-                                for (let i = 0; i < jsonData.length; i++) {
-                                    const row = jsonData[i];
-                                    // Look for specific columns that surely exist in the header
-                                    if (row.some(cell =>
-                                        String(cell).includes('שם משפחה') ||
-                                        String(cell).includes('מספר עובד') ||
-                                        String(cell).includes('Employee')
-                                    )) {
-                                        headerRowIndex = i;
-                                        break;
-                                    }
-                                }
-
-                                if (headerRowIndex !== -1) {
-                                    // Re-parse with correct range
-                                    const range = XLSX.utils.decode_range(sheet2['!ref']);
-                                    range.s.r = headerRowIndex; // Start from header row
-
-                                    const rawExceptions = XLSX.utils.sheet_to_json(sheet2, { range: range });
-
-                                    if (rawExceptions && rawExceptions.length > 0) {
-                                        // Process exceptions: Filter out empty rows or non-data rows
-                                        const processed = rawExceptions.filter(r => {
-                                            // Ensure at least one key field exists (Name or ID)
-                                            return Object.keys(r).some(k =>
-                                                (k.includes('שם') || k.includes('Name') || k.includes('ID') || k.includes('מספר')) &&
-                                                r[k]
-                                            );
-                                        });
-
-                                        console.log('⚠️ Exceptions (Sheet 2):', processed.length);
-                                        exceptions.push(...processed);
-                                    }
-                                } else {
-                                    console.warn('Could not find header row in Sheet 2');
-                                }
-                            } catch (err) {
-                                console.warn('Failed to parse Sheet 2:', err);
-                            }
-                        }
-
-                        // Return object with both
-                        resolve({ rows, exceptions });
-                        return; // Done for hours
-
-                    } else {
-                        // קובץ דרישות - קריאה רגילה
-                        rows = XLSX.utils.sheet_to_json(sheet);
-                    }
-
-                    resolve(rows);
+                    resolve(XLSX.read(data, { type: 'array' }));
                 } catch (error) {
                     reject(error);
                 }
@@ -253,6 +493,200 @@ export class FileHandler {
         });
     }
 
+    /**
+     * Read Excel file and parse to array
+     * Parsing runs in the data worker when available; sheets are picked by chooseSheets
+     * @param {Function} onProgress - Optional (label, percent) callback
+     * @returns {Promise<Array|Object|null>} Requirements rows, hours { rows, exceptions }, or null if cancelled
+     */
+    async readExcel(file, type, onProgress = null) {
+        if (this.worker && await this.worker.isReady()) {
+            const { workbookId, analysis } = await this.worker.request('analyzeWorkbook', { file, type }, onProgress);
+
+            let choice;
+            try {
+                choice = await this.chooseSheets(file.name, type, analysis);
+            } catch (error) {
+                this.worker.request('releaseWorkbook', { workbookId }).catch(() => { });
+                throw error;
+            }
+
+            if (!choice) {
+                this.worker.request('releaseWorkbook', { workbookId }).catch(() => { });
+                return null;
+            }
+            return this.worker.request('readSheets', { workbookId, type, choice }, onProgress);
+        }
+
+        if (onProgress) onProgress('קורא קובץ', 10);
+        const workbook = await this.readWorkbook(file);
+        const choice = await this.chooseSheets(file.name, type, this.sheetReader.analyzeWorkbook(workbook, type));
+        if (!choice) return null;
+
+        return this.sheetReader.readChosenSheets(workbook, type, choice);
+    }
+
+    /**
+     * Choose data (and exceptions) sheets for an analyzed workbook
+     * A choice remembered for the same workbook structure is applied silently;
+     * multi-sheet workbooks and unsure header detection open the sheet picker
+     * @param {Object} analysis - SheetReader.analyzeWorkbook result
+     * @returns {Promise<Object|null>} { dataSheets, exceptionsSheet } or null if cancelled
+     */
+    async chooseSheets(fileName, type, analysis) {
+        if (!analysis.dataSheet) throw new Error('הקובץ ריק');
+
+        const signature = this.sheetReader.getWorkbookSignature(type, analysis);
+        const remembered = this.getSavedSheetChoice(signature);
+        if (remembered) return remembered;
+
+        const suggested = this.sheetReader.suggestSheetChoice(type, analysis);
+        const needsPrompt = !analysis.confident || analysis.sheets.length > 1;
+        if (!needsPrompt || !this.prompts.sheetChoice) return suggested;
+
+        const choice = await this.prompts.sheetChoice({ fileName, type, sheets: analysis.sheets, choice: suggested });
+        if (choice) this.saveSheetChoice(signature, choice);
+        return choice;
+    }
+
+    /**
+     * Run a load with progress bar and cancel button in the drop zone
+     * @param {Function} load - async (progress) => result, progress(label, percent)
+     */
+    async trackLoad(type, load) {
+        this.loadCancelled = false;
+        this.loading = true;
+        const progress = (label, percent) => this.showLoadProgress(type, label, percent);
+
+        progress('טוען...', 0);
+        try {
+            return await load(progress);
+        } finally {
+            this.loading = false;
+            this.hideLoadProgress(type);
+        }
+    }
+
+    /**
+     * Check if a load (or its import prompts) is running
+     */
+    isBusy() {
+        const importModal = document.getElementById('importModal');
+        return this.loading || Boolean(importModal && importModal.style.display === 'flex');
+    }
+
+    /**
+     * Show load progress in the drop zone
+     */
+    showLoadProgress(type, label, percent) {
+        const zone = document.getElementById(type === 'hours' ? 'hoursDropZone' : 'requirementsDropZone');
+        if (!zone) return;
+
+        let progressEl = zone.querySelector('.drop-progress');
+        if (!progressEl) {
+            progressEl = document.createElement('div');
+            progressEl.className = 'drop-progress';
+            progressEl.innerHTML = `
+                <div class="drop-progress-bar"><span></span></div>
+                <span class="drop-progress-label"></span>
+                <button class="drop-progress-cancel" title="ביטול טעינה">✕</button>
+            `;
+            // Clicks inside must not open the file dialog
+            progressEl.addEventListener('click', (e) => e.stopPropagation());
+            progressEl.querySelector('.drop-progress-cancel').addEventListener('click', () => this.cancelLoad());
+            zone.appendChild(progressEl);
+            zone.classList.add('loading');
+        }
+
+        progressEl.querySelector('.drop-progress-bar span').style.width = `${Math.min(100, Math.max(0, percent))}%`;
+        progressEl.querySelector('.drop-progress-label').textContent = label;
+    }
+
+    /**
+     * Show/hide linked-file badge in the drop zone
+     * @param {String|null} label - Badge text, or null to remove it
+     * @param {Function} onClick - Badge action (reload / grant permission)
+     */
+    setLinkBadge(type, label, title = '', onClick = null) {
+        const zone = document.getElementById(type === 'hours' ? 'hoursDropZone' : 'requirementsDropZone');
+        if (!zone) return;
+
+        zone.querySelector('.drop-link-badge')?.remove();
+        if (!label) return;
+
+        const badge = document.createElement('button');
+        badge.className = 'drop-link-badge';
+        badge.textContent = label;
+        badge.title = title;
+        badge.addEventListener('click', (e) => {
+            // Must not open the file dialog
+            e.stopPropagation();
+            if (onClick) onClick();
+        });
+        zone.appendChild(badge);
+    }
+
+    /**
+     * Remove load progress from the drop zone
+     */
+    hideLoadProgress(type) {
+        const zone = document.getElementById(type === 'hours' ? 'hoursDropZone' : 'requirementsDropZone');
+        if (!zone) return;
+        zone.querySelector('.drop-progress')?.remove();
+        zone.classList.remove('loading');
+    }
+
+    /**
+     * Cancel the running load (terminates the data worker)
+     */
+    cancelLoad() {
+        this.loadCancelled = true;
+        if (this.worker) this.worker.cancel();
+    }
+
+    /**
+     * Throw cancel error if the user cancelled (checked between load steps)
+     */
+    throwIfCancelled() {
+        if (!this.loadCancelled) return;
+        const error = new Error('הטעינה בוטלה');
+        error.name = LOAD_CANCELLED;
+        throw error;
+    }
+
+    /**
+     * Check if error comes from a cancelled load
+     */
+    isCancelError(error) {
+        return Boolean(error && error.name === LOAD_CANCELLED);
+    }
+
+    /**
+     * Get sheet choice remembered for workbook signature (null if none)
+     */
+    getSavedSheetChoice(signature) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SHEET_CHOICES_KEY) || '{}');
+            return saved[signature] || null;
+        } catch (error) {
+            console.error('Failed to load sheet choices from localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remember sheet choice for workbook signature
+     */
+    saveSheetChoice(signature, choice) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SHEET_CHOICES_KEY) || '{}');
+            saved[signature] = choice;
+            localStorage.setItem(SHEET_CHOICES_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Failed to save sheet choice to localStorage:', error);
+        }
+    }
+
     /**
      * Show file info in UI
      */
@@ -275,16 +709,19 @@ export class FileHandler {
 
     /**
      * Clear file data
+     * @returns {Promise} Resolves when the stored dataset is removed
      */
     clearFile(type) {
         if (type === 'hours') {
             this.hoursData = [];
             this.exceptionsData = [];
-            localStorage.removeItem('dashboardHours');
+            this.hoursSources = [];
+            this.showHoursSourcesInfo();
         } else if (type === 'requirements') {
             this.requirementsData = [];
-            localStorage.removeItem('dashboardRequirements');
+            this.requirementsMapping = null;
         }
+        const removed = this.removeFromStorage(type);
 
         // Reset UI
         const zoneId = type === 'hours' ? 'hoursDropZone' : 'requirementsDropZone';
@@ -299,61 +736,123 @@ export class FileHandler {
         if (this.onDataLoaded) {
             this.onDataLoaded(type, []);
         }
+        return removed;
     }
 
     /**
-     * Save data to localStorage
+     * Run a dataset write after the ones already queued
+     * @returns {Promise} Resolves when this write is done
      */
-    saveToStorage() {
-        try {
-            if (this.hoursData.length > 0) {
-                const dataToSave = {
-                    rows: this.hoursData,
-                    exceptions: this.exceptionsData
-                };
-                localStorage.setItem('dashboardHours', JSON.stringify(dataToSave));
+    queueStorageWrite(write) {
+        this.storageQueue = this.storageQueue.then(write);
+        return this.storageQueue;
+    }
+
+    /**
+     * Save dataset to IndexedDB (the data as it is now, written after pending writes)
+     * Failures are reported to the user - stored data is never wiped
+     * @param {String} type - 'hours' or 'requirements'
+     */
+    saveToStorage(type) {
+        const data = type === 'hours'
+            ? { sources: this.hoursSources }
+            : this.requirementsData;
+
+        return this.queueStorageWrite(async () => {
+            try {
+                await this.storage.save(type, data);
+                await this.reportStorageUsage();
+            } catch (error) {
+                console.error(`Failed to save ${type} to storage:`, error);
+                const reason = error && error.name === 'QuotaExceededError'
+                    ? 'אין מספיק מקום אחסון בדפדפן'
+                    : (error && error.message) || 'שגיאה לא ידועה';
+                this._showToast(`הנתונים נטענו אך לא נשמרו לטעינה הבאה: ${reason}`, 'error');
             }
-            if (this.requirementsData.length > 0) {
-                localStorage.setItem('dashboardRequirements', JSON.stringify(this.requirementsData));
+        });
+    }
+
+    /**
+     * Remove dataset from IndexedDB (after pending writes)
+     */
+    removeFromStorage(type) {
+        return this.queueStorageWrite(async () => {
+            try {
+                await this.storage.remove(type);
+            } catch (error) {
+                console.error(`Failed to remove ${type} from storage:`, error);
+                this._showToast('מחיקת הנתונים השמורים נכשלה', 'error');
             }
-        } catch (error) {
-            console.warn('Storage full, clearing old data');
-            localStorage.clear();
+        });
+    }
+
+    /**
+     * Report storage usage: a toast only when close to quota (saves run on every import)
+     */
+    async reportStorageUsage() {
+        const estimate = await this.storage.getUsage();
+        if (!estimate || !estimate.quota) return;
+
+        const percent = (estimate.usage / estimate.quota) * 100;
+        const usage = `${this.storage.formatBytes(estimate.usage)} מתוך ${this.storage.formatBytes(estimate.quota)}`;
+
+        if (percent >= CONFIG.STORAGE_WARNING_PERCENT) {
+            this._showToast(`אחסון הדפדפן כמעט מלא: ${usage} (${percent.toFixed(0)}%)`, 'error');
+        } else {
+            console.log(`💾 Storage usage: ${usage}`);
         }
     }
 
     /**
-     * Load data from localStorage
+     * Move datasets saved by older versions from localStorage to IndexedDB
      */
-    loadFromStorage() {
+    async migrateLegacyStorage() {
+        for (const [type, key] of Object.entries(LEGACY_STORAGE_KEYS)) {
+            const legacy = localStorage.getItem(key);
+            if (!legacy) continue;
+
+            let parsed = JSON.parse(legacy);
+
+            // Handle backward compatibility (array / { rows, exceptions } / { sources })
+            if (type === 'hours' && !parsed.sources) {
+                const rows = Array.isArray(parsed) ? parsed : (parsed.rows || []);
+                const exceptions = Array.isArray(parsed) ? [] : (parsed.exceptions || []);
+                parsed = { sources: [{ name: 'נתונים שמורים', rows, exceptions }] };
+            }
+
+            await this.storage.save(type, parsed);
+            localStorage.removeItem(key);
+            console.log(`📦 Migrated ${type} from localStorage to IndexedDB`);
+        }
+    }
+
+    /**
+     * Load data from IndexedDB
+     */
+    async loadFromStorage() {
         try {
-            const hours = localStorage.getItem('dashboardHours');
-            const requirements = localStorage.getItem('dashboardRequirements');
-
-            if (hours) {
-                const parsed = JSON.parse(hours);
-                // Handle backward compatibility (array vs object)
-                if (Array.isArray(parsed)) {
-                    this.hoursData = parsed;
-                    this.exceptionsData = [];
-                } else {
-                    this.hoursData = parsed.rows || [];
-                    this.exceptionsData = parsed.exceptions || [];
-                }
+            await this.migrateLegacyStorage();
+
+            const hours = await this.storage.load('hours');
+            const requirements = await this.storage.load('requirements');
 
-                this.showStoredFileInfo('hours', this.hoursData.length);
-                if (this.onDataLoaded) {
-                    this.onDataLoaded('hours', { rows: this.hoursData, exceptions: this.exceptionsData });
+            if (hours && hours.sources && hours.sources.length > 0) {
+                this.hoursSources = hours.sources;
+                this.mergeHoursSources();
+                if (await this.processHoursSources([], true)) {
+                    this.showStoredFileInfo('hours', this.hoursData.length);
                 }
             }
 
-            if (requirements) {
-                this.requirementsData = JSON.parse(requirements);
+            if (requirements && requirements.length > 0) {
+                this.requirementsData = requirements;
+                this.requirementsMapping = this.columnMapper.resolve('requirements', requirements).mapping;
                 this.showStoredFileInfo('requirements', this.requirementsData.length);
-                if (this.onDataLoaded) this.onDataLoaded('requirements', this.requirementsData);
+                this.notifyRequirementsLoaded(true);
             }
         } catch (error) {
             console.error('Error loading from storage:', error);
+            this._showToast(`טעינת הנתונים השמורים נכשלה: ${error.message}`, 'error');
         }
     }
 
@@ -376,5 +875,16 @@ export class FileHandler {
             `;
         }
     }
+
+    /**
+     * Helper to show toast via main app
+     */
+    _showToast(message, type = 'info') {
+        if (window.app && window.app.uiRenderer && window.app.uiRenderer.showToast) {
+            window.app.uiRenderer.showToast(message, type);
+        } else {
+            console.log(`[${type.toUpperCase()}] ${message}`);
+        }
+    }
 }
 
@@ -0,0 +1,219 @@
+/**
+ * ============================================
+ * File Watcher Module
+ * ============================================
+ * Links a dataset (hours / requirements) to a file on disk through the
+ * File System Access API and polls it for changes.
+ * Handles are kept in IndexedDB, so links survive a reload
+ * (the browser asks for read permission again after a reload).
+ */
+
+import { CONFIG } from '../config.js';
+
+export const LINK_STATUS = {
+    OK: 'ok',
+    CHANGED: 'changed',
+    PERMISSION: 'permission', // Read permission must be granted again (user gesture)
+    MISSING: 'missing'        // File was moved or deleted
+};
+
+export class FileWatcher {
+    constructor(storage) {
+        this.storage = storage;  // DatasetStorage
+        this.links = {};         // type -> { type, handle, name, lastModified, size, autoReload, status }
+        this.timer = null;
+        this.checking = false;
+        this.onStatusChange = null;
+    }
+
+    /**
+     * Check File System Access API support (Chromium browsers)
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && typeof window.showOpenFilePicker === 'function';
+    }
+
+    /**
+     * Load saved links and start polling
+     * @param {Function} onStatusChange - Called with (type, link) when a link status changes
+     */
+    async init(onStatusChange) {
+        this.onStatusChange = onStatusChange;
+        if (!this.isSupported()) return;
+
+        try {
+            const links = await this.storage.loadFileLinks();
+            links.forEach(link => {
+                this.links[link.type] = { ...link, status: LINK_STATUS.OK };
+            });
+        } catch (error) {
+            console.error('Failed to load file links:', error);
+        }
+
+        await this.checkForChanges();
+        this.timer = setInterval(() => this.checkForChanges(), CONFIG.FILE_WATCH_INTERVAL_MS);
+    }
+
+    /**
+     * Get link of a dataset type (null if none)
+     */
+    getLink(type) {
+        return this.links[type] || null;
+    }
+
+    /**
+     * Get all links
+     */
+    getLinks() {
+        return Object.values(this.links);
+    }
+
+    /**
+     * Let the user pick a file and link it to a dataset type
+     * @returns {Promise<File|null>} Linked file content, or null if the picker was closed
+     */
+    async link(type) {
+        let handle;
+        try {
+            [handle] = await window.showOpenFilePicker({
+                multiple: false,
+                types: [{
+                    description: 'Excel / CSV',
+                    accept: {
+                        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+                        'application/vnd.ms-excel': ['.xls'],
+                        'text/csv': ['.csv']
+                    }
+                }]
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+
+        const previous = this.links[type];
+        this.links[type] = {
+            type,
+            handle,
+            name: handle.name,
+            lastModified: 0,
+            size: 0,
+            autoReload: previous ? previous.autoReload : false,
+            status: LINK_STATUS.CHANGED // Until its import succeeds (markLoaded)
+        };
+        await this.save(this.links[type]);
+
+        return this.readFile(type);
+    }
+
+    /**
+     * Remove link of a dataset type
+     */
+    async unlink(type) {
+        delete this.links[type];
+        await this.storage.removeFileLink(type);
+    }
+
+    /**
+     * Enable/disable automatic re-import on change
+     */
+    async setAutoReload(type, enabled) {
+        const link = this.links[type];
+        if (!link) return;
+        link.autoReload = Boolean(enabled);
+        await this.save(link);
+    }
+
+    /**
+     * Read the current content of a linked file
+     * The link stays changed until the content is imported (markLoaded)
+     * @param {Boolean} requestPermission - Ask for read permission (needs a user gesture)
+     * @returns {Promise<File|null>} File, or null without permission
+     */
+    async readFile(type, requestPermission = true) {
+        const link = this.links[type];
+        if (!link) return null;
+
+        if (!await this.hasPermission(link, requestPermission)) {
+            this.setStatus(link, LINK_STATUS.PERMISSION);
+            return null;
+        }
+
+        // Set without notifying: a notification would start an automatic re-import of this same read
+        if (link.status === LINK_STATUS.PERMISSION) link.status = LINK_STATUS.CHANGED;
+        return link.handle.getFile();
+    }
+
+    /**
+     * Mark a linked file as up to date once its content (from readFile) was imported
+     */
+    async markLoaded(type, file) {
+        const link = this.links[type];
+        if (!link) return;
+
+        link.lastModified = file.lastModified;
+        link.size = file.size;
+        this.setStatus(link, LINK_STATUS.OK);
+        await this.save(link);
+    }
+
+    /**
+     * Check (and optionally request) read permission for a link
+     */
+    async hasPermission(link, request = false) {
+        const options = { mode: 'read' };
+        if (!link.handle.queryPermission) return true;
+        if (await link.handle.queryPermission(options) === 'granted') return true;
+        if (!request) return false;
+        return await link.handle.requestPermission(options) === 'granted';
+    }
+
+    /**
+     * Poll linked files: a different modification time or size marks the link as changed
+     */
+    async checkForChanges() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            for (const link of this.getLinks()) {
+                if (!await this.hasPermission(link)) {
+                    this.setStatus(link, LINK_STATUS.PERMISSION);
+                    continue;
+                }
+
+                try {
+                    const file = await link.handle.getFile();
+                    const changed = file.lastModified !== link.lastModified || file.size !== link.size;
+                    this.setStatus(link, changed ? LINK_STATUS.CHANGED : LINK_STATUS.OK);
+                } catch (error) {
+                    // NotFoundError: moved or deleted; NotReadableError: being written - retry next time
+                    if (error.name === 'NotFoundError') this.setStatus(link, LINK_STATUS.MISSING);
+                }
+            }
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Update link status and notify on change
+     */
+    setStatus(link, status) {
+        if (link.status === status) return;
+        link.status = status;
+        if (this.onStatusChange) this.onStatusChange(link.type, link);
+    }
+
+    /**
+     * Persist link (status is runtime only)
+     */
+    async save(link) {
+        const { status, ...record } = link;
+        try {
+            await this.storage.saveFileLink(record);
+        } catch (error) {
+            console.error('Failed to save file link:', error);
+        }
+    }
+}
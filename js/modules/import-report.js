@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * Import Report Module
+ * ============================================
+ * Validation report built while processing an imported file:
+ * rows read/kept, dropped rows with reason, unparseable values
+ * and classifications that fell to "אחר"
+ */
+
+export const ISSUE_CATEGORIES = {
+    DROPPED: 'dropped',
+    NUMBER: 'number',
+    DATE: 'date'
+};
+
+export const ISSUE_CATEGORY_LABELS = {
+    dropped: 'שורה הושמטה',
+    number: 'מספר לא תקין',
+    date: 'תאריך לא תקין'
+};
+
+export class ImportReport {
+    /**
+     * @param {String} type - 'hours' or 'requirements'
+     */
+    constructor(type) {
+        this.type = type;
+        this.createdAt = new Date().toISOString();
+        this.rowsRead = 0;
+        this.rowsKept = 0;
+        this.issues = [];                 // [{ category, reason, file, row, value, subject }]
+        this.unknownClassifications = {}; // value -> { value, rows, hours }
+    }
+
+    /**
+     * Record an issue
+     * @param {String} category - ISSUE_CATEGORIES value
+     * @param {String} reason - Hebrew description
+     * @param {Object} details - { file, row, value, subject }
+     *   row = 1-based data row within the file, subject = employee / requirement
+     */
+    addIssue(category, reason, details = {}) {
+        this.issues.push({
+            category,
+            reason,
+            file: details.file || '',
+            row: details.row || null,
+            value: details.value === undefined || details.value === null ? '' : String(details.value),
+            subject: details.subject || ''
+        });
+    }
+
+    /**
+     * Record hours whose classification fell to "אחר"
+     */
+    addUnknownClassification(value, hours) {
+        const key = String(value || '').trim() || '(ריק)';
+        if (!this.unknownClassifications[key]) {
+            this.unknownClassifications[key] = { value: key, rows: 0, hours: 0 };
+        }
+        this.unknownClassifications[key].rows++;
+        this.unknownClassifications[key].hours += hours;
+    }
+
+    /**
+     * Get issues of one category
+     */
+    getIssues(category) {
+        return this.issues.filter(issue => issue.category === category);
+    }
+
+    /**
+     * Get unknown classifications (most hours first)
+     */
+    getUnknownClassifications() {
+        return Object.values(this.unknownClassifications).sort((a, b) => b.hours - a.hours);
+    }
+
+    /**
+     * Get dropped-row counts per reason
+     */
+    getDroppedByReason() {
+        const counts = {};
+        this.getIssues(ISSUE_CATEGORIES.DROPPED).forEach(issue => {
+            counts[issue.reason] = (counts[issue.reason] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Get summary counts
+     */
+    getSummary() {
+        const unknown = this.getUnknownClassifications();
+        return {
+            rowsRead: this.rowsRead,
+            rowsKept: this.rowsKept,
+            dropped: this.getIssues(ISSUE_CATEGORIES.DROPPED).length,
+            numbers: this.getIssues(ISSUE_CATEGORIES.NUMBER).length,
+            dates: this.getIssues(ISSUE_CATEGORIES.DATE).length,
+            unknownClassificationRows: unknown.reduce((sum, c) => sum + c.rows, 0),
+            unknownClassificationHours: unknown.reduce((sum, c) => sum + c.hours, 0)
+        };
+    }
+
+    /**
+     * Check if the report has anything worth the user's attention
+     */
+    hasIssues() {
+        return this.issues.length > 0 || Object.keys(this.unknownClassifications).length > 0;
+    }
+
+    /**
+     * Build sheets for Excel export: [{ name, data }]
+     */
+    toSheets() {
+        const summary = this.getSummary();
+        const summaryRows = [
+            { 'נושא': 'שורות שנקראו', 'ערך': summary.rowsRead },
+            { 'נושא': 'שורות שנשמרו', 'ערך': summary.rowsKept },
+            { 'נושא': 'שורות שהושמטו', 'ערך': summary.dropped },
+            ...Object.entries(this.getDroppedByReason()).map(([reason, count]) => ({ 'נושא': `  ${reason}`, 'ערך': count })),
+            { 'נושא': 'מספרים לא תקינים', 'ערך': summary.numbers },
+            { 'נושא': 'תאריכים לא תקינים', 'ערך': summary.dates }
+        ];
+
+        if (this.type === 'hours') {
+            summaryRows.push(
+                { 'נושא': 'שורות עם סיווג לא מזוהה (אחר)', 'ערך': summary.unknownClassificationRows },
+                { 'נושא': 'שעות עם סיווג לא מזוהה (אחר)', 'ערך': Math.round(summary.unknownClassificationHours * 10) / 10 }
+            );
+        }
+
+        const sheets = [{ name: 'סיכום', data: summaryRows }];
+
+        if (this.issues.length > 0) {
+            sheets.push({
+                name: 'בעיות',
+                data: this.issues.map(issue => ({
+                    'סוג': ISSUE_CATEGORY_LABELS[issue.category] || issue.category,
+                    'סיבה': issue.reason,
+                    'קובץ': issue.file,
+                    'שורת נתונים': issue.row ?? '',
+                    'ערך': issue.value,
+                    [this.type === 'hours' ? 'עובד' : 'דרישה']: issue.subject
+                }))
+            });
+        }
+
+        const unknown = this.getUnknownClassifications();
+        if (unknown.length > 0) {
+            sheets.push({
+                name: 'סיווגים לא מזוהים',
+                data: unknown.map(c => ({
+                    'סיווג': c.value,
+                    'שורות': c.rows,
+                    'שעות': Math.round(c.hours * 10) / 10
+                }))
+            });
+        }
+
+        return sheets;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * ============================================
+ * Rate Table Module
+ * ============================================
+ * Monthly cost rates used to convert hours to money.
+ * Entries are keyed by employee type and optionally by employee ID, each
+ * effective from a date until a later entry for the same key replaces it.
+ * Lookup: employee ID entry, else employee type entry, else a general entry,
+ * else CONFIG.MONTHLY_RATE.
+ */
+
+import { CONFIG } from '../config.js';
+import { ColumnMapper } from './column-mapper.js';
+
+const STORAGE_KEY = 'matafOS_rateTable';
+
+// Normalized employee types (DataProcessor.normalizeEmployeeType); '' = any type
+export const RATE_EMPLOYEE_TYPES = ['עובד מתף', 'עובד פרויקטלי'];
+
+export class RateTable {
+    constructor() {
+        this.entries = [];  // [{ employeeType, employeeId, monthlyRate, effectiveFrom }]
+        this.index = null;  // Lookup index, rebuilt on change
+        this.columnMapper = new ColumnMapper();
+    }
+
+    /**
+     * Hours in a working month (monthly rate -> hourly rate)
+     */
+    getMonthlyHours() {
+        return CONFIG.WORKING_DAYS_PER_MONTH * CONFIG.EXPECTED_DAILY_HOURS;
+    }
+
+    /**
+     * Get entries
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Replace entries (invalid entries are dropped)
+     */
+    setEntries(entries) {
+        this.entries = (entries || [])
+            .filter(entry => !this.validateEntry(entry))
+            .map(entry => ({
+                employeeType: entry.employeeType || '',
+                employeeId: String(entry.employeeId || '').trim(),
+                monthlyRate: Number(entry.monthlyRate),
+                effectiveFrom: entry.effectiveFrom || ''
+            }));
+        this.index = null;
+    }
+
+    /**
+     * Validate an entry
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validateEntry(entry) {
+        if (!entry) return 'שורה ריקה';
+        if (entry.employeeType && !RATE_EMPLOYEE_TYPES.includes(entry.employeeType)) return 'סוג עובד לא מוכר';
+        const rate = Number(entry.monthlyRate);
+        if (entry.monthlyRate === '' || isNaN(rate) || rate < 0) return 'תעריף חודשי לא תקין';
+        if (entry.effectiveFrom && !/^\d{4}-\d{2}-\d{2}$/.test(entry.effectiveFrom)) return 'תאריך תחילה לא תקין';
+        return null;
+    }
+
+    /**
+     * Build lookup index: key -> entries, latest effective date first
+     * Keys: 'id:<employeeId>', 'type:<employeeType>', 'any'
+     */
+    buildIndex() {
+        const index = {};
+        this.entries.forEach(entry => {
+            const key = entry.employeeId ? `id:${entry.employeeId}` : entry.employeeType ? `type:${entry.employeeType}` : 'any';
+            (index[key] = index[key] || []).push(entry);
+        });
+        Object.values(index).forEach(list => list.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom)));
+        this.index = index;
+    }
+
+    /**
+     * Get the entry in effect for an employee on a date (null = CONFIG.MONTHLY_RATE)
+     * Rows without a date use the latest entry
+     * @param {Object} row - { employeeId, employeeType, date }
+     */
+    findEntry(row) {
+        if (!this.index) this.buildIndex();
+
+        const date = row.date || '9999-12-31';
+        const keys = [row.employeeId ? `id:${row.employeeId}` : null, row.employeeType ? `type:${row.employeeType}` : null, 'any'];
+
+        for (const key of keys) {
+            const list = key && this.index[key];
+            const entry = list && list.find(e => !e.effectiveFrom || e.effectiveFrom <= date);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Get monthly rate for an employee on a date
+     */
+    getMonthlyRate(row) {
+        const entry = this.findEntry(row);
+        return entry ? entry.monthlyRate : CONFIG.MONTHLY_RATE;
+    }
+
+    /**
+     * Get hourly rate for an employee on a date
+     */
+    getHourlyRate(row) {
+        return this.getMonthlyRate(row) / this.getMonthlyHours();
+    }
+
+    /**
+     * Get cost of an hours row
+     */
+    getCost(row) {
+        return row.hours * this.getHourlyRate(row);
+    }
+
+    /**
+     * Convert rows read from an Excel sheet to entries (CONFIG.RATE_COLUMNS aliases)
+     * An hourly rate column is converted to a monthly rate
+     * @param {Function} parseDate - Value -> ISO date ('' if unparseable)
+     * @param {Function} normalizeType - Employee type text -> normalized type
+     * @returns {Object} { entries, errors: [String] }
+     */
+    parseRows(rows, parseDate, normalizeType) {
+        const mapping = this.columnMapper.detectMapping('rates', this.columnMapper.getHeaders(rows));
+        const entries = [];
+        const errors = [];
+
+        if (!mapping.MONTHLY_RATE && !mapping.HOURLY_RATE) {
+            return { entries, errors: ['לא נמצאה עמודת תעריף (חודשי או שעתי)'] };
+        }
+
+        rows.forEach((row, index) => {
+            const get = (field) => mapping[field] ? row[mapping[field]] : '';
+            const isBlank = (value) => value === '' || value === null || value === undefined;
+
+            const monthlyRaw = get('MONTHLY_RATE');
+            const hourlyRaw = get('HOURLY_RATE');
+            const rate = !isBlank(monthlyRaw)
+                ? parseFloat(String(monthlyRaw).replace(/[,\s₪]/g, ''))
+                : parseFloat(String(hourlyRaw).replace(/[,\s₪]/g, '')) * this.getMonthlyHours();
+
+            const typeRaw = String(get('EMPLOYEE_TYPE') || '').trim();
+            const dateRaw = get('EFFECTIVE_FROM');
+            const entry = {
+                employeeType: typeRaw ? normalizeType(typeRaw) : '',
+                employeeId: String(get('EMPLOYEE_ID') || '').trim(),
+                monthlyRate: isNaN(rate) ? '' : Math.round(rate * 100) / 100,
+                effectiveFrom: isBlank(dateRaw) ? '' : parseDate(dateRaw)
+            };
+
+            if (!isBlank(dateRaw) && !entry.effectiveFrom) {
+                errors.push(`שורה ${index + 1}: תאריך לא ניתן לפענוח (${dateRaw})`);
+                return;
+            }
+            const error = this.validateEntry(entry);
+            if (error) {
+                errors.push(`שורה ${index + 1}: ${error}`);
+                return;
+            }
+            entries.push(entry);
+        });
+
+        return { entries, errors };
+    }
+
+    /**
+     * Load entries from localStorage
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) this.setEntries(JSON.parse(saved));
+        } catch (error) {
+            console.error('Failed to load rate table from localStorage:', error);
+        }
+        return this.entries;
+    }
+
+    /**
+     * Save entries to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Failed to save rate table to localStorage:', error);
+        }
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * Requirement Matcher Module
+ * ============================================
+ * Extracts the Atlas requirement number referenced by an hours row.
+ * Ordered regex patterns, each searched in the task / activity fields it lists;
+ * the first match wins. The number is the first capture group (or the whole match).
+ * No DOM access - the worker extracts with the patterns sent by the main thread.
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'matafOS_requirementPatterns';
+
+// Pattern field -> hours row property (search order within a pattern)
+export const PATTERN_FIELDS = {
+    task: { label: CONFIG.COLUMN_LABELS.TASK, get: row => row.taskField },
+    subSubActivity: { label: CONFIG.COLUMN_LABELS.SUB_SUB_ACTIVITY, get: row => row.subSubActivity },
+    subActivity: { label: CONFIG.COLUMN_LABELS.SUB_ACTIVITY, get: row => row.subActivity },
+    activity: { label: CONFIG.COLUMN_LABELS.ACTIVITY, get: row => row.activity }
+};
+
+export class RequirementMatcher {
+    constructor() {
+        this.patterns = this.getDefaultPatterns();
+        this.compiled = new WeakMap(); // pattern -> RegExp
+    }
+
+    /**
+     * Default patterns: "123456 - Name" (the former task-only format) and "דרישה 123456",
+     * both searched in the task and all activity fields
+     */
+    getDefaultPatterns() {
+        const fields = Object.keys(PATTERN_FIELDS);
+        return [
+            { pattern: '^(\\d{4,6})\\s*-', fields },
+            { pattern: '(?:דרישה|req(?:uirement)?)\\s*(?:מס[\'׳]?\\s*|#|no\\.?\\s*)?(\\d{4,6})', fields }
+        ];
+    }
+
+    /**
+     * Get patterns (in order)
+     */
+    getPatterns() {
+        return this.patterns;
+    }
+
+    /**
+     * Replace patterns (invalid patterns are dropped)
+     */
+    setPatterns(patterns) {
+        this.patterns = (patterns || []).filter(pattern => !this.validatePattern(pattern));
+    }
+
+    /**
+     * Validate a pattern
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validatePattern(pattern) {
+        if (!pattern || String(pattern.pattern ?? '').trim() === '') return 'חסר ביטוי';
+        if (!Array.isArray(pattern.fields) || pattern.fields.length === 0) return 'יש לבחור לפחות שדה אחד';
+        if (pattern.fields.some(field => !PATTERN_FIELDS[field])) return 'שדה לא מוכר';
+
+        try {
+            new RegExp(pattern.pattern);
+        } catch (error) {
+            return `ביטוי רגולרי לא תקין: ${error.message}`;
+        }
+        return null;
+    }
+
+    /**
+     * Get (cached) case-insensitive RegExp of a pattern
+     */
+    getRegex(pattern) {
+        if (!this.compiled.has(pattern)) {
+            this.compiled.set(pattern, new RegExp(String(pattern.pattern).trim(), 'i'));
+        }
+        return this.compiled.get(pattern);
+    }
+
+    /**
+     * Find the requirement number referenced by a row
+     * @param {Object} row - { taskField, activity, subActivity, subSubActivity }
+     * @returns {Object|null} { requirement, field, patternIndex, text }
+     */
+    find(row, patterns = this.patterns) {
+        for (let i = 0; i < patterns.length; i++) {
+            const pattern = patterns[i];
+            const regex = this.getRegex(pattern);
+
+            // Fields in PATTERN_FIELDS order, whatever order they were ticked in
+            for (const field of Object.keys(PATTERN_FIELDS)) {
+                if (!pattern.fields.includes(field)) continue;
+
+                const text = String(PATTERN_FIELDS[field].get(row) ?? '').trim();
+                const match = text ? text.match(regex) : null;
+                const requirement = match ? String(match[1] ?? match[0]).trim() : '';
+                if (requirement) return { requirement, field, patternIndex: i, text };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Extract requirement number ('' if none)
+     */
+    extract(row, patterns = this.patterns) {
+        const found = this.find(row, patterns);
+        return found ? found.requirement : '';
+    }
+
+    /**
+     * Preview patterns against processed hours
+     * Per pattern: rows/hours it links, and hours linked to a requirement that exists
+     * @param {Set} knownIds - Requirement ids of the loaded requirements file
+     * @returns {Object} { patterns: [{ rows, hours, knownHours }], unlinked: { rows, hours } }
+     */
+    preview(rows, patterns, knownIds) {
+        const stats = patterns.map(() => ({ rows: 0, hours: 0, knownHours: 0 }));
+        const unlinked = { rows: 0, hours: 0 };
+        const valid = patterns.filter(pattern => !this.validatePattern(pattern));
+
+        rows.forEach(row => {
+            const found = this.find(row, valid);
+            if (!found) {
+                unlinked.rows++;
+                unlinked.hours += row.hours;
+                return;
+            }
+
+            const target = stats[patterns.indexOf(valid[found.patternIndex])];
+            target.rows++;
+            target.hours += row.hours;
+            if (knownIds.has(found.requirement)) target.knownHours += row.hours;
+        });
+
+        return { patterns: stats, unlinked };
+    }
+
+    /**
+     * Load patterns from localStorage (defaults if none saved)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) this.setPatterns(JSON.parse(saved));
+        } catch (error) {
+            console.error('Failed to load requirement patterns from localStorage:', error);
+        }
+        return this.patterns;
+    }
+
+    /**
+     * Save patterns to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.patterns));
+        } catch (error) {
+            console.error('Failed to save requirement patterns to localStorage:', error);
+        }
+    }
+}
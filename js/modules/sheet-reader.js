@@ -0,0 +1,253 @@
+/**
+ * ============================================
+ * Sheet Reader Module
+ * ============================================
+ * Workbook parsing (SheetJS): header-row detection on every sheet,
+ * data/exceptions sheet selection and reading rows under the chosen header.
+ * No DOM access - the same code can run outside the main thread.
+ */
+
+import { CONFIG } from '../config.js';
+import { ColumnMapper } from './column-mapper.js';
+
+export class SheetReader {
+    constructor() {
+        this.columnMapper = new ColumnMapper();
+    }
+
+    /**
+     * Get sheet as matrix of cell values (first maxRows rows, all columns)
+     */
+    getMatrix(sheet, maxRows = Infinity) {
+        if (!sheet || !sheet['!ref']) return [];
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const lastRow = Math.min(range.e.r, range.s.r + maxRows - 1);
+        const matrix = [];
+
+        for (let r = range.s.r; r <= lastRow; r++) {
+            const cells = [];
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+                cells.push(cell ? cell.v : '');
+            }
+            matrix.push(cells);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Score a row as header: number of known fields found among its text cells
+     */
+    scoreHeaderRow(cells, type) {
+        const headers = cells
+            .filter(v => typeof v === 'string' && v.trim() !== '')
+            .map(v => v.trim());
+
+        // A header needs at least two labelled columns
+        if (headers.length < 2) return { score: 0, missing: CONFIG.REQUIRED_COLUMNS[type] || [] };
+
+        const mapping = this.columnMapper.detectMapping(type, headers);
+        return {
+            score: Object.values(mapping).filter(Boolean).length,
+            missing: this.columnMapper.getMissingRequired(type, mapping)
+        };
+    }
+
+    /**
+     * Detect header row within the first rows of a sheet
+     * Confident when every required field is found and no other row scores as high
+     * @returns {Object} { rowIndex (0-based, relative to sheet start), score, confident }
+     */
+    detectHeaderRow(matrix, type) {
+        const scanRows = Math.min(matrix.length, CONFIG.HEADER_SCAN_ROWS);
+        let best = { rowIndex: 0, score: 0, missing: [] };
+        let secondScore = 0;
+
+        for (let i = 0; i < scanRows; i++) {
+            const result = this.scoreHeaderRow(matrix[i], type);
+            if (result.score > best.score) {
+                secondScore = best.score;
+                best = { rowIndex: i, ...result };
+            } else if (result.score > secondScore) {
+                secondScore = result.score;
+            }
+        }
+
+        return {
+            rowIndex: best.rowIndex,
+            score: best.score,
+            confident: best.score > 0 && best.missing.length === 0 && best.score > secondScore
+        };
+    }
+
+    /**
+     * Analyze workbook: header detection on every sheet and suggested data sheet
+     * @returns {Object} { sheets: [{ name, preview, headerRow, score, confident }], dataSheet, confident }
+     */
+    analyzeWorkbook(workbook, type) {
+        const sheets = workbook.SheetNames.map(name => {
+            const preview = this.getMatrix(workbook.Sheets[name], CONFIG.HEADER_SCAN_ROWS);
+            const detection = this.detectHeaderRow(preview, type);
+            return {
+                name,
+                preview,
+                headerRow: detection.rowIndex,
+                score: detection.score,
+                confident: detection.confident
+            };
+        });
+
+        // Data sheet = best header score (first sheet wins ties, as in the Snow export)
+        const dataSheet = sheets.reduce((best, sheet) => sheet.score > best.score ? sheet : best, sheets[0]);
+        const rivals = sheets.filter(sheet => sheet !== dataSheet && sheet.score === dataSheet.score && sheet.score > 0);
+
+        return {
+            sheets,
+            dataSheet: dataSheet ? dataSheet.name : null,
+            confident: Boolean(dataSheet && dataSheet.confident && rivals.length === 0)
+        };
+    }
+
+    /**
+     * Suggest sheet choice from analysis
+     * Hours: best sheet is data, sheet 2 (Snow export) is exceptions.
+     * Requirements: best sheet plus every other sheet with a confident header.
+     * @returns {Object} { dataSheets: [{ sheetName, headerRow }], exceptionsSheet: { sheetName, headerRow } | null }
+     */
+    suggestSheetChoice(type, analysis) {
+        const toChoice = (sheet) => ({ sheetName: sheet.name, headerRow: sheet.headerRow });
+        const dataSheet = analysis.sheets.find(sheet => sheet.name === analysis.dataSheet);
+
+        if (type === 'hours') {
+            const second = analysis.sheets[1];
+            return {
+                dataSheets: [toChoice(dataSheet)],
+                exceptionsSheet: second && second !== dataSheet ? toChoice(second) : null
+            };
+        }
+
+        return {
+            dataSheets: analysis.sheets.filter(sheet => sheet === dataSheet || sheet.confident).map(toChoice),
+            exceptionsSheet: null
+        };
+    }
+
+    /**
+     * Get workbook structure signature: sheet names + detected header cells
+     * Used to remember the sheet choice for files with the same structure
+     */
+    getWorkbookSignature(type, analysis) {
+        const parts = analysis.sheets.map(sheet => {
+            // Sheets without a recognizable header contribute only their name
+            const headerCells = sheet.score > 0 ? sheet.preview[sheet.headerRow] || [] : [];
+            return `${sheet.name}:${headerCells.map(v => String(v ?? '').trim()).join(',')}`;
+        });
+        return this.columnMapper.getSignature(`${type}-workbook`, parts);
+    }
+
+    /**
+     * Read data rows of the chosen sheets
+     * Rows from several sheets are tagged with their sheet (_sourceSheet)
+     */
+    readDataSheets(workbook, dataSheets) {
+        const rows = [];
+        dataSheets.forEach(({ sheetName, headerRow }) => {
+            const sheetRows = this.readRows(workbook.Sheets[sheetName], headerRow);
+            if (dataSheets.length > 1) {
+                sheetRows.forEach(row => { row._sourceSheet = sheetName; });
+            }
+            rows.push(...sheetRows);
+        });
+        return rows;
+    }
+
+    /**
+     * Read the chosen sheets of a workbook
+     * @param {Object} choice - { dataSheets, exceptionsSheet } (see suggestSheetChoice)
+     * @returns {Array|Object} Requirements rows, or hours { rows, exceptions }
+     */
+    readChosenSheets(workbook, type, choice) {
+        choice.dataSheets.forEach(({ sheetName, headerRow }) => {
+            console.log(`📋 Sheet "${sheetName}", header row ${headerRow + 1}`);
+        });
+        const rows = this.readDataSheets(workbook, choice.dataSheets);
+
+        if (type !== 'hours') return rows;
+
+        let exceptions = [];
+        if (choice.exceptionsSheet) {
+            try {
+                const { sheetName, headerRow } = choice.exceptionsSheet;
+                exceptions = this.readExceptions(workbook.Sheets[sheetName], headerRow);
+                console.log(`⚠️ Exceptions (${sheetName}):`, exceptions.length);
+            } catch (err) {
+                console.warn('Failed to parse exceptions sheet:', err);
+            }
+        }
+
+        return { rows, exceptions };
+    }
+
+    /**
+     * Read rows under header row as objects keyed by header
+     * Empty header cells are skipped, duplicate headers get a _N suffix, blank rows are dropped
+     * @param {Object} sheet - SheetJS worksheet
+     * @param {Number} headerRow - Header row index (0-based, relative to sheet start)
+     */
+    readRows(sheet, headerRow) {
+        const matrix = this.getMatrix(sheet);
+        const headerCells = matrix[headerRow] || [];
+
+        const used = {};
+        const headers = headerCells.map(value => {
+            const header = String(value ?? '').trim();
+            if (!header) return '';
+            used[header] = (used[header] || 0) + 1;
+            return used[header] > 1 ? `${header}_${used[header] - 1}` : header;
+        });
+
+        const rows = [];
+        for (let r = headerRow + 1; r < matrix.length; r++) {
+            const rowData = {};
+            let hasData = false;
+
+            headers.forEach((header, col) => {
+                if (!header) return;
+                const value = matrix[r][col];
+                rowData[header] = value;
+                if (value !== '' && value !== null && value !== undefined) {
+                    hasData = true;
+                }
+            });
+
+            if (hasData) rows.push(rowData);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read exceptions sheet (Snow sheet 2), rows kept only when they name an employee
+     * @param {Number|null} headerRow - Chosen header row, or null to detect it like the data sheet
+     */
+    readExceptions(sheet, headerRow = null) {
+        if (headerRow === null) {
+            const detection = this.detectHeaderRow(this.getMatrix(sheet, CONFIG.HEADER_SCAN_ROWS), 'hours');
+            if (detection.score === 0) {
+                console.warn('Could not find header row in exceptions sheet');
+                return [];
+            }
+            headerRow = detection.rowIndex;
+        }
+
+        return this.readRows(sheet, headerRow).filter(r =>
+            // Ensure at least one key field exists (Name or ID)
+            Object.keys(r).some(k =>
+                (k.includes('שם') || k.includes('Name') || k.includes('ID') || k.includes('מספר')) &&
+                r[k]
+            )
+        );
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * Snapshot Manager Module
+ * ============================================
+ * Named snapshots of loaded datasets (e.g. "Atlas end of Q1")
+ * and comparison between two snapshots
+ */
+
+// Pseudo snapshot id for the data currently loaded
+export const CURRENT_SNAPSHOT_ID = 'current';
+
+export class SnapshotManager {
+    constructor(storage) {
+        this.storage = storage;   // DatasetStorage
+        this.snapshots = [];      // Cached list, oldest first
+    }
+
+    /**
+     * Load snapshot list from storage
+     */
+    async load() {
+        this.snapshots = await this.storage.loadSnapshots();
+        return this.snapshots;
+    }
+
+    /**
+     * Get cached snapshots (oldest first)
+     */
+    getSnapshots() {
+        return this.snapshots;
+    }
+
+    /**
+     * Get snapshot by id
+     */
+    getSnapshot(id) {
+        return this.snapshots.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Build snapshot record from the current datasets
+     * @param {String} name - Display name
+     * @param {Object} datasets - { hoursSources, requirementsData }
+     * @param {Object} summary - DataProcessor.getSnapshotSummary()
+     */
+    createSnapshot(name, datasets, summary) {
+        const createdAt = new Date().toISOString();
+        return {
+            id: `snap-${Date.now()}`,
+            name: String(name || '').trim() || `תמונת מצב ${createdAt.slice(0, 10)}`,
+            createdAt,
+            hoursSources: datasets.hoursSources || [],
+            requirementsData: datasets.requirementsData || [],
+            summary
+        };
+    }
+
+    /**
+     * Save snapshot of the current datasets
+     */
+    async save(name, datasets, summary) {
+        const trimmed = String(name || '').trim();
+        if (trimmed && this.snapshots.some(s => s.name === trimmed)) {
+            throw new Error(`כבר קיימת תמונת מצב בשם "${trimmed}"`);
+        }
+
+        const snapshot = this.createSnapshot(trimmed, datasets, summary);
+        await this.storage.saveSnapshot(snapshot);
+        this.snapshots.push(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Delete snapshot by id
+     */
+    async remove(id) {
+        await this.storage.removeSnapshot(id);
+        this.snapshots = this.snapshots.filter(s => s.id !== id);
+    }
+
+    /**
+     * Compare two snapshot summaries (base -> target)
+     * Changes are target minus base; rows present on one side only keep null on the other
+     * @returns {Object} { requirements: [...], employees: [...] }
+     */
+    compare(baseSummary, targetSummary) {
+        return {
+            requirements: this.compareRequirements(baseSummary.requirements, targetSummary.requirements),
+            employees: this.compareEmployees(baseSummary.employees, targetSummary.employees)
+        };
+    }
+
+    /**
+     * Compare requirements: actual spend and utilization
+     */
+    compareRequirements(baseRows = [], targetRows = []) {
+        const rows = this.joinByKey(baseRows, targetRows, req => req.id || req.name);
+
+        return rows.map(({ key, base, target }) => ({
+            id: (target || base).id || key,
+            name: (target || base).name,
+            status: this.getChangeStatus(base, target),
+            actualBefore: base ? base.actual : null,
+            actualAfter: target ? target.actual : null,
+            actualChange: (target ? target.actual : 0) - (base ? base.actual : 0),
+            utilizationBefore: base ? base.utilization : null,
+            utilizationAfter: target ? target.utilization : null,
+            utilizationChange: (target ? target.utilization : 0) - (base ? base.utilization : 0)
+        })).sort((a, b) => Math.abs(b.actualChange) - Math.abs(a.actualChange));
+    }
+
+    /**
+     * Compare employees: hours and investment %
+     */
+    compareEmployees(baseRows = [], targetRows = []) {
+        const rows = this.joinByKey(baseRows, targetRows, emp => emp.id || emp.name);
+
+        return rows.map(({ key, base, target }) => ({
+            id: (target || base).id || '',
+            name: (target || base).name || key,
+            status: this.getChangeStatus(base, target),
+            hoursBefore: base ? base.totalHours : null,
+            hoursAfter: target ? target.totalHours : null,
+            hoursChange: (target ? target.totalHours : 0) - (base ? base.totalHours : 0),
+            investmentBefore: base ? base.investmentPercent : null,
+            investmentAfter: target ? target.investmentPercent : null,
+            // Investment % change is only meaningful when both sides exist
+            investmentChange: base && target ? target.investmentPercent - base.investmentPercent : null
+        })).sort((a, b) => Math.abs(b.hoursChange) - Math.abs(a.hoursChange));
+    }
+
+    /**
+     * Full outer join of two row lists by key
+     */
+    joinByKey(baseRows, targetRows, getKey) {
+        const joined = new Map();
+
+        baseRows.forEach(row => {
+            const key = getKey(row);
+            if (key) joined.set(key, { key, base: row, target: null });
+        });
+
+        targetRows.forEach(row => {
+            const key = getKey(row);
+            if (!key) return;
+            if (joined.has(key)) {
+                joined.get(key).target = row;
+            } else {
+                joined.set(key, { key, base: null, target: row });
+            }
+        });
+
+        return Array.from(joined.values());
+    }
+
+    /**
+     * Get row change status: 'added', 'removed' or 'changed'
+     */
+    getChangeStatus(base, target) {
+        if (!base) return 'added';
+        if (!target) return 'removed';
+        return 'changed';
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * ============================================
+ * Spend Forecast Module
+ * ============================================
+ * Year-end spend projection per requirement from its burn rate:
+ * - Atlas: actual spend across saved snapshots (and the current file) this year
+ * - Hours: cost of the linked hours per month this year
+ * Atlas history is preferred; hours are the fallback when it is too short.
+ */
+
+import { CONFIG } from '../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+export const FORECAST_METHODS = {
+    ATLAS: 'atlas',
+    HOURS: 'hours'
+};
+
+export const FORECAST_METHOD_LABELS = {
+    atlas: 'ביצוע Atlas בתמונות מצב',
+    hours: 'עלות שעות חודשית'
+};
+
+export class SpendForecast {
+    /**
+     * @param {Date} today - Forecast date (the year to project to ends on Dec 31 of it)
+     */
+    constructor(today = new Date()) {
+        this.today = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+        this.year = this.today.getUTCFullYear();
+        this.yearEnd = new Date(Date.UTC(this.year, 11, 31));
+    }
+
+    /**
+     * Months left until year end (fractional)
+     */
+    getMonthsRemaining() {
+        return Math.max(0, (this.yearEnd - this.today) / DAY_MS / DAYS_PER_MONTH);
+    }
+
+    /**
+     * Build Atlas history points per requirement from snapshots (this year only)
+     * @param {Array} snapshots - [{ createdAt, summary: { requirements: [{ id, actual }] } }]
+     * @returns {Object} id -> [{ date, actual }] (oldest first)
+     */
+    buildAtlasHistory(snapshots) {
+        const history = {};
+        snapshots.forEach(snapshot => {
+            const date = new Date(snapshot.createdAt);
+            if (isNaN(date) || date.getUTCFullYear() !== this.year || date > this.today) return;
+
+            ((snapshot.summary && snapshot.summary.requirements) || []).forEach(req => {
+                if (!req.id) return;
+                (history[req.id] = history[req.id] || []).push({ date, actual: req.actual || 0 });
+            });
+        });
+        Object.values(history).forEach(points => points.sort((a, b) => a.date - b.date));
+        return history;
+    }
+
+    /**
+     * Build monthly hours cost per requirement (this year, up to the last month with hours)
+     * Months without hours for a requirement count as 0
+     * @param {Array} hours - Processed hours rows ({ requirement, monthKey, ... })
+     * @param {Function} getCost - row -> cost
+     * @returns {Object} { months: [monthKey], costs: id -> { monthKey: cost } }
+     */
+    buildMonthlyCosts(hours, getCost) {
+        const prefix = `${this.year}-`;
+        const costs = {};
+        let firstMonth = '';
+        let lastMonth = '';
+
+        hours.forEach(row => {
+            if (!row.monthKey || !row.monthKey.startsWith(prefix)) return;
+            if (!firstMonth || row.monthKey < firstMonth) firstMonth = row.monthKey;
+            if (!lastMonth || row.monthKey > lastMonth) lastMonth = row.monthKey;
+            if (!row.requirement) return;
+
+            const months = costs[row.requirement] = costs[row.requirement] || {};
+            months[row.monthKey] = (months[row.monthKey] || 0) + getCost(row);
+        });
+
+        const months = [];
+        if (firstMonth) {
+            for (let m = Number(firstMonth.slice(5, 7)); m <= Number(lastMonth.slice(5, 7)); m++) {
+                months.push(`${this.year}-${String(m).padStart(2, '0')}`);
+            }
+        }
+
+        // The current month is still partial - leave it out of the average when there are others
+        const currentMonth = `${this.year}-${String(this.today.getUTCMonth() + 1).padStart(2, '0')}`;
+        const complete = months.length > 1 ? months.filter(month => month !== currentMonth) : months;
+
+        return { months: complete.slice(-CONFIG.FORECAST_HOURS_MONTHS), costs };
+    }
+
+    /**
+     * Monthly burn from Atlas history plus the current actual (null when the history is too short)
+     */
+    getAtlasBurn(points, currentActual) {
+        const all = [...(points || []), { date: this.today, actual: currentActual }];
+        const first = all[0];
+        const last = all[all.length - 1];
+        const days = (last.date - first.date) / DAY_MS;
+
+        if (all.length < 2 || days < CONFIG.FORECAST_MIN_HISTORY_DAYS) return null;
+        return Math.max(0, (last.actual - first.actual) / days) * DAYS_PER_MONTH;
+    }
+
+    /**
+     * Monthly burn from hours cost (null without complete months of hours)
+     */
+    getHoursBurn(monthlyCosts, id) {
+        if (monthlyCosts.months.length === 0) return null;
+        const months = monthlyCosts.costs[id] || {};
+        const total = monthlyCosts.months.reduce((sum, month) => sum + (months[month] || 0), 0);
+        return total / monthlyCosts.months.length;
+    }
+
+    /**
+     * Forecast year-end spend of a requirement
+     * @returns {Object} { forecastMethod, monthlyBurn, projected, projectedUtilization, projectedOverrun }
+     */
+    forecast(req, atlasHistory, monthlyCosts) {
+        let method = FORECAST_METHODS.ATLAS;
+        let burn = this.getAtlasBurn(atlasHistory[req.id], req.actual);
+
+        if (burn === null) {
+            method = FORECAST_METHODS.HOURS;
+            burn = this.getHoursBurn(monthlyCosts, req.id);
+        }
+
+        if (burn === null) {
+            return { forecastMethod: null, monthlyBurn: null, projected: null, projectedUtilization: null, projectedOverrun: false };
+        }
+
+        const projected = req.actual + burn * this.getMonthsRemaining();
+        const projectedUtilization = req.budget > 0 ? (projected / req.budget) * 100 : 0;
+
+        return {
+            forecastMethod: method,
+            monthlyBurn: burn,
+            projected,
+            projectedUtilization,
+            projectedOverrun: req.budget > 0 && projectedUtilization > CONFIG.BUDGET_OVERRUN_THRESHOLD
+        };
+    }
+}
@@ -2,35 +2,73 @@
  * ============================================
  * Team Filter Module
  * ============================================
- * Manages team-based filtering of data
+ * Manages team-based filtering of data.
+ * Teams come from teams-structure.json until edited in the app;
+ * edits are kept in localStorage and can be exported back to the JSON file.
+ * Units nest through `parent` (department → section → team): a unit's members
+ * are its own employees plus the members of all units below it.
+ * A member is an employee ID, or { id, from, to } for a membership limited to
+ * a period (ISO dates, either may be open) - an employee who moves keeps the
+ * hours reported before the move in the former unit.
  */
 
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const STRUCTURE_STORAGE_KEY = 'matafOS_teamsStructure';
+
+export const UNIT_TYPES = {
+    department: 'מחלקה',
+    section: 'מדור',
+    team: 'צוות'
+};
+
 export class TeamFilter {
     constructor() {
         this.teamsData = null;
         this.currentTeam = 'all';
         this.onTeamChange = null;
+        this.isCustomized = false; // Teams edited in the app (localStorage) instead of teams-structure.json
+        this.membersCache = new WeakMap(); // teamsData -> Map(unitId -> Map(employee ID -> [member]))
     }
 
     /**
-     * Load teams structure from JSON
+     * Load teams structure: the locally edited one, else teams-structure.json
      */
     async loadTeamsStructure() {
+        const saved = this.loadSavedStructure();
+        if (saved) {
+            this.teamsData = saved;
+            this.isCustomized = true;
+            console.log('✅ Teams structure loaded from local edits:', this.teamsData);
+            return this.teamsData;
+        }
+
+        this.isCustomized = false;
+        this.teamsData = await this.fetchTeamsStructure();
+        return this.teamsData;
+    }
+
+    /**
+     * Read teams-structure.json (fallback: only the full-view pseudo team)
+     */
+    async fetchTeamsStructure() {
         try {
             const response = await fetch('teams-structure.json');
-            this.teamsData = await response.json();
-            console.log('✅ Teams structure loaded:', this.teamsData);
-            return this.teamsData;
+            const data = await response.json();
+            const error = this.validateStructure(data);
+            if (error) throw new Error(error);
+
+            console.log('✅ Teams structure loaded:', data);
+            return this.normalizeStructure(data);
         } catch (error) {
             console.error('❌ Failed to load teams structure:', error);
-            // Fallback to default structure
-            this.teamsData = this.getDefaultTeamsStructure();
-            return this.teamsData;
+            return this.getDefaultTeamsStructure();
         }
     }
 
     /**
-     * Get default teams structure (fallback)
+     * Get default teams structure (fallback) - teams are defined in teams-structure.json
+     * or in the team editor, not here
      */
     getDefaultTeamsStructure() {
         return {
@@ -40,37 +78,179 @@ export class TeamFilter {
                     name: 'מנהל מדור',
                     manager: 'כל המדור',
                     employees: []
-                },
-                {
-                    id: 'logashi',
-                    name: 'צוות לוגאשי',
-                    manager: 'קרן לוגאשי',
-                    employees: ['395602', '218668', '218503']
-                },
-                {
-                    id: 'spishvili',
-                    name: 'צוות ספישווילי',
-                    manager: 'יעקב ספישווילי',
-                    employees: ['218452', '216461', '395701', '219137', '219302', '218654', '218652', '219311']
-                },
-                {
-                    id: 'retail',
-                    name: 'צוות ריטל',
-                    manager: 'תומר ריטל',
-                    employees: ['219253', '217620', '217623']
-                },
-                {
-                    id: 'hoizman',
-                    name: 'צוות הויזמן',
-                    manager: 'אלקנה הויזמן',
-                    employees: ['395678', '218891', '219193', '395745']
                 }
             ]
         };
     }
 
+    /**
+     * Validate a teams structure ({ teams: [{ id, name, manager, description, type, parent, employees: [id | { id, from, to }] }] })
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validateStructure(data) {
+        if (!data || !Array.isArray(data.teams)) return 'מבנה צוותים לא תקין (חסר teams)';
+
+        const ids = new Set();
+        for (const team of data.teams) {
+            if (!team || !String(team.id ?? '').trim()) return 'צוות ללא מזהה (id)';
+            if (!String(team.name ?? '').trim()) return `לצוות "${team.id}" חסר שם`;
+            if (!Array.isArray(team.employees)) return `לצוות "${team.name}" חסרה רשימת עובדים`;
+            if (team.type && !UNIT_TYPES[team.type]) return `סוג יחידה לא מוכר ב"${team.name}": ${team.type}`;
+            for (const member of team.employees) {
+                const error = this.validateMember(member);
+                if (error) return `${error} ב"${team.name}"`;
+            }
+            if (ids.has(team.id)) return `מזהה צוות כפול: ${team.id}`;
+            ids.add(team.id);
+        }
+
+        // Parents must exist and must not loop back
+        const parents = {};
+        data.teams.forEach(team => { parents[team.id] = this.normalizeParent(team.parent); });
+        for (const team of data.teams) {
+            const parent = parents[team.id];
+            if (parent && !ids.has(parent)) return `יחידת אב לא קיימת ב"${team.name}": ${parent}`;
+
+            const seen = new Set([team.id]);
+            for (let id = parent; id; id = parents[id]) {
+                if (seen.has(id)) return `מבנה מעגלי: "${team.name}" נמצא מתחת לעצמו`;
+                seen.add(id);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate a member entry (employee ID or { id, from, to })
+     * @returns {String|null} Hebrew error, or null when valid
+     */
+    validateMember(member) {
+        if (!member || typeof member !== 'object') return null;
+
+        const id = this.getMemberId(member);
+        if (!id) return 'שיוך ללא מספר עובד';
+        if (member.from && !ISO_DATE.test(member.from)) return `תאריך התחלה לא תקין לעובד ${id}`;
+        if (member.to && !ISO_DATE.test(member.to)) return `תאריך סיום לא תקין לעובד ${id}`;
+        if (member.from && member.to && member.from > member.to) return `תאריך הסיום לפני תאריך ההתחלה לעובד ${id}`;
+        return null;
+    }
+
+    /**
+     * Employee ID of a member entry
+     */
+    getMemberId(member) {
+        return String((member && typeof member === 'object' ? member.id : member) ?? '').trim();
+    }
+
+    /**
+     * Normalize a member entry: a trimmed ID, or { id, from, to } with only the dates it has
+     * (a dated entry without dates becomes a plain ID)
+     */
+    normalizeMember(member) {
+        const id = this.getMemberId(member);
+        if (!member || typeof member !== 'object') return id;
+
+        const from = String(member.from ?? '').trim();
+        const to = String(member.to ?? '').trim();
+        return from || to ? { id, ...(from ? { from } : {}), ...(to ? { to } : {}) } : id;
+    }
+
+    /**
+     * Check if a member entry covers a date (plain IDs, and checks without a date, always do)
+     */
+    isMemberOn(member, date) {
+        if (!date || !member || typeof member !== 'object') return true;
+        return (!member.from || member.from <= date) && (!member.to || member.to >= date);
+    }
+
+    /**
+     * Parent id of a unit ('' = top level; the full-view team is not a real parent)
+     */
+    normalizeParent(parent) {
+        const id = String(parent ?? '').trim();
+        return id === 'all' ? '' : id;
+    }
+
+    /**
+     * Normalize a valid structure: full-view team first, member entries normalized and unique
+     */
+    normalizeStructure(data) {
+        const teams = data.teams.map(team => ({
+            ...team,
+            id: String(team.id).trim(),
+            name: String(team.name).trim(),
+            manager: String(team.manager ?? '').trim(),
+            ...(team.id === 'all' ? {} : { type: team.type || 'team', parent: this.normalizeParent(team.parent) }),
+            employees: this.uniqueMembers(team.employees.map(member => this.normalizeMember(member)).filter(member => this.getMemberId(member)))
+        }));
+
+        const allTeam = teams.find(team => team.id === 'all') || this.getDefaultTeamsStructure().teams[0];
+        return { ...data, teams: [allTeam, ...teams.filter(team => team.id !== 'all')] };
+    }
+
+    /**
+     * Drop repeated member entries (same ID and period)
+     */
+    uniqueMembers(members) {
+        const seen = new Set();
+        return members.filter(member => {
+            const key = JSON.stringify(member);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Replace the teams structure (team editor), persist it locally and refresh the selector
+     * A selected team that no longer exists falls back to the full view
+     */
+    setTeamsStructure(data) {
+        this.teamsData = this.normalizeStructure(data);
+        this.isCustomized = true;
+        this.saveStructure();
+        this.applyStructureChange();
+    }
+
+    /**
+     * Repopulate the selector and re-apply the (possibly removed) current team
+     */
+    applyStructureChange() {
+        const teamSelector = document.getElementById('teamSelector');
+        if (teamSelector) this.populateTeamSelector(teamSelector);
+
+        const teamId = this.getTeam(this.currentTeam) ? this.currentTeam : 'all';
+        if (teamSelector) teamSelector.value = teamId;
+        this.setCurrentTeam(teamId);
+    }
+
+    /**
+     * Save edited teams structure to localStorage
+     */
+    saveStructure() {
+        try {
+            localStorage.setItem(STRUCTURE_STORAGE_KEY, JSON.stringify(this.teamsData));
+        } catch (error) {
+            console.error('Failed to save teams structure to localStorage:', error);
+        }
+    }
+
+    /**
+     * Load edited teams structure from localStorage (null if none or invalid)
+     */
+    loadSavedStructure() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STRUCTURE_STORAGE_KEY) || 'null');
+            return saved && !this.validateStructure(saved) ? this.normalizeStructure(saved) : null;
+        } catch (error) {
+            console.error('Failed to load teams structure from localStorage:', error);
+            return null;
+        }
+    }
+
     /**
      * Initialize team selector
+     * @returns {Promise} Resolves once the teams structure is loaded
      */
     init(onTeamChangeCallback) {
         this.onTeamChange = onTeamChangeCallback;
@@ -78,11 +258,11 @@ export class TeamFilter {
         const teamSelector = document.getElementById('teamSelector');
         if (!teamSelector) {
             console.warn('Team selector not found');
-            return;
+            return Promise.resolve();
         }
 
         // Load teams structure
-        this.loadTeamsStructure().then(() => {
+        return this.loadTeamsStructure().then(() => {
             // Populate selector options dynamically
             this.populateTeamSelector(teamSelector);
 
@@ -105,6 +285,8 @@ export class TeamFilter {
             teamSelector.addEventListener('change', (e) => {
                 this.setCurrentTeam(e.target.value);
             });
+
+            this.renderDrilldown();
         });
     }
 
@@ -117,14 +299,59 @@ export class TeamFilter {
 
         selector.innerHTML = ''; // Clear existing
 
-        this.teamsData.teams.forEach(team => {
+        // Full view first, then the units as an indented tree
+        const allTeam = this.getTeam('all');
+        const options = [...(allTeam ? [{ team: allTeam, depth: 0 }] : []), ...this.getTeamsTree()];
+        options.forEach(({ team, depth }) => {
             const option = document.createElement('option');
             option.value = team.id;
-            option.textContent = team.name;
+            option.textContent = `${'\u00A0\u00A0\u00A0'.repeat(depth)}${team.name}`;
             selector.appendChild(option);
         });
     }
 
+    /**
+     * Render drill-down next to the selector: path to the current unit and the units below it
+     */
+    renderDrilldown() {
+        const container = document.getElementById('teamDrilldown');
+        if (!container) return;
+
+        const current = this.getCurrentTeamData();
+        const ancestors = current && current.id !== 'all' ? this.getAncestors(current.id) : [];
+        const children = current && current.id !== 'all' ? this.getChildren(current.id) : [];
+
+        container.innerHTML = '';
+        const addLink = (team) => {
+            const btn = document.createElement('button');
+            btn.className = 'team-drill-btn';
+            btn.textContent = team.name;
+            btn.title = UNIT_TYPES[team.type] || '';
+            btn.addEventListener('click', () => {
+                const teamSelector = document.getElementById('teamSelector');
+                if (teamSelector) teamSelector.value = team.id;
+                this.setCurrentTeam(team.id);
+            });
+            container.appendChild(btn);
+        };
+        const addLabel = (text) => {
+            const label = document.createElement('span');
+            label.className = 'team-drill-label';
+            label.textContent = text;
+            container.appendChild(label);
+        };
+
+        ancestors.forEach(team => {
+            addLink(team);
+            addLabel('›');
+        });
+        if (children.length > 0) {
+            addLabel('יחידות:');
+            children.forEach(addLink);
+        }
+        container.classList.toggle('hidden', ancestors.length === 0 && children.length === 0);
+    }
+
     /**
      * Set current team and trigger callback
      */
@@ -134,6 +361,7 @@ export class TeamFilter {
 
         // Save to localStorage
         this.saveTeam(teamId);
+        this.renderDrilldown();
 
         if (this.onTeamChange) {
             this.onTeamChange(teamId);
@@ -188,21 +416,127 @@ export class TeamFilter {
     }
 
     /**
-     * Check if employee belongs to current team
+     * Get filter state (teams + selection) for a copy of the filter, e.g. in the data worker
      */
-    isEmployeeInCurrentTeam(employeeId) {
-        if (this.currentTeam === 'all') return true;
+    getState() {
+        return { teamsData: this.teamsData, currentTeam: this.currentTeam };
+    }
 
-        const team = this.getCurrentTeamData();
-        if (!team) return true;
+    /**
+     * Apply state from getState (no callback, nothing persisted)
+     */
+    setState(state) {
+        this.teamsData = state.teamsData;
+        this.currentTeam = state.currentTeam;
+    }
 
-        // Convert both to strings for comparison
-        const empIdStr = String(employeeId).trim();
-        return team.employees.some(id => String(id).trim() === empIdStr);
+    /**
+     * Get units directly below a unit (top-level units for '' or 'all')
+     */
+    getChildren(teamId) {
+        const parentId = this.normalizeParent(teamId);
+        return this.getAllTeams().filter(team => team.id !== 'all' && this.normalizeParent(team.parent) === parentId);
+    }
+
+    /**
+     * Get units above a unit, top-level first
+     */
+    getAncestors(teamId) {
+        const ancestors = [];
+        const seen = new Set([teamId]);
+        let parent = this.getTeam(this.normalizeParent((this.getTeam(teamId) || {}).parent));
+        while (parent && !seen.has(parent.id)) {
+            ancestors.unshift(parent);
+            seen.add(parent.id);
+            parent = this.getTeam(this.normalizeParent(parent.parent));
+        }
+        return ancestors;
     }
 
     /**
-     * Filter employees array by current team
+     * Get units depth-first in file order (full-view team excluded)
+     * Units whose parent is missing are shown at the top level
+     * @returns {Array} [{ team, depth }]
+     */
+    getTeamsTree() {
+        const teams = this.getAllTeams().filter(team => team.id !== 'all');
+        const ids = new Set(teams.map(team => team.id));
+        const tree = [];
+        const visited = new Set();
+
+        const visit = (team, depth) => {
+            if (visited.has(team.id)) return;
+            visited.add(team.id);
+            tree.push({ team, depth });
+            teams.filter(child => this.normalizeParent(child.parent) === team.id).forEach(child => visit(child, depth + 1));
+        };
+
+        teams.filter(team => !ids.has(this.normalizeParent(team.parent))).forEach(team => visit(team, 0));
+        return tree;
+    }
+
+    /**
+     * Get member entries of a unit by employee ID: its own plus those of every unit below it
+     * (cached per structure)
+     * @returns {Map|null} employee ID -> [member]; null for the full view (everyone) or an unknown unit
+     */
+    getUnitMemberships(teamId) {
+        if (!this.teamsData || teamId === 'all' || !this.getTeam(teamId)) return null;
+
+        if (!this.membersCache.has(this.teamsData)) this.membersCache.set(this.teamsData, new Map());
+        const cache = this.membersCache.get(this.teamsData);
+
+        if (!cache.has(teamId)) {
+            const memberships = new Map();
+            const visited = new Set();
+            const collect = (id) => {
+                if (visited.has(id)) return;
+                visited.add(id);
+                this.getTeam(id).employees.forEach(member => {
+                    const empId = this.getMemberId(member);
+                    if (!memberships.has(empId)) memberships.set(empId, []);
+                    memberships.get(empId).push(member);
+                });
+                this.getChildren(id).forEach(child => collect(child.id));
+            };
+            collect(teamId);
+            cache.set(teamId, memberships);
+        }
+        return cache.get(teamId);
+    }
+
+    /**
+     * Get employee IDs of a unit in any period (including units below it)
+     * @returns {Set|null} null for the full view (everyone) or an unknown unit
+     */
+    getUnitMembers(teamId) {
+        const memberships = this.getUnitMemberships(teamId);
+        return memberships ? new Set(memberships.keys()) : null;
+    }
+
+    /**
+     * Check if employee belongs to current team (directly or through a unit below it)
+     * @param {String} date - ISO date to check dated memberships on (none = any period)
+     */
+    isEmployeeInCurrentTeam(employeeId, date = null) {
+        return this.isEmployeeInTeam(this.currentTeam, employeeId, date);
+    }
+
+    /**
+     * Check if employee belongs to a unit (directly or through a unit below it)
+     * @param {String} date - ISO date to check dated memberships on (none = any period)
+     */
+    isEmployeeInTeam(teamId, employeeId, date = null) {
+        const memberships = this.getUnitMemberships(teamId);
+        if (!memberships) return true;
+
+        // Convert to string for comparison
+        const members = memberships.get(String(employeeId).trim());
+        return Boolean(members) && members.some(member => this.isMemberOn(member, date));
+    }
+
+    /**
+     * Filter employees array by current team (members in any period)
      */
     filterEmployees(employees) {
         if (this.currentTeam === 'all') return employees;
@@ -214,23 +548,91 @@ export class TeamFilter {
     }
 
     /**
-     * Filter hours data by current team
+     * Filter hours data by current team (or another unit) - each row by the membership on its date
      */
-    filterHoursData(hoursData) {
-        if (this.currentTeam === 'all') return hoursData;
+    filterHoursData(hoursData, teamId = this.currentTeam) {
+        if (teamId === 'all') return hoursData;
 
         return hoursData.filter(row => {
             const empId = row.employeeId || row['מספר עובד'];
-            return this.isEmployeeInCurrentTeam(empId);
+            return this.isEmployeeInTeam(teamId, empId, row.date);
         });
     }
 
     /**
-     * Get team employees list
+     * Get team employees list (including units below it)
      */
     getTeamEmployees(teamId = null) {
-        const team = this.getTeam(teamId || this.currentTeam);
-        return team ? team.employees : [];
+        const members = this.getUnitMembers(teamId || this.currentTeam);
+        return members ? [...members] : [];
+    }
+
+    /**
+     * Get the unit that lists an employee directly, the deepest one if several do
+     * (the 'all' pseudo team excluded)
+     * Without a date: the membership in effect today, else the one that ended last
+     * @param {String} date - ISO date of the membership
+     */
+    getEmployeeTeam(employeeId, date = null) {
+        const empIdStr = String(employeeId).trim();
+        let listing = this.getTeamsTree().flatMap(({ team, depth }) => team.employees
+            .filter(member => this.getMemberId(member) === empIdStr && this.isMemberOn(member, date))
+            .map(member => ({ team, depth, member, end: (typeof member === 'object' && member.to) || '9999-12-31' })));
+
+        if (!date) {
+            const today = new Date().toISOString().slice(0, 10);
+            const current = listing.filter(unit => this.isMemberOn(unit.member, today));
+            if (current.length > 0) listing = current;
+        }
+
+        return listing.length > 0
+            ? listing.reduce((best, unit) => unit.end > best.end || (unit.end === best.end && unit.depth > best.depth) ? unit : best).team
+            : null;
+    }
+
+    /**
+     * Compare team membership with the employees of the hours data
+     * @param {Array} employees - [{ id, name, hours }] from the loaded hours
+     * @returns {Object} { unassigned: [{ id, name, hours }], missing: [{ id, teamId, teamName }] }
+     */
+    getCoverage(employees) {
+        const teams = this.getAllTeams().filter(team => team.id !== 'all');
+        const assigned = new Set(teams.flatMap(team => team.employees.map(member => this.getMemberId(member))));
+        const present = new Set(employees.map(emp => String(emp.id).trim()));
+
+        return {
+            unassigned: employees.filter(emp => !assigned.has(String(emp.id).trim())),
+            missing: teams.flatMap(team => [...new Set(team.employees.map(member => this.getMemberId(member)))]
+                .filter(id => !present.has(id))
+                .map(id => ({ id, teamId: team.id, teamName: team.name })))
+        };
+    }
+
+    /**
+     * Add an employee to a team (saved like an edit in the team editor)
+     */
+    assignEmployee(employeeId, teamId) {
+        const id = String(employeeId).trim();
+        this.updateTeamEmployees(teamId, employees => employees.some(member => this.getMemberId(member) === id) ? employees : [...employees, id]);
+    }
+
+    /**
+     * Remove an employee from a team, all periods (saved like an edit in the team editor)
+     */
+    removeEmployee(employeeId, teamId) {
+        const id = String(employeeId).trim();
+        this.updateTeamEmployees(teamId, employees => employees.filter(member => this.getMemberId(member) !== id));
+    }
+
+    /**
+     * Replace the employee list of one team and save the structure
+     */
+    updateTeamEmployees(teamId, update) {
+        if (!this.getTeam(teamId)) throw new Error(`צוות לא קיים: ${teamId}`);
+        this.setTeamsStructure({
+            ...this.teamsData,
+            teams: this.teamsData.teams.map(team => team.id === teamId ? { ...team, employees: update(team.employees) } : team)
+        });
     }
 
     /**
@@ -7,6 +7,13 @@
 
 import { CONFIG, getUtilizationStatus, STATUS } from '../config.js';
 import { ModalManager } from './modal-manager.js';
+import { ChartRenderer } from './chart-renderer.js';
+import { ISSUE_CATEGORY_LABELS } from './import-report.js';
+import { RULE_FIELDS, RULE_MATCH_LABELS, WORK_TYPE_VALUES } from './classification-rules.js';
+import { PATTERN_FIELDS } from './requirement-matcher.js';
+import { RATE_EMPLOYEE_TYPES } from './rate-table.js';
+import { FORECAST_METHOD_LABELS } from './spend-forecast.js';
+import { UNIT_TYPES } from './team-filter.js';
 
 export class UIRenderer {
     constructor() {
@@ -16,6 +23,7 @@ export class UIRenderer {
         this.requirementsData = []; // Store full requirements data for modal
         this.currentRequirementsFilter = 'all'; // Current filter status
         this.modalManager = new ModalManager();
+        this.chartRenderer = new ChartRenderer();
     }
 
     /**
@@ -33,7 +41,15 @@ export class UIRenderer {
 
         toast.innerHTML = `<span>${icon}</span><span>${message}</span>`;
 
-        document.body.appendChild(toast);
+        // Stack concurrent toasts instead of drawing them on top of each other
+        let container = document.getElementById('toastContainer');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toastContainer';
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+        }
+        container.appendChild(toast);
 
         // Trigger reflow
         toast.offsetHeight;
@@ -47,7 +63,7 @@ export class UIRenderer {
         setTimeout(() => {
             toast.classList.remove('show');
             setTimeout(() => {
-                document.body.removeChild(toast);
+                toast.remove();
             }, 300);
         }, 3000);
     }
@@ -240,6 +256,95 @@ export class UIRenderer {
         }
     }
 
+    /**
+     * Render monthly trend card (employees tab)
+     * @param {Array} trend - From DataProcessor.getMonthlyTrend
+     * @param {String} title - Scope label (team name)
+     */
+    renderMonthlyTrend(trend, title = '') {
+        const container = document.getElementById('monthlyTrendContainer');
+        if (!container) return;
+
+        const titleEl = document.getElementById('monthlyTrendTitle');
+        if (titleEl) {
+            titleEl.textContent = title ? `מגמה חודשית - ${title}` : 'מגמה חודשית';
+        }
+
+        if (!trend || trend.length === 0) {
+            this.chartRenderer.destroy('monthlyTrendChart');
+            container.innerHTML = '<div class="empty-message">טען קובץ שעות להצגת מגמה חודשית</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="chart-container"><canvas id="monthlyTrendChart"></canvas></div>
+            ${this.buildMonthlyTrendTable(trend, 'monthlyTrendTable')}
+        `;
+
+        this.renderMonthlyTrendChart('monthlyTrendChart', trend);
+    }
+
+    /**
+     * Render monthly trend as stacked bars (percent of hours per month)
+     */
+    renderMonthlyTrendChart(canvasId, trend) {
+        const colors = CONFIG.CHART_COLORS;
+        this.chartRenderer.renderBar(canvasId, {
+            labels: trend.map(m => this.formatMonth(m.monthKey)),
+            datasets: [
+                { label: 'השקעה', data: trend.map(m => m.investmentPercent), color: colors.INVESTMENT },
+                { label: 'הוצאה', data: trend.map(m => m.expensePercent), color: colors.EXPENSE },
+                { label: 'היעדרות', data: trend.map(m => m.absencePercent), color: colors.ABSENCE }
+            ],
+            stacked: true,
+            valueFormatter: (v) => `${this.formatNumber(v)}%`
+        });
+    }
+
+    /**
+     * Build monthly trend table HTML (hours, percentages and stacked bar per month)
+     */
+    buildMonthlyTrendTable(trend, tableId) {
+        const changeCell = (change) => this.formatChange(change, (v) => `${this.formatNumber(v)}%`);
+
+        return `
+            <div class="table-container">
+                <table class="data-table trend-table" id="${tableId}">
+                    <thead>
+                        <tr>
+                            <th>חודש</th>
+                            <th>סה"כ שעות</th>
+                            <th>השקעה</th>
+                            <th>הוצאה</th>
+                            <th>היעדרות</th>
+                            <th>שינוי בהשקעה</th>
+                            <th>התפלגות</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${trend.map(month => `
+                            <tr>
+                                <td>${this.escapeHtml(this.formatMonth(month.monthKey))}</td>
+                                <td class="number-cell">${this.formatNumber(month.totalHours)}</td>
+                                <td class="number-cell ${this.getPercentClass('investment', month.investmentPercent)}">${this.formatNumber(month.investmentHours)} (${this.formatNumber(month.investmentPercent)}%)</td>
+                                <td class="number-cell ${this.getPercentClass('expense', month.expensePercent)}">${this.formatNumber(month.expenseHours)} (${this.formatNumber(month.expensePercent)}%)</td>
+                                <td class="number-cell">${this.formatNumber(month.absenceHours)} (${this.formatNumber(month.absencePercent)}%)</td>
+                                <td class="number-cell">${changeCell(month.investmentChange)}</td>
+                                <td>
+                                    <div class="trend-bar" title="השקעה ${this.formatNumber(month.investmentPercent)}% | הוצאה ${this.formatNumber(month.expensePercent)}% | היעדרות ${this.formatNumber(month.absencePercent)}%">
+                                        <span class="trend-bar-investment" style="width: ${month.investmentPercent}%;"></span>
+                                        <span class="trend-bar-expense" style="width: ${month.expensePercent}%;"></span>
+                                        <span class="trend-bar-absence" style="width: ${month.absencePercent}%;"></span>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     /**
      * Update employee KPIs - Employees tab
      */
@@ -333,7 +438,7 @@ export class UIRenderer {
         tbody.innerHTML = displayData.map(row => `
             <tr class="employee-row" data-employee-id="${this.escapeHtml(row.employeeId || row.employee)}" data-employee-name="${this.escapeHtml(row.employee)}" style="cursor: pointer;">
                 <td>${this.escapeHtml(row.employee)}</td>
-                <td class="number-cell">${row.date}</td>
+                <td class="number-cell">${this.formatDate(row.date)}</td>
                 <td>${this.escapeHtml(row.task)}</td>
                 <td>${this.escapeHtml(row.subtask)}</td>
                 <td class="number-cell">${this.formatNumber(row.hours)}</td>
@@ -368,172 +473,2468 @@ export class UIRenderer {
     }
 
     /**
-     * Render Requirements KPIs
+     * Render Requirements KPIs
+     */
+    renderRequirementsKPIs(kpis) {
+        const container = document.getElementById('requirementsKpiContainer');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>Active</h3>
+                    <div class="card-value">${this.formatNumber(kpis.activeCount)}</div>
+                    <div class="card-subvalue">דרישות פעילות</div>
+                </div>
+            </div>
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>Done</h3>
+                    <div class="card-value text-success">${this.formatNumber(kpis.doneCount)}</div>
+                    <div class="card-subvalue">דרישות שהושלמו</div>
+                </div>
+            </div>
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>חריגה</h3>
+                    <div class="card-value text-danger" style="color: var(--fibi-error);">${this.formatNumber(kpis.overbudgetCount)}</div>
+                    <div class="card-subvalue">דרישות בחריגה</div>
+                </div>
+            </div>
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>יתרות Done</h3>
+                    <div class="card-value">${this.formatNumber(kpis.doneWithBudgetCount)}</div>
+                    <div class="card-subvalue text-success">${this.formatCurrency(kpis.totalDoneRemainder)}</div>
+                </div>
+            </div>
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>ניצול 90-100%</h3>
+                    <div class="card-value text-warning">${this.formatNumber(kpis.highUtilizationCount)}</div>
+                    <div class="card-subvalue">${this.formatCurrency(kpis.totalHighUtilizationRemainder)}</div>
+                </div>
+            </div>
+            <div class="card summary-card">
+                <div class="card-content">
+                    <h3>שיאן הדרישות</h3>
+                    <div class="card-value" style="font-size: 18px;">${this.escapeHtml(kpis.topRequester.name)}</div>
+                    <div class="card-subvalue">${kpis.topRequester.count} דרישות</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Update Exceptions KPI in Employees Tab
+     */
+    updateExceptionsKPI(count) {
+        const container = document.getElementById('employeesKpiContainer');
+        if (!container) return;
+
+        // Check if exists, else create
+        let kpi = document.getElementById('kpiExceptionsCard');
+        if (!kpi) {
+            kpi = document.createElement('div');
+            kpi.id = 'kpiExceptionsCard';
+            kpi.className = 'card summary-card clickable-kpi';
+            kpi.style.border = '1px solid var(--fibi-error)'; // Red border hint
+            kpi.onclick = () => window.app && window.app.showExceptions();
+
+            // Insert at the end
+            container.appendChild(kpi);
+        }
+
+        kpi.innerHTML = `
+            <div class="card-content">
+                <h3 style="color: var(--fibi-error);">חריגות דיווח</h3>
+                <div class="card-value text-danger" style="color: var(--fibi-error);">${count}</div>
+                <div class="card-subvalue">עובדים בחריגה</div>
+            </div>
+        `;
+
+        // Show/Hide based on count
+        if (count > 0) {
+            kpi.style.display = 'flex';
+        } else {
+            kpi.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show Exceptions Modal
+     */
+    showExceptionsModal(exceptions) {
+        // Create export buttons (Now with HTML ID)
+        const exportButtons = this.modalManager.createExportButtons('exportExceptionsExcel', 'exportExceptionsPDF', 'exportExceptionsHTML');
+
+        const content = `
+            ${exportButtons}
+            <div class="table-container">
+                <table class="data-table" id="exceptionsTable">
+                    <thead>
+                        <tr>
+                            ${(() => {
+                // 1. Collect all unique keys
+                const allKeys = new Set();
+                exceptions.forEach(row => Object.keys(row).forEach(k => allKeys.add(k)));
+
+                // 2. Define priority columns (Hebrew & English)
+                const priority = ['מקור', 'שם', 'עובד', 'Name', 'Employee', 'מספר', 'ID', 'תאריך', 'Date', 'חריגה', 'הודעה', 'Exception', 'Message'];
+
+                // 3. Sort keys
+                const sortedKeys = Array.from(allKeys).sort((a, b) => {
+                    const aIndex = priority.findIndex(p => a.includes(p));
+                    const bIndex = priority.findIndex(p => b.includes(p));
+
+                    if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
+                    if (aIndex !== -1) return -1;
+                    if (bIndex !== -1) return 1;
+                    return a.localeCompare(b, 'he');
+                });
+
+                // Store for body rendering
+                this._lastExceptionKeys = sortedKeys;
+
+                return sortedKeys.map(key => `<th>${this.escapeHtml(key)}</th>`).join('');
+            })()}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${exceptions.map(row => `
+                            <tr>
+                                ${this._lastExceptionKeys.map(key => {
+                let val = row[key];
+                if (val && (key.includes('תאריך') || key.includes('Date'))) {
+                    val = this.formatSheetDate(val);
+                }
+                return `<td>${this.escapeHtml(val ?? '')}</td>`;
+            }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        // Hack to set title since using generic modal
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = `חריגות דיווח (${exceptions.length})`;
+
+        // Setup export handlers
+        // Prepare columns for PDF export (Fix for missing names)
+        const pdfColumns = this._lastExceptionKeys ? this._lastExceptionKeys.map(key => ({
+            header: key,
+            dataKey: key
+        })) : [];
+
+        this.modalManager.setupExportHandlers({
+            excelButtonId: 'exportExceptionsExcel',
+            pdfButtonId: 'exportExceptionsPDF',
+            htmlButtonId: 'exportExceptionsHTML',
+            tableId: 'exceptionsTable',
+            data: exceptions,
+            columns: pdfColumns, // FORCE generic PDF export
+            title: 'חריגות דיווח',
+            filename: 'exceptions-report',
+            exporter: window.app && window.app.exporter
+        });
+    }
+
+    /**
+     * Show loaded hours files and their contribution to the current view
+     * @param {Array} sources - From DataProcessor.getSourceFilesSummary
+     */
+    showHoursSourcesModal(sources) {
+        const exportButtons = this.modalManager.createExportButtons('exportSourcesExcel', 'exportSourcesPDF', 'exportSourcesHTML');
+
+        const content = `
+            ${exportButtons}
+            <div class="table-container">
+                <table class="data-table" id="hoursSourcesTable">
+                    <thead>
+                        <tr>
+                            <th>קובץ</th>
+                            <th>שורות תקינות</th>
+                            <th>כפילויות שהוסרו</th>
+                            <th>שורות בתצוגה</th>
+                            <th>שעות בתצוגה</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sources.map((source, index) => `
+                            <tr>
+                                <td>${this.escapeHtml(source.name || 'נתונים שמורים')}</td>
+                                <td class="number-cell">${this.formatNumber(source.rows)}</td>
+                                <td class="number-cell ${source.duplicates > 0 ? 'text-warning' : ''}">${this.formatNumber(source.duplicates)}</td>
+                                <td class="number-cell">${this.formatNumber(source.viewRows)}</td>
+                                <td class="number-cell">${this.formatNumber(source.viewHours)}</td>
+                                <td>
+                                    <button class="btn btn-sm source-mapping-btn" data-index="${index}" title="מיפוי עמודות">מיפוי</button>
+                                    <button class="btn btn-sm btn-danger source-remove-btn" data-index="${index}" title="הסר קובץ">הסר</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = `קבצי שעות (${sources.length})`;
+
+        document.querySelectorAll('#hoursSourcesTable .source-mapping-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const source = sources[parseInt(btn.dataset.index)];
+                if (source && window.app) window.app.editColumnMapping('hours', source.name);
+            });
+        });
+
+        document.querySelectorAll('#hoursSourcesTable .source-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const source = sources[parseInt(btn.dataset.index)];
+                if (source && window.app) window.app.removeHoursSource(source.name);
+            });
+        });
+
+        this.modalManager.setupExportHandlers({
+            excelButtonId: 'exportSourcesExcel',
+            pdfButtonId: 'exportSourcesPDF',
+            htmlButtonId: 'exportSourcesHTML',
+            tableId: 'hoursSourcesTable',
+            data: sources.map(source => ({
+                'קובץ': source.name || 'נתונים שמורים',
+                'שורות תקינות': source.rows,
+                'כפילויות שהוסרו': source.duplicates,
+                'שורות בתצוגה': source.viewRows,
+                'שעות בתצוגה': Math.round(source.viewHours * 10) / 10
+            })),
+            columns: ['קובץ', 'שורות תקינות', 'כפילויות שהוסרו', 'שורות בתצוגה', 'שעות בתצוגה'].map(key => ({ header: key, dataKey: key })),
+            title: 'קבצי שעות',
+            filename: 'hours-sources',
+            exporter: window.app && window.app.exporter
+        });
+    }
+
+    /**
+     * Show import modal and resolve when the user confirms or cancels
+     * Close button, ESC and click outside cancel (resolve null)
+     * @param {String} title - Modal title
+     * @param {String} content - Body HTML (must contain #importConfirmBtn and #importCancelBtn)
+     * @param {Function} onConfirm - Returns the resolved value, or undefined to keep the modal open
+     * @returns {Promise<*>}
+     */
+    showImportModal(title, content, onConfirm) {
+        const modal = document.getElementById('importModal');
+        const body = document.getElementById('importModalBody');
+        const titleEl = document.getElementById('importModalTitle');
+
+        if (!modal || !body) return Promise.resolve(null);
+
+        if (titleEl) titleEl.textContent = title;
+        body.innerHTML = content;
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const finish = (value) => {
+                modal.style.display = 'none';
+                modal.onclick = null;
+                document.removeEventListener('keydown', onKeyDown);
+                resolve(value);
+            };
+
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') finish(null);
+            };
+
+            document.addEventListener('keydown', onKeyDown);
+            modal.onclick = (e) => {
+                if (e.target === modal) finish(null);
+            };
+
+            const closeBtn = document.getElementById('closeImportModal');
+            if (closeBtn) closeBtn.onclick = () => finish(null);
+
+            document.getElementById('importCancelBtn').onclick = () => finish(null);
+            document.getElementById('importConfirmBtn').onclick = () => {
+                const value = onConfirm();
+                if (value !== undefined) finish(value);
+            };
+        });
+    }
+
+    /**
+     * Show column-mapping screen: detected headers, the field each maps to and sample values
+     * @param {Object} request - { fileName, type, mapping, detected, headers: [{ name, samples }] }
+     * @returns {Promise<Object|null>} Confirmed mapping { FIELD: header } or null if cancelled
+     */
+    showColumnMappingModal(request) {
+        const columns = request.type === 'hours' ? CONFIG.HOURS_COLUMNS : CONFIG.REQUIREMENTS_COLUMNS;
+        const fields = Object.keys(columns);
+        const required = CONFIG.REQUIRED_COLUMNS[request.type] || [];
+        const label = (field) => `${CONFIG.COLUMN_LABELS[field] || field}${required.includes(field) ? ' *' : ''}`;
+
+        // Invert mapping: header -> field
+        const fieldByHeader = {};
+        fields.forEach(field => {
+            const header = request.mapping[field];
+            if (header && !fieldByHeader[header]) fieldByHeader[header] = field;
+        });
+
+        const content = `
+            <p class="import-hint">
+                ${this.escapeHtml(request.fileName)}: יש לוודא שכל עמודה משויכת לשדה הנכון.
+                המיפוי יישמר ויופעל אוטומטית בקבצים בעלי אותו מבנה.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="columnMappingTable">
+                    <thead>
+                        <tr>
+                            <th>עמודה בקובץ</th>
+                            <th>שדה</th>
+                            <th>ערכים לדוגמה</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${request.headers.map((header, index) => {
+                            const current = fieldByHeader[header.name] || '';
+                            const autoDetected = current && request.detected[current] === header.name;
+                            return `
+                            <tr>
+                                <td>${this.escapeHtml(header.name)}</td>
+                                <td>
+                                    <select class="mapping-select" data-index="${index}">
+                                        <option value="">— לא בשימוש —</option>
+                                        ${fields.map(field => `<option value="${field}" ${field === current ? 'selected' : ''}>${label(field)}</option>`).join('')}
+                                    </select>
+                                    ${autoDetected ? '<span class="mapping-auto" title="זוהה אוטומטית">אוטומטי</span>' : ''}
+                                </td>
+                                <td class="mapping-samples">${header.samples.map(v => this.escapeHtml(String(v))).join(' · ') || '-'}</td>
+                            </tr>
+                        `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">אישור וטעינה</button>
+            </div>
+        `;
+
+        return this.showImportModal('מיפוי עמודות', content, () => {
+            const mapping = {};
+            fields.forEach(field => { mapping[field] = ''; });
+
+            const duplicates = [];
+            document.querySelectorAll('#columnMappingTable .mapping-select').forEach(select => {
+                const field = select.value;
+                if (!field) return;
+                if (mapping[field]) duplicates.push(field);
+                mapping[field] = request.headers[parseInt(select.dataset.index)].name;
+            });
+
+            const missing = required.filter(field => !mapping[field]);
+            const errors = [
+                ...duplicates.map(field => `השדה "${CONFIG.COLUMN_LABELS[field]}" משויך ליותר מעמודה אחת`),
+                ...missing.map(field => `יש לשייך עמודה לשדה החובה "${CONFIG.COLUMN_LABELS[field]}"`)
+            ];
+
+            const errorEl = document.getElementById('importError');
+            if (errors.length > 0) {
+                errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+                errorEl.classList.remove('hidden');
+                return undefined;
+            }
+
+            return mapping;
+        });
+    }
+
+    /**
+     * Show classification rules editor with a live preview against the loaded hours
+     * @param {Object} request - { rules, defaults, validate(rule), preview(rules) }
+     *   preview returns ClassificationRules.preview() result, or null without loaded hours
+     * @returns {Promise<Array|null>} Edited rules, or null if cancelled
+     */
+    showClassificationRulesModal(request) {
+        let draft = request.rules.map(rule => ({ ...rule }));
+
+        const options = (entries, selected) => entries
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+            .join('');
+        const fieldOptions = Object.entries(RULE_FIELDS).map(([key, field]) => [key, field.label]);
+        const matchOptions = Object.entries(RULE_MATCH_LABELS);
+        const typeOptions = WORK_TYPE_VALUES.map(type => [type, type]);
+
+        const content = `
+            <p class="import-hint">
+                הכללים נבדקים לפי הסדר - הכלל הראשון שמתאים קובע את סוג העבודה.
+                שורה שאף כלל אינו מתאים לה מסווגת כ"אחר". ההתאמה אינה תלויה באותיות גדולות/קטנות.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="classificationRulesTable">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>שדה</th>
+                            <th>התאמה</th>
+                            <th>ערך</th>
+                            <th>סוג עבודה</th>
+                            <th title="שעות שהכלל קובע להן את הסוג (מתוכן שעות שסוגן ישתנה)">שעות</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="filter-bar rules-toolbar">
+                <button class="btn btn-sm" id="ruleAddBtn">+ הוסף כלל</button>
+                <button class="btn btn-sm btn-secondary" id="ruleDefaultsBtn">שחזר ברירת מחדל</button>
+                <span class="rules-summary" id="rulesPreviewSummary"></span>
+            </div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">שמירה וסיווג מחדש</button>
+            </div>
+        `;
+
+        const formatHours = (value) => this.formatNumber(Math.round(value * 10) / 10);
+
+        const updatePreview = () => {
+            const preview = request.preview(draft);
+            const summaryEl = document.getElementById('rulesPreviewSummary');
+
+            document.querySelectorAll('#classificationRulesTable .rule-preview').forEach(cell => {
+                const stats = preview ? preview.rules[parseInt(cell.dataset.index)] : null;
+                cell.innerHTML = stats
+                    ? `${formatHours(stats.hours)}${stats.changedHours > 0 ? ` <span class="rule-changed">(${formatHours(stats.changedHours)} ישתנו)</span>` : ''}`
+                    : '-';
+            });
+
+            if (summaryEl) {
+                summaryEl.textContent = preview
+                    ? `ללא התאמה (אחר): ${formatHours(preview.unmatched.hours)} שעות · ${formatHours(preview.changedHours)} שעות ישנו סוג`
+                    : 'לא נטענו שעות - אין תצוגה מקדימה';
+            }
+        };
+
+        const renderRows = () => {
+            const tbody = document.querySelector('#classificationRulesTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = draft.length === 0
+                ? '<tr><td colspan="7" class="empty-message">אין כללים - כל השעות יסווגו כ"אחר"</td></tr>'
+                : draft.map((rule, index) => `
+                    <tr data-index="${index}">
+                        <td>${index + 1}</td>
+                        <td><select class="rule-input" data-key="field">${options(fieldOptions, rule.field)}</select></td>
+                        <td><select class="rule-input" data-key="match">${options(matchOptions, rule.match)}</select></td>
+                        <td><input type="text" class="rule-input rule-value" data-key="value" value="${this.escapeHtml(rule.value)}" dir="auto"></td>
+                        <td><select class="rule-input" data-key="type">${options(typeOptions, rule.type)}</select></td>
+                        <td class="number-cell rule-preview" data-index="${index}"></td>
+                        <td class="rule-actions">
+                            <button class="btn btn-sm btn-secondary rule-move-btn" data-step="-1" title="העבר למעלה" ${index === 0 ? 'disabled' : ''}>▲</button>
+                            <button class="btn btn-sm btn-secondary rule-move-btn" data-step="1" title="העבר למטה" ${index === draft.length - 1 ? 'disabled' : ''}>▼</button>
+                            <button class="btn btn-sm btn-danger rule-remove-btn" title="מחק כלל">✕</button>
+                        </td>
+                    </tr>
+                `).join('');
+
+            tbody.querySelectorAll('.rule-input').forEach(input => {
+                const index = parseInt(input.closest('tr').dataset.index);
+                input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                    draft[index] = { ...draft[index], [input.dataset.key]: input.value };
+                    const error = request.validate(draft[index]);
+                    input.closest('tr').classList.toggle('rule-invalid', Boolean(error));
+                    input.closest('tr').title = error || '';
+                    updatePreview();
+                });
+            });
+
+            tbody.querySelectorAll('.rule-move-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const index = parseInt(btn.closest('tr').dataset.index);
+                    const target = index + parseInt(btn.dataset.step);
+                    [draft[index], draft[target]] = [draft[target], draft[index]];
+                    renderRows();
+                });
+            });
+
+            tbody.querySelectorAll('.rule-remove-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    draft.splice(parseInt(btn.closest('tr').dataset.index), 1);
+                    renderRows();
+                });
+            });
+
+            updatePreview();
+        };
+
+        const result = this.showImportModal('כללי סיווג', content, () => {
+            const errors = draft
+                .map((rule, index) => {
+                    const error = request.validate(rule);
+                    return error ? `כלל ${index + 1}: ${error}` : null;
+                })
+                .filter(Boolean);
+
+            const errorEl = document.getElementById('importError');
+            if (errors.length > 0) {
+                errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+                errorEl.classList.remove('hidden');
+                return undefined;
+            }
+
+            return draft.map(({ field, match, value, type }) => ({ field, match, value: String(value).trim(), type }));
+        });
+
+        document.getElementById('ruleAddBtn').addEventListener('click', () => {
+            draft.push({ field: 'activity', match: 'contains', value: '', type: WORK_TYPE_VALUES[0] });
+            renderRows();
+            const inputs = document.querySelectorAll('#classificationRulesTable .rule-value');
+            if (inputs.length > 0) inputs[inputs.length - 1].focus();
+        });
+
+        document.getElementById('ruleDefaultsBtn').addEventListener('click', () => {
+            draft = request.defaults.map(rule => ({ ...rule }));
+            renderRows();
+        });
+
+        renderRows();
+        return result;
+    }
+
+    /**
+     * Show rate table editor (monthly rate per employee type / employee, with effective date)
+     * @param {Object} request - { entries, monthlyHours, validate(entry), importFile(file), exportEntries(entries) }
+     *   importFile resolves to { entries, errors } (RateTable.parseRows)
+     * @returns {Promise<Array|null>} Edited entries, or null if cancelled
+     */
+    showRateTableModal(request) {
+        let draft = request.entries.map(entry => ({ ...entry }));
+        const typeOptions = (selected) => [['', 'כל הסוגים'], ...RATE_EMPLOYEE_TYPES.map(type => [type, type])]
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const content = `
+            <p class="import-hint">
+                תעריף חודשי להמרת שעות לעלות (${this.formatNumber(request.monthlyHours)} שעות בחודש).
+                לכל עובד נבחר תעריף לפי מספר עובד, אחרת לפי סוג עובד, אחרת שורה כללית, אחרת ${this.formatCurrency(CONFIG.MONTHLY_RATE)}.
+                כל שורה בתוקף מתאריך התחילה שלה ועד שורה מאוחרת יותר לאותו עובד / סוג.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="rateTable">
+                    <thead>
+                        <tr>
+                            <th>סוג עובד</th>
+                            <th>מספר עובד</th>
+                            <th>תעריף חודשי (₪)</th>
+                            <th>תעריף שעתי</th>
+                            <th>בתוקף מ</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="filter-bar rules-toolbar">
+                <button class="btn btn-sm" id="rateAddBtn">+ הוסף תעריף</button>
+                <button class="btn btn-sm btn-secondary" id="rateImportBtn">ייבוא מאקסל</button>
+                <button class="btn btn-sm btn-secondary" id="rateExportBtn">ייצוא לאקסל</button>
+                <input type="file" id="rateImportInput" accept=".xlsx,.xls,.csv" hidden>
+                <span class="rules-summary">עמודות לייבוא: סוג עובד, מספר עובד, תעריף חודשי או תעריף שעתי, בתוקף מ</span>
+            </div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">שמירה</button>
+            </div>
+        `;
+
+        const showErrors = (errors) => {
+            const errorEl = document.getElementById('importError');
+            errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+            errorEl.classList.toggle('hidden', errors.length === 0);
+        };
+
+        const hourly = (entry) => {
+            const rate = Number(entry.monthlyRate);
+            return entry.monthlyRate === '' || isNaN(rate) ? '-' : this.formatCurrency(rate / request.monthlyHours);
+        };
+
+        const renderRows = () => {
+            const tbody = document.querySelector('#rateTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = draft.length === 0
+                ? `<tr><td colspan="6" class="empty-message">אין תעריפים - כל השעות לפי ${this.formatCurrency(CONFIG.MONTHLY_RATE)} לחודש</td></tr>`
+                : draft.map((entry, index) => `
+                    <tr data-index="${index}">
+                        <td><select class="rate-input" data-key="employeeType">${typeOptions(entry.employeeType)}</select></td>
+                        <td><input type="text" class="rate-input" data-key="employeeId" value="${this.escapeHtml(entry.employeeId)}" placeholder="כל העובדים"></td>
+                        <td><input type="number" class="rate-input" data-key="monthlyRate" value="${entry.monthlyRate}" min="0" step="100"></td>
+                        <td class="number-cell rate-hourly">${hourly(entry)}</td>
+                        <td><input type="date" class="rate-input" data-key="effectiveFrom" value="${entry.effectiveFrom}"></td>
+                        <td><button class="btn btn-sm btn-danger rule-remove-btn" title="מחק תעריף">✕</button></td>
+                    </tr>
+                `).join('');
+
+            tbody.querySelectorAll('tr[data-index]').forEach(tr => {
+                const index = parseInt(tr.dataset.index);
+
+                tr.querySelectorAll('.rate-input').forEach(input => {
+                    input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                        draft[index] = { ...draft[index], [input.dataset.key]: input.value };
+                        const error = request.validate(draft[index]);
+                        tr.classList.toggle('rule-invalid', Boolean(error));
+                        tr.title = error || '';
+                        tr.querySelector('.rate-hourly').textContent = hourly(draft[index]);
+                    });
+                });
+
+                tr.querySelector('.rule-remove-btn').addEventListener('click', () => {
+                    draft.splice(index, 1);
+                    renderRows();
+                });
+            });
+        };
+
+        const result = this.showImportModal('טבלת תעריפים', content, () => {
+            const errors = draft
+                .map((entry, index) => {
+                    const error = request.validate(entry);
+                    return error ? `שורה ${index + 1}: ${error}` : null;
+                })
+                .filter(Boolean);
+
+            if (errors.length > 0) {
+                showErrors(errors);
+                return undefined;
+            }
+            return draft;
+        });
+
+        document.getElementById('rateAddBtn').addEventListener('click', () => {
+            draft.push({ employeeType: RATE_EMPLOYEE_TYPES[0], employeeId: '', monthlyRate: CONFIG.MONTHLY_RATE, effectiveFrom: '' });
+            renderRows();
+        });
+
+        const fileInput = document.getElementById('rateImportInput');
+        document.getElementById('rateImportBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const imported = await request.importFile(file);
+                if (imported.entries.length > 0) {
+                    draft = imported.entries;
+                    renderRows();
+                }
+                showErrors(imported.entries.length === 0 && imported.errors.length === 0
+                    ? ['לא נמצאו תעריפים בקובץ']
+                    : imported.errors);
+            } catch (error) {
+                showErrors([`ייבוא הקובץ נכשל: ${error.message}`]);
+            }
+        });
+
+        document.getElementById('rateExportBtn').addEventListener('click', () => request.exportEntries(draft));
+
+        renderRows();
+        return result;
+    }
+
+    /**
+     * Show capacity plan editor (planned hours per employee, requirement/task and month)
+     * @param {Object} request - { entries, employees: [{ id, name }], requirements: [{ id, name }],
+     *   validate(entry), importFile(file), exportEntries(entries) }
+     *   importFile resolves to { entries, errors } (CapacityPlan.parseRows)
+     * @returns {Promise<Array|null>} Edited entries, or null if cancelled
+     */
+    showCapacityPlanModal(request) {
+        let draft = request.entries.map(entry => ({ ...entry }));
+        const namesById = {};
+        request.employees.forEach(emp => { namesById[emp.id] = emp.name; });
+        const option = (value, label) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`;
+
+        const content = `
+            <p class="import-hint">
+                שעות מתוכננות לכל עובד, לפי דרישה (או משימה, כשאין מספר דרישה) ולפי חודש.
+                עובד מזוהה לפי מספר עובד, ואם אין - לפי שם. משימה מושווית לשם המשימה בדיווח השעות.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="capacityPlanTable">
+                    <thead>
+                        <tr>
+                            <th>מספר עובד</th>
+                            <th>שם עובד</th>
+                            <th>מספר דרישה</th>
+                            <th>משימה</th>
+                            <th>חודש</th>
+                            <th>שעות</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <datalist id="planEmployeeIds">${request.employees.map(emp => option(emp.id, emp.name)).join('')}</datalist>
+            <datalist id="planEmployeeNames">${request.employees.map(emp => option(emp.name, emp.id)).join('')}</datalist>
+            <datalist id="planRequirementIds">${request.requirements.map(req => option(req.id, req.name)).join('')}</datalist>
+            <div class="filter-bar rules-toolbar">
+                <button class="btn btn-sm" id="planAddBtn">+ הוסף שורה</button>
+                <button class="btn btn-sm btn-secondary" id="planImportBtn">ייבוא מאקסל</button>
+                <button class="btn btn-sm btn-secondary" id="planExportBtn">ייצוא לאקסל</button>
+                <input type="file" id="planImportInput" accept=".xlsx,.xls,.csv" hidden>
+                <span class="rules-summary" id="planSummary"></span>
+            </div>
+            <p class="import-hint">עמודות לייבוא: מספר עובד, שם עובד, מספר דרישה, משימה, חודש, שעות מתוכננות</p>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">שמירה</button>
+            </div>
+        `;
+
+        const showErrors = (errors) => {
+            const errorEl = document.getElementById('importError');
+            errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+            errorEl.classList.toggle('hidden', errors.length === 0);
+        };
+
+        const updateSummary = () => {
+            const total = draft.reduce((sum, entry) => sum + (Number(entry.hours) || 0), 0);
+            const summaryEl = document.getElementById('planSummary');
+            if (summaryEl) summaryEl.textContent = `${this.formatNumber(draft.length)} שורות · ${this.formatNumber(total)} שעות מתוכננות`;
+        };
+
+        const input = (entry, key, type, attrs = '') =>
+            `<input type="${type}" class="plan-input" data-key="${key}" value="${this.escapeHtml(entry[key] ?? '')}" ${attrs}>`;
+
+        const renderRows = () => {
+            const tbody = document.querySelector('#capacityPlanTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = draft.length === 0
+                ? '<tr><td colspan="7" class="empty-message">אין תכנון - הוסף שורות או ייבא מאקסל</td></tr>'
+                : draft.map((entry, index) => `
+                    <tr data-index="${index}" class="${request.validate(entry) ? 'rule-invalid' : ''}">
+                        <td>${input(entry, 'employeeId', 'text', 'list="planEmployeeIds"')}</td>
+                        <td>${input(entry, 'employee', 'text', 'list="planEmployeeNames"')}</td>
+                        <td>${input(entry, 'requirement', 'text', 'list="planRequirementIds"')}</td>
+                        <td>${input(entry, 'task', 'text')}</td>
+                        <td>${input(entry, 'month', 'month')}</td>
+                        <td>${input(entry, 'hours', 'number', 'min="0" step="1"')}</td>
+                        <td><button class="btn btn-sm btn-danger rule-remove-btn" title="מחק שורה">✕</button></td>
+                    </tr>
+                `).join('');
+
+            tbody.querySelectorAll('tr[data-index]').forEach(tr => {
+                const index = parseInt(tr.dataset.index);
+
+                tr.querySelectorAll('.plan-input').forEach(field => {
+                    field.addEventListener('input', () => {
+                        draft[index] = { ...draft[index], [field.dataset.key]: field.value };
+
+                        // Fill the name of a known employee ID
+                        const nameInput = tr.querySelector('[data-key="employee"]');
+                        if (field.dataset.key === 'employeeId' && namesById[field.value] && !nameInput.value) {
+                            nameInput.value = namesById[field.value];
+                            draft[index].employee = nameInput.value;
+                        }
+
+                        const error = request.validate(draft[index]);
+                        tr.classList.toggle('rule-invalid', Boolean(error));
+                        tr.title = error || '';
+                        updateSummary();
+                    });
+                });
+
+                tr.querySelector('.rule-remove-btn').addEventListener('click', () => {
+                    draft.splice(index, 1);
+                    renderRows();
+                });
+            });
+
+            updateSummary();
+        };
+
+        const result = this.showImportModal('תכנון שעות', content, () => {
+            const errors = draft
+                .map((entry, index) => {
+                    const error = request.validate(entry);
+                    return error ? `שורה ${index + 1}: ${error}` : null;
+                })
+                .filter(Boolean);
+
+            if (errors.length > 0) {
+                showErrors(errors);
+                return undefined;
+            }
+            return draft;
+        });
+
+        // New rows copy employee and month of the last row - quick entry of one employee's month
+        document.getElementById('planAddBtn').addEventListener('click', () => {
+            const last = draft[draft.length - 1];
+            draft.push({
+                employeeId: last ? last.employeeId : '',
+                employee: last ? last.employee : '',
+                requirement: '',
+                task: '',
+                month: last ? last.month : new Date().toISOString().slice(0, 7),
+                hours: ''
+            });
+            renderRows();
+        });
+
+        const fileInput = document.getElementById('planImportInput');
+        document.getElementById('planImportBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const imported = await request.importFile(file);
+                if (imported.entries.length > 0) {
+                    draft = imported.entries;
+                    renderRows();
+                }
+                showErrors(imported.entries.length === 0 && imported.errors.length === 0
+                    ? ['לא נמצאו שורות תכנון בקובץ']
+                    : imported.errors);
+            } catch (error) {
+                showErrors([`ייבוא הקובץ נכשל: ${error.message}`]);
+            }
+        });
+
+        document.getElementById('planExportBtn').addEventListener('click', () => request.exportEntries(draft));
+
+        renderRows();
+        return result;
+    }
+
+    /**
+     * Show team structure editor: create / rename / delete units, set managers, unit type and parent unit,
+     * drag employees between units (employees of the loaded hours without a unit start in "ללא צוות").
+     * With a move date, a move ends the source membership the day before and starts a dated one in the target
+     * @param {Object} request - { structure, employees: [{ id, name, hours }], isCustomized, validate(structure),
+     *   importFile(file), loadFileStructure(), exportStructure(structure) }
+     *   importFile and loadFileStructure resolve to a structure (importFile rejects on invalid JSON)
+     * @returns {Promise<Object|null>} Edited structure, or null if cancelled
+     */
+    showTeamsEditorModal(request) {
+        const UNASSIGNED = -1;
+        const cloneTeams = (structure) => structure.teams.map(team => ({ ...team, employees: [...team.employees] }));
+        let teams = cloneTeams(request.structure);
+        let base = { ...request.structure };
+
+        const employeeInfo = {};
+        request.employees.forEach(emp => { employeeInfo[emp.id] = emp; });
+
+        const content = `
+            <p class="import-hint">
+                גרור עובדים בין הצוותים. עובדים מקובץ השעות שאינם משויכים לצוות מופיעים ב"ללא צוות".
+                יחידה יכולה להיות מתחת ליחידת אב (מחלקה ← מדור ← צוות); יחידת אב כוללת את עובדי כל היחידות שמתחתיה.
+                עובד שעבר צוות באמצע השנה: בחרו תאריך מעבר לפני הגרירה - השעות שדווחו לפני התאריך יישארו בצוות הקודם.
+                ${request.isCustomized ? 'מבנה הצוותים נערך באפליקציה ונשמר בדפדפן.' : 'מבנה הצוותים נטען מ-teams-structure.json; שמירה תשמור אותו בדפדפן.'}
+            </p>
+            <div class="filter-bar rules-toolbar">
+                <button class="btn btn-sm" id="teamAddBtn">+ יחידה חדשה</button>
+                <button class="btn btn-sm btn-secondary" id="teamImportBtn">ייבוא JSON</button>
+                <button class="btn btn-sm btn-secondary" id="teamExportBtn">ייצוא JSON</button>
+                <button class="btn btn-sm btn-secondary" id="teamFileBtn" title="טעינת teams-structure.json במקום העריכות">שחזר מהקובץ</button>
+                <input type="file" id="teamImportInput" accept=".json,application/json" hidden>
+                <input type="search" id="teamMemberSearch" class="rule-value" placeholder="חיפוש עובד...">
+                <label class="rules-summary" for="teamMoveDate">תאריך מעבר:</label>
+                <input type="date" id="teamMoveDate" class="rule-value" title="ריק = העובד עובר עם כל ההיסטוריה שלו">
+            </div>
+            <div class="teams-editor" id="teamsEditor"></div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">שמירה</button>
+            </div>
+        `;
+
+        const showErrors = (errors) => {
+            const errorEl = document.getElementById('importError');
+            errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+            errorEl.classList.toggle('hidden', errors.length === 0);
+        };
+
+        const buildStructure = () => ({ ...base, teams });
+
+        // Member entries are an employee ID or { id, from, to } (dated membership)
+        const memberId = (member) => typeof member === 'object' ? member.id : member;
+        const memberPeriod = (member) => {
+            if (typeof member !== 'object') return '';
+            if (member.from && member.to) return `${this.formatDate(member.from)} - ${this.formatDate(member.to)}`;
+            return member.from ? `מ-${this.formatDate(member.from)}` : `עד ${this.formatDate(member.to)}`;
+        };
+        const dayBefore = (date) => new Date(Date.parse(date) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        const memberChip = (member, from, memberIndex = -1) => {
+            const id = memberId(member);
+            const info = employeeInfo[id];
+            const period = memberPeriod(member);
+            const title = (info ? `${info.name} (${id}) · ${this.formatNumber(info.hours)} שעות` : `${id} - לא בקובץ השעות הטעון`) +
+                (period ? ` · ${period}` : '');
+            return `
+                <span class="team-member ${info ? '' : 'team-member-missing'} ${period ? 'team-member-dated' : ''}" draggable="true"
+                    data-employee="${this.escapeHtml(id)}" data-from="${from}" data-member="${memberIndex}" title="${this.escapeHtml(title)}">
+                    ${this.escapeHtml(info ? info.name : id)}${period ? ` <small>(${this.escapeHtml(period)})</small>` : ''}
+                </span>
+            `;
+        };
+
+        const parentOf = (team) => team.parent && team.parent !== 'all' ? team.parent : '';
+
+        // Units depth-first (children under their parent), units with a missing parent at the top
+        const getTree = () => {
+            const ids = new Set(teams.map(team => team.id));
+            const tree = [];
+            const visit = (index, depth) => {
+                if (tree.some(node => node.index === index)) return;
+                tree.push({ index, depth });
+                teams.forEach((child, childIndex) => {
+                    if (child.id !== 'all' && parentOf(child) === teams[index].id) visit(childIndex, depth + 1);
+                });
+            };
+            teams.forEach((team, index) => {
+                if (team.id !== 'all' && !ids.has(parentOf(team))) visit(index, 0);
+            });
+            return tree;
+        };
+
+        // Units below a unit (not valid as its parent)
+        const getDescendants = (teamId) => {
+            const result = new Set();
+            const collect = (id) => teams.forEach(team => {
+                if (parentOf(team) === id && !result.has(team.id)) {
+                    result.add(team.id);
+                    collect(team.id);
+                }
+            });
+            collect(teamId);
+            return result;
+        };
+
+        const parentOptions = (team) => {
+            const excluded = getDescendants(team.id);
+            return [['', 'ברמה העליונה'], ...teams
+                .filter(other => other.id !== 'all' && other.id !== team.id && !excluded.has(other.id))
+                .map(other => [other.id, other.name])]
+                .map(([value, label]) => `<option value="${this.escapeHtml(value)}" ${value === parentOf(team) ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+                .join('');
+        };
+
+        const typeOptions = (team) => Object.entries(UNIT_TYPES)
+            .map(([value, label]) => `<option value="${value}" ${value === (team.type || 'team') ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const render = () => {
+            const container = document.getElementById('teamsEditor');
+            if (!container) return;
+
+            const assigned = new Set(teams.filter(team => team.id !== 'all').flatMap(team => team.employees.map(memberId)));
+            const unassigned = request.employees.filter(emp => !assigned.has(emp.id)).map(emp => emp.id);
+            const tree = getTree();
+
+            container.innerHTML = `
+                <div class="team-column team-column-unassigned" data-team-index="${UNASSIGNED}">
+                    <div class="team-column-header"><strong>ללא צוות</strong> <span class="rules-summary">(${this.formatNumber(unassigned.length)})</span></div>
+                    <div class="team-members">${unassigned.map(id => memberChip(id, UNASSIGNED)).join('') || '<span class="rules-summary">כל העובדים משויכים</span>'}</div>
+                </div>
+                ${tree.map(({ index, depth }) => {
+                const team = teams[index];
+                return `
+                    <div class="team-column" data-team-index="${index}" style="--unit-depth: ${depth};">
+                        <div class="team-column-header">
+                            <input type="text" class="team-input" data-key="name" value="${this.escapeHtml(team.name)}" placeholder="שם היחידה">
+                            <button class="btn btn-sm btn-danger rule-remove-btn" title="מחק יחידה">✕</button>
+                        </div>
+                        <input type="text" class="team-input" data-key="manager" value="${this.escapeHtml(team.manager || '')}" placeholder="מנהל היחידה">
+                        <div class="team-column-header">
+                            <select class="team-input" data-key="type" title="סוג יחידה">${typeOptions(team)}</select>
+                            <select class="team-input" data-key="parent" title="יחידת אב">${parentOptions(team)}</select>
+                        </div>
+                        <div class="rules-summary">${this.formatNumber(new Set(team.employees.map(memberId)).size)} עובדים · ${this.escapeHtml(team.id)}</div>
+                        <div class="team-members">${team.employees.map((member, memberIndex) => memberChip(member, index, memberIndex)).join('')}</div>
+                    </div>
+                `;
+            }).join('')}
+            `;
+
+            container.querySelectorAll('.team-column').forEach(column => {
+                const index = parseInt(column.dataset.teamIndex);
+
+                column.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    column.classList.add('drag-over');
+                });
+                column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+                column.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    column.classList.remove('drag-over');
+                    const [id, from, member] = e.dataTransfer.getData('text/plain').split('|');
+                    moveEmployee(id, parseInt(from), parseInt(member), index);
+                });
+
+                if (index === UNASSIGNED) return;
+
+                column.querySelectorAll('.team-input').forEach(input => {
+                    // Type and parent change the tree - redraw
+                    const isSelect = input.tagName === 'SELECT';
+                    input.addEventListener(isSelect ? 'change' : 'input', () => {
+                        teams[index] = { ...teams[index], [input.dataset.key]: input.value };
+                        if (isSelect) render();
+                    });
+                });
+
+                // Units below a deleted unit move up to its parent
+                column.querySelector('.rule-remove-btn').addEventListener('click', () => {
+                    const team = teams[index];
+                    const count = new Set(team.employees.map(memberId)).size;
+                    if (count > 0 && !confirm(`למחוק את "${team.name}"? ${count} העובדים יעברו ל"ללא צוות".`)) return;
+                    teams = teams
+                        .filter((other, otherIndex) => otherIndex !== index)
+                        .map(other => parentOf(other) === team.id ? { ...other, parent: parentOf(team) } : other);
+                    render();
+                });
+            });
+
+            container.querySelectorAll('.team-member').forEach(chip => {
+                chip.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.setData('text/plain', `${chip.dataset.employee}|${chip.dataset.from}|${chip.dataset.member}`);
+                    e.dataTransfer.effectAllowed = 'move';
+                });
+            });
+
+            applySearch();
+        };
+
+        // Move between teams: only the dragged membership changes (an employee may be listed in several).
+        // Without a move date it moves with its whole history; with one, the part before the date stays
+        const moveEmployee = (id, from, memberIndex, to) => {
+            if (!id || from === to) return;
+            const date = document.getElementById('teamMoveDate').value;
+            let moved = date ? { id, from: date } : id;
+
+            if (from !== UNASSIGNED && teams[from]) {
+                const member = teams[from].employees[memberIndex] ?? id;
+                const period = typeof member === 'object' ? member : {};
+                const employees = teams[from].employees.filter((other, otherIndex) => otherIndex !== memberIndex);
+
+                if (!date) {
+                    moved = member;
+                } else if (period.to && period.to < date) {
+                    return; // Ended before the move date - nothing to move
+                } else {
+                    if (!period.from || period.from < date) {
+                        employees.splice(memberIndex, 0, { id, ...(period.from ? { from: period.from } : {}), to: dayBefore(date) });
+                    }
+                    moved = { id, from: period.from > date ? period.from : date, ...(period.to ? { to: period.to } : {}) };
+                }
+                teams[from] = { ...teams[from], employees };
+            }
+            if (to !== UNASSIGNED && teams[to]) {
+                const key = JSON.stringify(moved);
+                if (!teams[to].employees.some(member => JSON.stringify(member) === key)) {
+                    teams[to] = { ...teams[to], employees: [...teams[to].employees, moved] };
+                }
+            }
+            render();
+        };
+
+        const applySearch = () => {
+            const query = (document.getElementById('teamMemberSearch').value || '').trim().toLowerCase();
+            document.querySelectorAll('#teamsEditor .team-member').forEach(chip => {
+                const info = employeeInfo[chip.dataset.employee];
+                const text = `${chip.dataset.employee} ${info ? info.name : ''}`.toLowerCase();
+                chip.classList.toggle('team-member-match', Boolean(query) && text.includes(query));
+            });
+        };
+
+        const replaceStructure = (structure) => {
+            base = { ...structure };
+            teams = cloneTeams(structure);
+            render();
+        };
+
+        const result = this.showImportModal('ניהול צוותים', content, () => {
+            const structure = buildStructure();
+            const error = request.validate(structure);
+            if (error) {
+                showErrors([error]);
+                return undefined;
+            }
+            return structure;
+        });
+
+        document.getElementById('teamAddBtn').addEventListener('click', () => {
+            teams.push({ id: `team-${Date.now().toString(36)}`, name: `צוות ${teams.length}`, manager: '', type: 'team', parent: '', employees: [] });
+            render();
+        });
+
+        const fileInput = document.getElementById('teamImportInput');
+        document.getElementById('teamImportBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                replaceStructure(await request.importFile(file));
+                showErrors([]);
+            } catch (error) {
+                showErrors([`ייבוא הקובץ נכשל: ${error.message}`]);
+            }
+        });
+
+        document.getElementById('teamExportBtn').addEventListener('click', () => request.exportStructure(buildStructure()));
+        document.getElementById('teamFileBtn').addEventListener('click', async () => {
+            replaceStructure(await request.loadFileStructure());
+            showErrors([]);
+        });
+        document.getElementById('teamMemberSearch').addEventListener('input', applySearch);
+
+        render();
+        return result;
+    }
+
+    /**
+     * Show team comparison: a row per unit, sortable by any column, with a total row
+     * @param {Object} comparison - DataProcessor.getTeamComparison() result
+     * @param {String} scopeName - Unit whose sub-units are compared ('' = all teams)
+     * @param {Boolean} hasHours - Whether an hours file is loaded
+     */
+    showTeamComparisonModal(comparison, scopeName, hasHours) {
+        const round = (value) => Math.round(value * 10) / 10;
+        const topTasksText = (row) => row.topTasks.map(task => `${task.task} (${this.formatNumber(round(task.hours))})`).join(', ');
+        const columns = [
+            { key: 'team', label: 'צוות', value: row => row.team },
+            { key: 'employees', label: 'עובדים', value: row => row.employees },
+            { key: 'totalHours', label: 'סה"כ שעות', value: row => row.totalHours },
+            { key: 'investmentPercent', label: 'השקעה %', value: row => row.investmentPercent },
+            { key: 'expensePercent', label: 'הוצאה %', value: row => row.expensePercent },
+            { key: 'lowInvestment', label: 'השקעה נמוכה', value: row => row.lowInvestment.length },
+            { key: 'exceptions', label: 'חריגות', value: row => row.exceptions },
+            { key: 'topTasks', label: 'משימות מובילות', value: row => row.topTasks.length > 0 ? row.topTasks[0].hours : 0 }
+        ];
+        let sortKey = 'totalHours';
+        let sortDirection = 'desc';
+
+        const renderRow = (row) => `
+            <td>${this.escapeHtml(row.team)}</td>
+            <td class="number-cell">${this.formatNumber(row.employees)}</td>
+            <td class="number-cell">${this.formatNumber(round(row.totalHours))}</td>
+            <td class="number-cell ${this.getPercentClass('investment', row.investmentPercent)}">${this.formatNumber(row.investmentPercent)}%</td>
+            <td class="number-cell ${this.getPercentClass('expense', row.expensePercent)}">${this.formatNumber(row.expensePercent)}%</td>
+            <td class="number-cell" title="${this.escapeHtml(row.lowInvestment.join(', '))}">${this.formatNumber(row.lowInvestment.length)}</td>
+            <td class="number-cell">${this.formatNumber(row.exceptions)}</td>
+            <td>${this.escapeHtml(topTasksText(row)) || '-'}</td>
+        `;
+
+        const exportRow = (row) => ({
+            'צוות': row.team,
+            'עובדים': row.employees,
+            'סה"כ שעות': round(row.totalHours),
+            'השקעה %': round(row.investmentPercent),
+            'הוצאה %': round(row.expensePercent),
+            'השקעה נמוכה': row.lowInvestment.length,
+            'עובדים בהשקעה נמוכה': row.lowInvestment.join(', '),
+            'חריגות': row.exceptions,
+            'משימות מובילות': topTasksText(row)
+        });
+
+        const content = `
+            ${this.modalManager.createExportButtons('exportTeamComparisonExcel', 'exportTeamComparisonPDF', 'exportTeamComparisonHTML')}
+            <p class="import-hint">
+                ${!hasHours ? 'לא נטען קובץ שעות. ' : ''}
+                ${scopeName ? `היחידות שמתחת ל"${this.escapeHtml(scopeName)}"` : 'כל הצוותים'} בטווח התאריכים הנבחר.
+                שעות משויכות לצוות שהעובד היה בו בתאריך הדיווח. השקעה נמוכה = עובדים מתחת ל-65% השקעה;
+                חריגות = חריגות Snow וחריגות דיווח יומי של עובדי הצוות. לחיצה על כותרת ממיינת.
+            </p>
+            <div class="table-container">
+                <table class="data-table team-comparison-table" id="teamComparisonTable">
+                    <thead><tr>${columns.map(column => `<th data-sort="${column.key}">${column.label}</th>`).join('')}</tr></thead>
+                    <tbody></tbody>
+                    <tfoot><tr class="total-row">${renderRow({ ...comparison.total, team: 'סה"כ' })}</tr></tfoot>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = scopeName ? `השוואת צוותים - ${scopeName}` : 'השוואת צוותים';
+
+        const render = () => {
+            const column = columns.find(c => c.key === sortKey);
+            const direction = sortDirection === 'asc' ? 1 : -1;
+            const rows = [...comparison.teams].sort((a, b) => {
+                const [valueA, valueB] = [column.value(a), column.value(b)];
+                return direction * (typeof valueA === 'string' ? valueA.localeCompare(valueB, 'he') : valueA - valueB);
+            });
+
+            document.querySelector('#teamComparisonTable tbody').innerHTML = rows.length === 0
+                ? `<tr><td colspan="${columns.length}" class="empty-message">אין צוותים להשוואה</td></tr>`
+                : rows.map(row => `<tr>${renderRow(row)}</tr>`).join('');
+            document.querySelectorAll('#teamComparisonTable th').forEach(th => {
+                th.classList.toggle('sort-asc', th.dataset.sort === sortKey && sortDirection === 'asc');
+                th.classList.toggle('sort-desc', th.dataset.sort === sortKey && sortDirection === 'desc');
+            });
+
+            // Export in the displayed order, with the total last
+            const data = [...rows, { ...comparison.total, team: 'סה"כ' }].map(exportRow);
+            this.modalManager.setupExportHandlers({
+                excelButtonId: 'exportTeamComparisonExcel',
+                pdfButtonId: 'exportTeamComparisonPDF',
+                htmlButtonId: 'exportTeamComparisonHTML',
+                tableId: 'teamComparisonTable',
+                data,
+                columns: Object.keys(data[0]).map(key => ({ header: key, dataKey: key })),
+                title: scopeName ? `השוואת צוותים - ${scopeName}` : 'השוואת צוותים',
+                filename: 'team-comparison',
+                exporter: window.app && window.app.exporter
+            });
+        };
+
+        document.querySelectorAll('#teamComparisonTable th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                if (sortKey === th.dataset.sort) {
+                    sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+                } else {
+                    sortKey = th.dataset.sort;
+                    sortDirection = sortKey === 'team' ? 'asc' : 'desc';
+                }
+                render();
+            });
+        });
+
+        render();
+    }
+
+    /**
+     * Show employees of the hours without a team and team members missing from the hours,
+     * with one-click assignment / removal
+     * @param {Object} coverage - TeamFilter.getCoverage() result
+     * @param {Array} teams - Teams to assign to (without the full-view team)
+     * @param {Boolean} hasHours - Whether an hours file is loaded
+     */
+    showTeamCoverageModal(coverage, teams, hasHours) {
+        const teamOptions = teams.map(team => `<option value="${this.escapeHtml(team.id)}">${this.escapeHtml(team.name)}</option>`).join('');
+
+        const content = `
+            ${!hasHours ? '<p class="import-hint">לא נטען קובץ שעות - כל חברי הצוותים מופיעים כחסרים.</p>' : ''}
+            <div class="detail-section">
+                <h3>עובדים ללא צוות (${this.formatNumber(coverage.unassigned.length)})</h3>
+                <p class="import-hint">מופיעים רק בתצוגה הכללית, ולא בתצוגה של אף צוות.</p>
+                <div class="table-container">
+                    <table class="data-table" id="unassignedEmployeesTable">
+                        <thead>
+                            <tr>
+                                <th>מספר עובד</th>
+                                <th>עובד</th>
+                                <th>שעות</th>
+                                <th>שיוך לצוות</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${coverage.unassigned.length === 0
+                ? '<tr><td colspan="4" class="empty-message">כל העובדים בקובץ השעות משויכים לצוות</td></tr>'
+                : coverage.unassigned.map(emp => `
+                                <tr data-employee="${this.escapeHtml(emp.id)}">
+                                    <td>${this.escapeHtml(emp.id)}</td>
+                                    <td>${this.escapeHtml(emp.name)}</td>
+                                    <td class="number-cell">${this.formatNumber(emp.hours)}</td>
+                                    <td class="rule-actions">
+                                        ${teams.length === 0 ? 'אין צוותים מוגדרים' : `
+                                        <select class="coverage-team">${teamOptions}</select>
+                                        <button class="btn btn-sm coverage-assign-btn">שייך</button>
+                                        `}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="detail-section">
+                <h3>חברי צוות שאינם בקובץ השעות (${this.formatNumber(coverage.missing.length)})</h3>
+                <p class="import-hint">לא דיווחו שעות בקובץ הטעון - למשל עובדים שעזבו או מספר עובד שגוי.</p>
+                <div class="table-container">
+                    <table class="data-table" id="missingTeamMembersTable">
+                        <thead>
+                            <tr>
+                                <th>מספר עובד</th>
+                                <th>צוות</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${coverage.missing.length === 0
+                ? '<tr><td colspan="3" class="empty-message">כל חברי הצוותים מופיעים בקובץ השעות</td></tr>'
+                : coverage.missing.map(member => `
+                                <tr data-employee="${this.escapeHtml(member.id)}" data-team="${this.escapeHtml(member.teamId)}">
+                                    <td>${this.escapeHtml(member.id)}</td>
+                                    <td>${this.escapeHtml(member.teamName)}</td>
+                                    <td><button class="btn btn-sm btn-secondary coverage-remove-btn">הסר מהצוות</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = 'שיוך עובדים לצוותים';
+
+        document.querySelectorAll('#unassignedEmployeesTable tr[data-employee]').forEach(tr => {
+            const button = tr.querySelector('.coverage-assign-btn');
+            if (!button) return;
+            button.addEventListener('click', () => {
+                if (window.app) window.app.assignEmployeeToTeam(tr.dataset.employee, tr.querySelector('.coverage-team').value);
+            });
+        });
+
+        document.querySelectorAll('#missingTeamMembersTable tr[data-employee]').forEach(tr => {
+            tr.querySelector('.coverage-remove-btn').addEventListener('click', () => {
+                if (window.app) window.app.removeEmployeeFromTeam(tr.dataset.employee, tr.dataset.team);
+            });
+        });
+    }
+
+    /**
+     * Show requirement number patterns editor with a live preview against the loaded hours
+     * @param {Object} request - { patterns, defaults, validate(pattern), preview(patterns) }
+     *   preview returns RequirementMatcher.preview() result, or null without loaded hours
+     * @returns {Promise<Array|null>} Edited patterns, or null if cancelled
+     */
+    showRequirementPatternsModal(request) {
+        let draft = request.patterns.map(pattern => ({ ...pattern, fields: [...pattern.fields] }));
+        const formatHours = (value) => this.formatNumber(Math.round(value * 10) / 10);
+
+        const content = `
+            <p class="import-hint">
+                ביטויים רגולריים לזיהוי מספר דרישה, לפי הסדר. כל ביטוי נבדק בשדות שסומנו
+                (משימה, תת פעילות, פעילות משנה, פעילות) - ההתאמה הראשונה קובעת.
+                מספר הדרישה הוא הקבוצה הראשונה בסוגריים, או ההתאמה כולה.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="requirementPatternsTable">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>ביטוי</th>
+                            <th>שדות</th>
+                            <th title="שעות שקושרו לדרישה (מתוכן לדרישה שקיימת בקובץ הדרישות)">שעות</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <div class="filter-bar rules-toolbar">
+                <button class="btn btn-sm" id="patternAddBtn">+ הוסף ביטוי</button>
+                <button class="btn btn-sm btn-secondary" id="patternDefaultsBtn">שחזר ברירת מחדל</button>
+                <span class="rules-summary" id="patternsPreviewSummary"></span>
+            </div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">שמירה וקישור מחדש</button>
+            </div>
+        `;
+
+        const updatePreview = () => {
+            const preview = request.preview(draft);
+            const summaryEl = document.getElementById('patternsPreviewSummary');
+
+            document.querySelectorAll('#requirementPatternsTable .rule-preview').forEach(cell => {
+                const stats = preview ? preview.patterns[parseInt(cell.dataset.index)] : null;
+                cell.innerHTML = stats
+                    ? `${formatHours(stats.hours)} <span class="rule-changed">(${formatHours(stats.knownHours)} בקובץ)</span>`
+                    : '-';
+            });
+
+            if (summaryEl) {
+                summaryEl.textContent = preview
+                    ? `ללא מספר דרישה: ${formatHours(preview.unlinked.hours)} שעות`
+                    : 'לא נטענו שעות - אין תצוגה מקדימה';
+            }
+        };
+
+        const validateRow = (tr, index) => {
+            const error = request.validate(draft[index]);
+            tr.classList.toggle('rule-invalid', Boolean(error));
+            tr.title = error || '';
+        };
+
+        const renderRows = () => {
+            const tbody = document.querySelector('#requirementPatternsTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = draft.length === 0
+                ? '<tr><td colspan="5" class="empty-message">אין ביטויים - שעות לא יקושרו לדרישות</td></tr>'
+                : draft.map((pattern, index) => `
+                    <tr data-index="${index}">
+                        <td>${index + 1}</td>
+                        <td><input type="text" class="rule-value pattern-input" value="${this.escapeHtml(pattern.pattern)}" dir="ltr"></td>
+                        <td class="pattern-fields">
+                            ${Object.entries(PATTERN_FIELDS).map(([field, def]) => `
+                                <label><input type="checkbox" class="pattern-field" value="${field}" ${pattern.fields.includes(field) ? 'checked' : ''}> ${this.escapeHtml(def.label)}</label>
+                            `).join('')}
+                        </td>
+                        <td class="number-cell rule-preview" data-index="${index}"></td>
+                        <td class="rule-actions">
+                            <button class="btn btn-sm btn-secondary rule-move-btn" data-step="-1" title="העבר למעלה" ${index === 0 ? 'disabled' : ''}>▲</button>
+                            <button class="btn btn-sm btn-secondary rule-move-btn" data-step="1" title="העבר למטה" ${index === draft.length - 1 ? 'disabled' : ''}>▼</button>
+                            <button class="btn btn-sm btn-danger rule-remove-btn" title="מחק ביטוי">✕</button>
+                        </td>
+                    </tr>
+                `).join('');
+
+            tbody.querySelectorAll('tr[data-index]').forEach(tr => {
+                const index = parseInt(tr.dataset.index);
+                validateRow(tr, index);
+
+                tr.querySelector('.pattern-input').addEventListener('input', (e) => {
+                    draft[index] = { ...draft[index], pattern: e.target.value };
+                    validateRow(tr, index);
+                    updatePreview();
+                });
+
+                tr.querySelectorAll('.pattern-field').forEach(checkbox => {
+                    checkbox.addEventListener('change', () => {
+                        const fields = Array.from(tr.querySelectorAll('.pattern-field:checked')).map(cb => cb.value);
+                        draft[index] = { ...draft[index], fields };
+                        validateRow(tr, index);
+                        updatePreview();
+                    });
+                });
+
+                tr.querySelectorAll('.rule-move-btn').forEach(btn => {
+                    btn.addEventListener('click', () => {
+                        const target = index + parseInt(btn.dataset.step);
+                        [draft[index], draft[target]] = [draft[target], draft[index]];
+                        renderRows();
+                    });
+                });
+
+                tr.querySelector('.rule-remove-btn').addEventListener('click', () => {
+                    draft.splice(index, 1);
+                    renderRows();
+                });
+            });
+
+            updatePreview();
+        };
+
+        const result = this.showImportModal('תבניות מספר דרישה', content, () => {
+            const errors = draft
+                .map((pattern, index) => {
+                    const error = request.validate(pattern);
+                    return error ? `ביטוי ${index + 1}: ${error}` : null;
+                })
+                .filter(Boolean);
+
+            const errorEl = document.getElementById('importError');
+            if (errors.length > 0) {
+                errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+                errorEl.classList.remove('hidden');
+                return undefined;
+            }
+
+            return draft.map(({ pattern, fields }) => ({ pattern: String(pattern).trim(), fields }));
+        });
+
+        document.getElementById('patternAddBtn').addEventListener('click', () => {
+            draft.push({ pattern: '', fields: Object.keys(PATTERN_FIELDS) });
+            renderRows();
+            const inputs = document.querySelectorAll('#requirementPatternsTable .pattern-input');
+            if (inputs.length > 0) inputs[inputs.length - 1].focus();
+        });
+
+        document.getElementById('patternDefaultsBtn').addEventListener('click', () => {
+            draft = request.defaults.map(pattern => ({ ...pattern, fields: [...pattern.fields] }));
+            renderRows();
+        });
+
+        renderRows();
+        return result;
+    }
+
+    /**
+     * Show reconciliation of Atlas actual vs hours cost, with discrepancy filters
+     * @param {Array} rows - DataProcessor.getReconciliation() result
+     */
+    showReconciliationModal(rows) {
+        const filters = {
+            all: { label: 'הכל', match: () => true },
+            large: { label: 'פער גדול', match: row => row.isLarge },
+            hoursOnly: { label: 'שעות ללא ביצוע Atlas', match: row => row.hoursOnly },
+            atlasOnly: { label: 'ביצוע Atlas ללא שעות', match: row => row.atlasOnly }
+        };
+        const currency = (v) => this.formatCurrency(v);
+        const round = (value) => Math.round(value * 10) / 10;
+
+        const content = `
+            ${this.modalManager.createExportButtons('exportReconciliationExcel', 'exportReconciliationPDF', 'exportReconciliationHTML')}
+            <p class="import-hint">
+                ביצוע Atlas הוא הביצוע המצטבר מקובץ הדרישות; עלות השעות מחושבת מהשעות המקושרות בתקופה הנבחרת.
+                פער גדול: לפחות ${CONFIG.RECONCILIATION_GAP_PERCENT}% ולפחות ${currency(CONFIG.RECONCILIATION_MIN_GAP)}.
+            </p>
+            <div class="filter-bar" id="reconciliationFilterBar">
+                <div class="filter-bar-left">
+                    <span class="filter-label">סינון:</span>
+                    ${Object.entries(filters).map(([key, filter]) => `
+                        <button class="filter-btn btn btn-sm ${key === 'all' ? 'active' : ''}" data-filter="${key}">
+                            ${filter.label} (${this.formatNumber(rows.filter(filter.match).length)})
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="table-container">
+                <table class="data-table" id="reconciliationTable">
+                    <thead>
+                        <tr>
+                            <th>דרישה</th>
+                            <th>נושא</th>
+                            <th>תקציב</th>
+                            <th>ביצוע Atlas</th>
+                            <th>שעות</th>
+                            <th>עלות שעות</th>
+                            <th>פער</th>
+                            <th>פער %</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = 'התאמת ביצוע Atlas מול שעות';
+
+        const render = (filterKey) => {
+            const visible = rows.filter(filters[filterKey].match);
+            const tbody = document.querySelector('#reconciliationTable tbody');
+
+            tbody.innerHTML = visible.length === 0
+                ? '<tr><td colspan="8" class="empty-message">אין דרישות בסינון זה</td></tr>'
+                : visible.map(row => `
+                    <tr class="${row.isLarge ? 'reconciliation-large' : ''}">
+                        <td>${this.escapeHtml(row.id)}</td>
+                        <td>${this.escapeHtml(row.name)}</td>
+                        <td class="number-cell">${currency(row.budget)}</td>
+                        <td class="number-cell">${currency(row.actual)}</td>
+                        <td class="number-cell">${this.formatNumber(row.actualHours)}</td>
+                        <td class="number-cell">${currency(row.hoursCost)}</td>
+                        <td class="number-cell">${this.formatChange(row.gap, currency, false)}</td>
+                        <td class="number-cell">${this.formatNumber(row.gapPercent)}%</td>
+                    </tr>
+                `).join('');
+
+            const data = visible.map(row => ({
+                'מספר דרישה': row.id,
+                'נושא': row.name,
+                'סטטוס': row.status,
+                'תקציב': round(row.budget),
+                'ביצוע Atlas': round(row.actual),
+                'שעות': round(row.actualHours),
+                'עלות שעות': round(row.hoursCost),
+                'פער': round(row.gap),
+                'פער %': round(row.gapPercent)
+            }));
+
+            this.modalManager.setupExportHandlers({
+                excelButtonId: 'exportReconciliationExcel',
+                pdfButtonId: 'exportReconciliationPDF',
+                htmlButtonId: 'exportReconciliationHTML',
+                tableId: 'reconciliationTable',
+                data,
+                columns: data.length > 0 ? Object.keys(data[0]).map(key => ({ header: key, dataKey: key })) : [],
+                title: `התאמת ביצוע Atlas מול שעות - ${filters[filterKey].label}`,
+                filename: `requirements-reconciliation-${filterKey}`,
+                exporter: window.app && window.app.exporter
+            });
+        };
+
+        document.querySelectorAll('#reconciliationFilterBar .filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('#reconciliationFilterBar .filter-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                render(btn.dataset.filter);
+            });
+        });
+
+        render('all');
+    }
+
+    /**
+     * Show capacity plan vs actual hours, per employee / team / requirement / plan row
+     * @param {Object} variance - DataProcessor.getPlanVariance() result
+     * @param {Number} entryCount - Number of plan entries (all months)
+     */
+    showPlanVarianceModal(variance, entryCount) {
+        const hours = (v) => this.formatNumber(Math.round(v * 10) / 10);
+        const round = (value) => Math.round(value * 10) / 10;
+        const percent = (v) => v === null ? '-' : `${this.formatNumber(v)}%`;
+        const varianceCell = (row) => `
+            <td class="number-cell">${this.formatChange(row.variance, hours, false)}</td>
+            <td class="number-cell ${row.variancePercent !== null && Math.abs(row.variancePercent) > CONFIG.PLAN_VARIANCE_PERCENT ? 'text-danger' : ''}">${percent(row.variancePercent)}</td>
+        `;
+        const targetLabel = (row) => row.requirement
+            ? `${this.escapeHtml(row.requirement)}${row.name ? ` - ${this.escapeHtml(row.name)}` : ''}`
+            : `<span title="משימה">📌 ${this.escapeHtml(row.task)}</span>`;
+
+        const views = {
+            employees: {
+                label: 'לפי עובד',
+                rows: variance.employees,
+                headers: ['עובד', 'צוות', 'מתוכנן', 'בפועל', 'לא מתוכנן', 'פער', 'פער %'],
+                render: row => `
+                    <td>${this.escapeHtml(row.employee)}</td>
+                    <td>${this.escapeHtml(row.team)}</td>
+                    <td class="number-cell">${hours(row.planned)}</td>
+                    <td class="number-cell">${hours(row.actual)}</td>
+                    <td class="number-cell">${hours(row.unplanned)}</td>
+                    ${varianceCell(row)}
+                `,
+                exportRow: row => ({
+                    'מספר עובד': row.employeeId, 'עובד': row.employee, 'צוות': row.team,
+                    'מתוכנן': round(row.planned), 'בפועל': round(row.actual), 'לא מתוכנן': round(row.unplanned),
+                    'פער': round(row.variance), 'פער %': row.variancePercent === null ? '' : round(row.variancePercent)
+                })
+            },
+            teams: {
+                label: 'לפי צוות',
+                rows: variance.teams,
+                headers: ['צוות', 'עובדים', 'מתוכנן', 'בפועל', 'לא מתוכנן', 'פער', 'פער %'],
+                render: row => `
+                    <td>${this.escapeHtml(row.team)}</td>
+                    <td class="number-cell">${this.formatNumber(row.employees)}</td>
+                    <td class="number-cell">${hours(row.planned)}</td>
+                    <td class="number-cell">${hours(row.actual)}</td>
+                    <td class="number-cell">${hours(row.unplanned)}</td>
+                    ${varianceCell(row)}
+                `,
+                exportRow: row => ({
+                    'צוות': row.team, 'עובדים': row.employees,
+                    'מתוכנן': round(row.planned), 'בפועל': round(row.actual), 'לא מתוכנן': round(row.unplanned),
+                    'פער': round(row.variance), 'פער %': row.variancePercent === null ? '' : round(row.variancePercent)
+                })
+            },
+            targets: {
+                label: 'לפי דרישה',
+                rows: variance.targets,
+                headers: ['דרישה / משימה', 'עובדים מדווחים', 'מתוכנן', 'בפועל', 'פער', 'פער %'],
+                render: row => `
+                    <td>${targetLabel(row)}</td>
+                    <td class="number-cell">${this.formatNumber(row.employees)}</td>
+                    <td class="number-cell">${hours(row.planned)}</td>
+                    <td class="number-cell">${hours(row.actual)}</td>
+                    ${varianceCell(row)}
+                `,
+                exportRow: row => ({
+                    'מספר דרישה': row.requirement, 'משימה': row.task, 'נושא': row.requirement ? row.name : '',
+                    'עובדים מדווחים': row.employees, 'מתוכנן': round(row.planned), 'בפועל': round(row.actual),
+                    'פער': round(row.variance), 'פער %': row.variancePercent === null ? '' : round(row.variancePercent)
+                })
+            },
+            items: {
+                label: 'שורות תכנון',
+                rows: variance.items,
+                headers: ['חודש', 'עובד', 'צוות', 'דרישה / משימה', 'מתוכנן', 'בפועל', 'פער', 'פער %'],
+                render: row => `
+                    <td>${this.escapeHtml(row.month)}</td>
+                    <td>${this.escapeHtml(row.employee)}</td>
+                    <td>${this.escapeHtml(row.team)}</td>
+                    <td>${targetLabel(row)}</td>
+                    <td class="number-cell">${hours(row.planned)}</td>
+                    <td class="number-cell">${hours(row.actual)}</td>
+                    ${varianceCell(row)}
+                `,
+                exportRow: row => ({
+                    'חודש': row.month, 'מספר עובד': row.employeeId, 'עובד': row.employee, 'צוות': row.team,
+                    'מספר דרישה': row.requirement, 'משימה': row.task,
+                    'מתוכנן': round(row.planned), 'בפועל': round(row.actual),
+                    'פער': round(row.variance), 'פער %': row.variancePercent === null ? '' : round(row.variancePercent)
+                })
+            }
+        };
+
+        const totals = variance.totals;
+        const period = variance.months.length === 0 ? ''
+            : variance.months.length === 1 ? variance.months[0]
+                : `${variance.months[0]} - ${variance.months[variance.months.length - 1]}`;
+
+        const content = `
+            ${this.modalManager.createExportButtons('exportPlanVarianceExcel', 'exportPlanVariancePDF', 'exportPlanVarianceHTML')}
+            <p class="import-hint">
+                ${entryCount === 0 ? 'אין תכנון שמור. ' : ''}
+                ${period ? `חודשי התכנון בתקופה הנבחרת: ${this.escapeHtml(period)} · ` : ''}
+                מתוכנן ${hours(totals.planned)} · בפועל על המתוכנן ${hours(totals.actual)} · לא מתוכנן ${hours(totals.unplanned)} שעות.
+                בפועל = שעות העובד על הדרישה/משימה באותו חודש; לא מתוכנן = שאר שעותיו באותם חודשים (ללא היעדרות).
+                בתצוגה לפי דרישה, בפועל כולל את כל העובדים. פער מעל ${CONFIG.PLAN_VARIANCE_PERCENT}% מסומן.
+            </p>
+            <div class="filter-bar" id="planVarianceViewBar">
+                <div class="filter-bar-left">
+                    <span class="filter-label">תצוגה:</span>
+                    ${Object.entries(views).map(([key, view]) => `
+                        <button class="filter-btn btn btn-sm ${key === 'employees' ? 'active' : ''}" data-view="${key}">
+                            ${view.label} (${this.formatNumber(view.rows.length)})
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="filter-bar-right">
+                    <button class="btn btn-sm" id="planEditBtn">עריכת תכנון</button>
+                </div>
+            </div>
+            <div class="table-container">
+                <table class="data-table" id="planVarianceTable">
+                    <thead></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = 'תכנון מול ביצוע';
+
+        const render = (viewKey) => {
+            const view = views[viewKey];
+            document.querySelector('#planVarianceTable thead').innerHTML =
+                `<tr>${view.headers.map(header => `<th>${header}</th>`).join('')}</tr>`;
+            document.querySelector('#planVarianceTable tbody').innerHTML = view.rows.length === 0
+                ? `<tr><td colspan="${view.headers.length}" class="empty-message">אין תכנון לחודשי התקופה הנבחרת</td></tr>`
+                : view.rows.map(row => `<tr>${view.render(row)}</tr>`).join('');
+
+            const data = view.rows.map(view.exportRow);
+            this.modalManager.setupExportHandlers({
+                excelButtonId: 'exportPlanVarianceExcel',
+                pdfButtonId: 'exportPlanVariancePDF',
+                htmlButtonId: 'exportPlanVarianceHTML',
+                tableId: 'planVarianceTable',
+                data,
+                columns: data.length > 0 ? Object.keys(data[0]).map(key => ({ header: key, dataKey: key })) : [],
+                title: `תכנון מול ביצוע - ${view.label}`,
+                filename: `plan-vs-actual-${viewKey}`,
+                exporter: window.app && window.app.exporter
+            });
+        };
+
+        document.querySelectorAll('#planVarianceViewBar .filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('#planVarianceViewBar .filter-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                render(btn.dataset.view);
+            });
+        });
+
+        document.getElementById('planEditBtn').addEventListener('click', () => {
+            this.hideEmployeeListModal();
+            if (window.app) window.app.editCapacityPlan();
+        });
+
+        render('employees');
+    }
+
+    /**
+     * Show hours referencing requirement numbers missing from the requirements file
+     * @param {Object} report - DataProcessor.getUnknownRequirementReferences() result
+     * @param {Boolean} hasRequirements - Whether a requirements file is loaded
+     */
+    showUnknownRequirementsModal(report, hasRequirements) {
+        const totalHours = report.requirements.reduce((sum, r) => sum + r.hours, 0);
+
+        const content = `
+            <div class="filter-bar" style="margin: 0; padding: 0; background: transparent; border: none; width: 100%;">
+                <div class="filter-bar-left">
+                    <button class="btn btn-sm btn-secondary" id="unknownReqPatternsBtn">תבניות מספר דרישה</button>
+                </div>
+                <div class="filter-bar-right" style="gap: 5px;">
+                    <button class="btn btn-icon-only btn-frameless" id="exportUnknownReqExcel" title="ייצוא לאקסל">
+                        <img src="icons/excel.png" alt="Excel">
+                    </button>
+                </div>
+            </div>
+            <p class="import-hint">
+                ${hasRequirements
+                    ? `${this.formatNumber(report.requirements.length)} מספרי דרישה שמופיעים בדיווחי השעות (${this.formatNumber(Math.round(totalHours * 10) / 10)} שעות בתקופה הנבחרת) ואינם בקובץ הדרישות.`
+                    : 'לא נטען קובץ דרישות - כל מספרי הדרישה שזוהו בשעות מוצגים.'}
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="unknownRequirementsTable">
+                    <thead>
+                        <tr>
+                            <th>מספר דרישה</th>
+                            <th>שעות</th>
+                            <th>שורות</th>
+                            <th>עובדים</th>
+                            <th>דוגמאות</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.requirements.length === 0 ? '<tr><td colspan="5" class="empty-message">כל מספרי הדרישה בשעות קיימים בקובץ הדרישות</td></tr>' : ''}
+                        ${report.requirements.map(entry => `
+                            <tr>
+                                <td>${this.escapeHtml(entry.requirement)}</td>
+                                <td class="number-cell">${this.formatNumber(Math.round(entry.hours * 10) / 10)}</td>
+                                <td class="number-cell">${this.formatNumber(entry.rows)}</td>
+                                <td title="${this.escapeHtml(entry.employees.join(', '))}">${this.formatNumber(entry.employees.length)}</td>
+                                <td class="mapping-samples">${entry.examples.map(e => this.escapeHtml(e)).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = `דרישות לא מוכרות בשעות (${report.requirements.length})`;
+
+        document.getElementById('exportUnknownReqExcel').onclick = () => window.app && window.app.exportUnknownRequirementsExcel();
+        document.getElementById('unknownReqPatternsBtn').onclick = () => window.app && window.app.editRequirementPatterns();
+    }
+
+    /**
+     * Show sheet picker: role of each sheet (data / exceptions) and its header row, with a preview
+     * Hours take one data sheet and at most one exceptions sheet; requirements may take several data sheets
+     * @param {Object} request - { fileName, type, sheets: [{ name, preview, headerRow }], choice: { dataSheets, exceptionsSheet } }
+     * @returns {Promise<Object|null>} { dataSheets: [{ sheetName, headerRow }], exceptionsSheet } or null if cancelled
+     */
+    showSheetPickerModal(request) {
+        const isHours = request.type === 'hours';
+        const { dataSheets, exceptionsSheet } = request.choice;
+
+        // Per-sheet state, starting from the suggested choice
+        const state = request.sheets.map(sheet => {
+            const data = dataSheets.find(c => c.sheetName === sheet.name);
+            const exceptions = exceptionsSheet && exceptionsSheet.sheetName === sheet.name ? exceptionsSheet : null;
+            return {
+                role: data ? 'data' : exceptions ? 'exceptions' : '',
+                headerRow: (data || exceptions || sheet).headerRow
+            };
+        });
+        let previewIndex = Math.max(0, request.sheets.findIndex((sheet, i) => state[i].role === 'data'));
+
+        const roleControl = (index) => isHours ? `
+            <select class="mapping-select sheet-role" data-index="${index}">
+                <option value="data" ${state[index].role === 'data' ? 'selected' : ''}>נתונים</option>
+                <option value="exceptions" ${state[index].role === 'exceptions' ? 'selected' : ''}>חריגים</option>
+                <option value="" ${state[index].role === '' ? 'selected' : ''}>— לא בשימוש —</option>
+            </select>
+        ` : `
+            <label><input type="checkbox" class="sheet-role" data-index="${index}" ${state[index].role === 'data' ? 'checked' : ''}> ייבוא</label>
+        `;
+
+        const content = `
+            <p class="import-hint">
+                ${this.escapeHtml(request.fileName)}: ${isHours
+                    ? 'יש לבחור את גיליון הנתונים ואת גיליון החריגים (אם יש).'
+                    : 'יש לבחור את הגיליונות לייבוא. דרישות מכמה גיליונות נטענות יחד ומסומנות בגיליון המקור.'}
+                הבחירה תישמר ותופעל אוטומטית בקבצים בעלי אותו מבנה.
+            </p>
+            <div class="table-container">
+                <table class="data-table" id="sheetPickerTable">
+                    <thead>
+                        <tr>
+                            <th>גיליון</th>
+                            <th>תפקיד</th>
+                            <th>שורת כותרות</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${request.sheets.map((sheet, index) => `
+                            <tr>
+                                <td>${this.escapeHtml(sheet.name)}</td>
+                                <td>${roleControl(index)}</td>
+                                <td class="number-cell sheet-header-row" data-index="${index}">${state[index].headerRow + 1}</td>
+                                <td><button class="btn btn-sm sheet-preview-btn" data-index="${index}">תצוגה מקדימה</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h4 class="sheet-preview-title" id="sheetPreviewTitle"></h4>
+            <div class="table-container" id="headerPreviewContainer"></div>
+            <div class="import-error hidden" id="importError"></div>
+            <div class="import-actions">
+                <button class="btn btn-secondary" id="importCancelBtn">ביטול</button>
+                <button class="btn active" id="importConfirmBtn">אישור וטעינה</button>
+            </div>
+        `;
+
+        const renderPreview = () => {
+            const container = document.getElementById('headerPreviewContainer');
+            const title = document.getElementById('sheetPreviewTitle');
+            if (!container) return;
+
+            const sheet = request.sheets[previewIndex];
+            const headerRow = state[previewIndex].headerRow;
+            if (title) title.textContent = `${sheet.name} - יש לסמן את שורת הכותרות`;
+
+            if (sheet.preview.length === 0) {
+                container.innerHTML = '<p class="import-hint">הגיליון ריק</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <table class="data-table header-preview-table">
+                    <tbody>
+                        ${sheet.preview.map((cells, rowIndex) => `
+                            <tr class="${rowIndex === headerRow ? 'header-preview-selected' : ''}">
+                                <td>
+                                    <input type="radio" name="headerRowChoice" value="${rowIndex}" ${rowIndex === headerRow ? 'checked' : ''}>
+                                    ${rowIndex + 1}
+                                </td>
+                                ${cells.map(v => {
+                                    const text = String(v ?? '');
+                                    return `<td>${this.escapeHtml(text.length > 30 ? text.substring(0, 27) + '...' : text)}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+            container.querySelectorAll('input[name="headerRowChoice"]').forEach(radio => {
+                radio.addEventListener('change', () => {
+                    state[previewIndex].headerRow = parseInt(radio.value);
+                    container.querySelectorAll('tr').forEach(tr => tr.classList.remove('header-preview-selected'));
+                    radio.closest('tr').classList.add('header-preview-selected');
+                    const cell = document.querySelector(`#sheetPickerTable .sheet-header-row[data-index="${previewIndex}"]`);
+                    if (cell) cell.textContent = state[previewIndex].headerRow + 1;
+                });
+            });
+        };
+
+        const promise = this.showImportModal('בחירת גיליונות', content, () => {
+            const picked = (role) => request.sheets
+                .map((sheet, i) => ({ sheetName: sheet.name, headerRow: state[i].headerRow, role: state[i].role }))
+                .filter(c => c.role === role)
+                .map(({ sheetName, headerRow }) => ({ sheetName, headerRow }));
+
+            const data = picked('data');
+            const exceptions = picked('exceptions');
+            const errors = [];
+            if (data.length === 0) errors.push('יש לבחור גיליון נתונים');
+            if (isHours && data.length > 1) errors.push('ניתן לבחור גיליון נתונים אחד בלבד');
+            if (exceptions.length > 1) errors.push('ניתן לבחור גיליון חריגים אחד בלבד');
+
+            const errorEl = document.getElementById('importError');
+            if (errors.length > 0) {
+                errorEl.innerHTML = errors.map(e => this.escapeHtml(e)).join('<br>');
+                errorEl.classList.remove('hidden');
+                return undefined;
+            }
+
+            return { dataSheets: data, exceptionsSheet: exceptions[0] || null };
+        });
+
+        document.querySelectorAll('#sheetPickerTable .sheet-role').forEach(control => {
+            control.addEventListener('change', () => {
+                const index = parseInt(control.dataset.index);
+                state[index].role = isHours ? control.value : control.checked ? 'data' : '';
+            });
+        });
+
+        document.querySelectorAll('#sheetPickerTable .sheet-preview-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                previewIndex = parseInt(btn.dataset.index);
+                renderPreview();
+            });
+        });
+
+        renderPreview();
+
+        return promise;
+    }
+
+    /**
+     * Show/hide header button for the import report
      */
-    renderRequirementsKPIs(kpis) {
-        const container = document.getElementById('requirementsKpiContainer');
-        if (!container) return;
+    updateImportReportButton(visible, hasIssues) {
+        const btn = document.getElementById('importReportBtn');
+        if (!btn) return;
+        btn.classList.toggle('hidden', !visible);
+        btn.classList.toggle('has-issues', Boolean(hasIssues));
+    }
 
-        container.innerHTML = `
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>Active</h3>
-                    <div class="card-value">${this.formatNumber(kpis.activeCount)}</div>
-                    <div class="card-subvalue">דרישות פעילות</div>
-                </div>
-            </div>
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>Done</h3>
-                    <div class="card-value text-success">${this.formatNumber(kpis.doneCount)}</div>
-                    <div class="card-subvalue">דרישות שהושלמו</div>
-                </div>
-            </div>
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>חריגה</h3>
-                    <div class="card-value text-danger" style="color: var(--fibi-error);">${this.formatNumber(kpis.overbudgetCount)}</div>
-                    <div class="card-subvalue">דרישות בחריגה</div>
+    /**
+     * Show import validation report modal
+     * @param {Array} reports - [{ title, report }] (ImportReport instances)
+     */
+    showImportReportModal(reports) {
+        const maxRows = CONFIG.TABLE_PAGE_SIZE;
+
+        const sections = reports.map(({ title, report }, reportIndex) => {
+            const summary = report.getSummary();
+            const droppedByReason = report.getDroppedByReason();
+            const unknown = report.getUnknownClassifications();
+            const issues = report.issues;
+            const subjectLabel = report.type === 'hours' ? 'עובד' : 'דרישה';
+
+            return `
+            <div class="detail-section">
+                <h3>${this.escapeHtml(title)}</h3>
+                <div class="import-summary">
+                    <div><span>שורות שנקראו</span><strong>${this.formatNumber(summary.rowsRead)}</strong></div>
+                    <div><span>שורות שנשמרו</span><strong>${this.formatNumber(summary.rowsKept)}</strong></div>
+                    <div><span>שורות שהושמטו</span><strong class="${summary.dropped > 0 ? 'text-warning' : ''}">${this.formatNumber(summary.dropped)}</strong></div>
+                    <div><span>מספרים לא תקינים</span><strong class="${summary.numbers > 0 ? 'text-danger' : ''}">${this.formatNumber(summary.numbers)}</strong></div>
+                    <div><span>תאריכים לא תקינים</span><strong class="${summary.dates > 0 ? 'text-danger' : ''}">${this.formatNumber(summary.dates)}</strong></div>
+                    ${report.type === 'hours' ? `
+                    <div><span>שעות בסיווג "אחר"</span><strong class="${summary.unknownClassificationHours > 0 ? 'text-warning' : ''}">${this.formatNumber(summary.unknownClassificationHours)}</strong></div>
+                    ` : ''}
                 </div>
-            </div>
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>יתרות Done</h3>
-                    <div class="card-value">${this.formatNumber(kpis.doneWithBudgetCount)}</div>
-                    <div class="card-subvalue text-success">${this.formatCurrency(kpis.totalDoneRemainder)}</div>
+
+                ${Object.keys(droppedByReason).length > 0 ? `
+                <p class="import-hint">סיבות השמטה: ${Object.entries(droppedByReason).map(([reason, count]) => `${this.escapeHtml(reason)} (${this.formatNumber(count)})`).join(' · ')}</p>
+                ` : ''}
+
+                ${unknown.length > 0 ? `
+                <h4>סיווגים שלא זוהו (נספרו כ"אחר")</h4>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead><tr><th>סיווג</th><th>שורות</th><th>שעות</th></tr></thead>
+                        <tbody>
+                            ${unknown.map(c => `
+                                <tr>
+                                    <td>${this.escapeHtml(c.value)}</td>
+                                    <td class="number-cell">${this.formatNumber(c.rows)}</td>
+                                    <td class="number-cell">${this.formatNumber(c.hours)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                 </div>
-            </div>
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>ניצול 90-100%</h3>
-                    <div class="card-value text-warning">${this.formatNumber(kpis.highUtilizationCount)}</div>
-                    <div class="card-subvalue">${this.formatCurrency(kpis.totalHighUtilizationRemainder)}</div>
+                ` : ''}
+
+                ${issues.length > 0 ? `
+                <h4>פירוט בעיות${issues.length > maxRows ? ` (מוצגות ${this.formatNumber(maxRows)} מתוך ${this.formatNumber(issues.length)}, הייצוא כולל את כולן)` : ''}</h4>
+                <div class="table-container">
+                    <table class="data-table" id="importIssuesTable${reportIndex}">
+                        <thead>
+                            <tr>
+                                <th>סוג</th>
+                                <th>סיבה</th>
+                                ${report.type === 'hours' ? '<th>קובץ</th>' : ''}
+                                <th>שורת נתונים</th>
+                                <th>${subjectLabel}</th>
+                                <th>ערך</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${issues.slice(0, maxRows).map(issue => `
+                                <tr>
+                                    <td>${ISSUE_CATEGORY_LABELS[issue.category] || issue.category}</td>
+                                    <td>${this.escapeHtml(issue.reason)}</td>
+                                    ${report.type === 'hours' ? `<td>${this.escapeHtml(issue.file)}</td>` : ''}
+                                    <td class="number-cell">${issue.row ?? '-'}</td>
+                                    <td>${this.escapeHtml(issue.subject)}</td>
+                                    <td>${this.escapeHtml(issue.value)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                 </div>
+                ` : '<p class="import-hint">לא נמצאו בעיות בייבוא.</p>'}
             </div>
-            <div class="card summary-card">
-                <div class="card-content">
-                    <h3>שיאן הדרישות</h3>
-                    <div class="card-value" style="font-size: 18px;">${this.escapeHtml(kpis.topRequester.name)}</div>
-                    <div class="card-subvalue">${kpis.topRequester.count} דרישות</div>
+            `;
+        }).join('');
+
+        const content = `
+            <div class="filter-bar" style="margin: 0; padding: 0; background: transparent; border: none; width: 100%;">
+                <div class="filter-bar-right" style="gap: 5px; width: 100%; justify-content: flex-end;">
+                    <button class="btn btn-icon-only btn-frameless" id="exportImportReportExcel" title="ייצוא לאקסל">
+                        <img src="icons/excel.png" alt="Excel">
+                    </button>
                 </div>
             </div>
+            ${sections}
         `;
+
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = 'דוח ייבוא';
+
+        const exportBtn = document.getElementById('exportImportReportExcel');
+        if (exportBtn) exportBtn.onclick = () => window.app && window.app.exportImportReportExcel();
     }
 
     /**
-     * Update Exceptions KPI in Employees Tab
+     * Show snapshots modal: save current data, restore, delete and compare
+     * @param {Array} snapshots - Saved snapshots (oldest first)
+     * @param {Boolean} hasData - Whether datasets are loaded (enables saving / comparing with current)
      */
-    updateExceptionsKPI(count) {
-        const container = document.getElementById('employeesKpiContainer');
-        if (!container) return;
+    showSnapshotsModal(snapshots, hasData) {
+        const formatSummary = (snapshot) => {
+            const summary = snapshot.summary || {};
+            const period = summary.from ? `${this.formatDate(summary.from)} - ${this.formatDate(summary.to)}` : '-';
+            return { period, requirements: (summary.requirements || []).length, employees: (summary.employees || []).length };
+        };
 
-        // Check if exists, else create
-        let kpi = document.getElementById('kpiExceptionsCard');
-        if (!kpi) {
-            kpi = document.createElement('div');
-            kpi.id = 'kpiExceptionsCard';
-            kpi.className = 'card summary-card clickable-kpi';
-            kpi.style.border = '1px solid var(--fibi-error)'; // Red border hint
-            kpi.onclick = () => window.app && window.app.showExceptions();
+        const snapshotOptions = (selectedId) => [
+            hasData ? `<option value="current" ${selectedId === 'current' ? 'selected' : ''}>נתונים נוכחיים</option>` : '',
+            ...snapshots.map(s => `<option value="${this.escapeHtml(s.id)}" ${s.id === selectedId ? 'selected' : ''}>${this.escapeHtml(s.name)}</option>`)
+        ].join('');
 
-            // Insert at the end
-            container.appendChild(kpi);
-        }
+        // Default: last snapshot vs current data (or the last two snapshots)
+        const last = snapshots[snapshots.length - 1];
+        const beforeLast = snapshots[snapshots.length - 2];
+        const defaultBase = hasData ? (last && last.id) : (beforeLast && beforeLast.id);
+        const defaultTarget = hasData ? 'current' : (last && last.id);
+        const canCompare = snapshots.length + (hasData ? 1 : 0) >= 2;
 
-        kpi.innerHTML = `
-            <div class="card-content">
-                <h3 style="color: var(--fibi-error);">חריגות דיווח</h3>
-                <div class="card-value text-danger" style="color: var(--fibi-error);">${count}</div>
-                <div class="card-subvalue">עובדים בחריגה</div>
+        const content = `
+            <div class="filter-bar snapshot-form">
+                <input type="text" id="snapshotNameInput" class="snapshot-name-input"
+                    placeholder='שם תמונת מצב (למשל "Atlas סוף Q1")' ${hasData ? '' : 'disabled'}>
+                <button class="btn" id="snapshotSaveBtn" ${hasData ? '' : 'disabled'}>שמור תמונת מצב</button>
+            </div>
+
+            <div class="table-container">
+                <table class="data-table" id="snapshotsTable">
+                    <thead>
+                        <tr>
+                            <th>שם</th>
+                            <th>נשמר</th>
+                            <th>תקופת שעות</th>
+                            <th>דרישות</th>
+                            <th>עובדים</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${snapshots.length === 0 ? '<tr><td colspan="6" class="empty-message">אין תמונות מצב שמורות</td></tr>' : ''}
+                        ${snapshots.map((snapshot, index) => {
+                            const info = formatSummary(snapshot);
+                            return `
+                            <tr>
+                                <td>${this.escapeHtml(snapshot.name)}</td>
+                                <td>${this.formatDate(snapshot.createdAt.slice(0, 10))}</td>
+                                <td>${info.period}</td>
+                                <td class="number-cell">${this.formatNumber(info.requirements)}</td>
+                                <td class="number-cell">${this.formatNumber(info.employees)}</td>
+                                <td>
+                                    <button class="btn btn-sm snapshot-restore-btn" data-index="${index}" title="טען את הנתונים מתמונת המצב">טען</button>
+                                    <button class="btn btn-sm btn-danger snapshot-remove-btn" data-index="${index}" title="מחק תמונת מצב">מחק</button>
+                                </td>
+                            </tr>
+                        `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            ${canCompare ? `
+            <div class="filter-bar snapshot-compare">
+                <span class="filter-label">השוואה:</span>
+                <select id="snapshotBaseSelect" class="snapshot-select">${snapshotOptions(defaultBase)}</select>
+                <span>←</span>
+                <select id="snapshotTargetSelect" class="snapshot-select">${snapshotOptions(defaultTarget)}</select>
+                <button class="btn" id="snapshotCompareBtn">השווה</button>
             </div>
+            ` : ''}
         `;
 
-        // Show/Hide based on count
-        if (count > 0) {
-            kpi.style.display = 'flex';
-        } else {
-            kpi.style.display = 'none';
+        this.modalManager.showModal('employeeListModal', content);
+
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = `תמונות מצב (${snapshots.length})`;
+
+        const saveBtn = document.getElementById('snapshotSaveBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                const name = document.getElementById('snapshotNameInput').value;
+                if (window.app) window.app.saveSnapshot(name);
+            });
+        }
+
+        document.querySelectorAll('#snapshotsTable .snapshot-restore-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const snapshot = snapshots[parseInt(btn.dataset.index)];
+                if (snapshot && window.app) window.app.restoreSnapshot(snapshot.id);
+            });
+        });
+
+        document.querySelectorAll('#snapshotsTable .snapshot-remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const snapshot = snapshots[parseInt(btn.dataset.index)];
+                if (snapshot && window.app && confirm(`למחוק את תמונת המצב "${snapshot.name}"?`)) {
+                    window.app.deleteSnapshot(snapshot.id);
+                }
+            });
+        });
+
+        const compareBtn = document.getElementById('snapshotCompareBtn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => {
+                const baseId = document.getElementById('snapshotBaseSelect').value;
+                const targetId = document.getElementById('snapshotTargetSelect').value;
+                if (window.app) window.app.compareSnapshots(baseId, targetId);
+            });
         }
     }
 
     /**
-     * Show Exceptions Modal
+     * Show linked files modal (File System Access API)
+     * @param {Object} links - { hours: link|null, requirements: link|null } (see FileWatcher)
      */
-    showExceptionsModal(exceptions) {
-        // Create export buttons (Now with HTML ID)
-        const exportButtons = this.modalManager.createExportButtons('exportExceptionsExcel', 'exportExceptionsPDF', 'exportExceptionsHTML');
+    showFileLinksModal(links) {
+        const typeLabels = { hours: 'שעות', requirements: 'דרישות' };
+        const statusLabels = {
+            ok: 'עדכני',
+            changed: 'השתנה',
+            permission: 'נדרשת הרשאה',
+            missing: 'לא נמצא'
+        };
 
         const content = `
-            ${exportButtons}
+            <p class="file-links-hint">
+                קובץ מקושר נבדק כל ${Math.round(CONFIG.FILE_WATCH_INTERVAL_MS / 1000)} שניות.
+                כשהוא משתנה הוא נטען מחדש עם אותו מיפוי עמודות ואותו צוות נבחר.
+            </p>
             <div class="table-container">
-                <table class="data-table" id="exceptionsTable">
+                <table class="data-table" id="fileLinksTable">
                     <thead>
                         <tr>
-                            ${(() => {
-                // 1. Collect all unique keys
-                const allKeys = new Set();
-                exceptions.forEach(row => Object.keys(row).forEach(k => allKeys.add(k)));
+                            <th>נתונים</th>
+                            <th>קובץ</th>
+                            <th>עודכן</th>
+                            <th>מצב</th>
+                            <th>טעינה אוטומטית</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Object.entries(typeLabels).map(([type, label]) => {
+                            const link = links[type];
+                            if (!link) {
+                                return `
+                            <tr>
+                                <td>${label}</td>
+                                <td colspan="4" class="empty-message">לא מקושר</td>
+                                <td><button class="btn btn-sm file-link-btn" data-type="${type}">קשר קובץ</button></td>
+                            </tr>`;
+                            }
+                            return `
+                            <tr>
+                                <td>${label}</td>
+                                <td>${this.escapeHtml(link.name)}</td>
+                                <td>${link.lastModified ? new Date(link.lastModified).toLocaleString('he-IL') : '-'}</td>
+                                <td><span class="file-link-status file-link-${link.status}">${statusLabels[link.status] || link.status}</span></td>
+                                <td><input type="checkbox" class="file-link-auto" data-type="${type}" ${link.autoReload ? 'checked' : ''}></td>
+                                <td>
+                                    <button class="btn btn-sm file-link-reload-btn" data-type="${type}" title="טען את הקובץ מחדש">טען עכשיו</button>
+                                    <button class="btn btn-sm btn-secondary file-link-btn" data-type="${type}" title="קשר קובץ אחר">החלף</button>
+                                    <button class="btn btn-sm btn-danger file-unlink-btn" data-type="${type}">נתק</button>
+                                </td>
+                            </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
 
-                // 2. Define priority columns (Hebrew & English)
-                const priority = ['שם', 'עובד', 'Name', 'Employee', 'מספר', 'ID', 'תאריך', 'Date', 'חריגה', 'הודעה', 'Exception', 'Message'];
+        this.modalManager.showModal('employeeListModal', content);
 
-                // 3. Sort keys
-                const sortedKeys = Array.from(allKeys).sort((a, b) => {
-                    const aIndex = priority.findIndex(p => a.includes(p));
-                    const bIndex = priority.findIndex(p => b.includes(p));
+        const titleEl = document.getElementById('employeeListModalTitle');
+        if (titleEl) titleEl.textContent = 'קבצים מקושרים';
 
-                    if (aIndex !== -1 && bIndex !== -1) return aIndex - bIndex;
-                    if (aIndex !== -1) return -1;
-                    if (bIndex !== -1) return 1;
-                    return a.localeCompare(b, 'he');
-                });
+        const bind = (selector, event, handler) => {
+            document.querySelectorAll(`#fileLinksTable ${selector}`).forEach(el => {
+                el.addEventListener(event, () => { if (window.app) handler(el.dataset.type, el); });
+            });
+        };
 
-                // Store for body rendering
-                this._lastExceptionKeys = sortedKeys;
+        bind('.file-link-btn', 'click', type => window.app.linkFile(type));
+        bind('.file-link-reload-btn', 'click', type => window.app.reloadLinkedFile(type));
+        bind('.file-unlink-btn', 'click', type => window.app.unlinkFile(type));
+        bind('.file-link-auto', 'change', (type, el) => window.app.setLinkAutoReload(type, el.checked));
+    }
 
-                return sortedKeys.map(key => `<th>${this.escapeHtml(key)}</th>`).join('');
-            })()}
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${exceptions.map(row => `
+    /**
+     * Show comparison between two snapshots
+     * @param {Object} comparison - SnapshotManager.compare() result
+     * @param {String} baseName - Base snapshot name
+     * @param {String} targetName - Target snapshot name
+     */
+    showSnapshotComparisonModal(comparison, baseName, targetName) {
+        const statusLabels = { added: 'חדש', removed: 'הוסר', changed: '' };
+        const currency = (v) => this.formatCurrency(v);
+        const percent = (v) => `${this.formatNumber(v)}%`;
+        const valueOrDash = (value, formatter) => value === null || value === undefined ? '-' : formatter(value);
+
+        const requirementsButtons = this.modalManager.createExportButtons('exportSnapshotReqExcel', 'exportSnapshotReqPDF', 'exportSnapshotReqHTML');
+        const employeesButtons = this.modalManager.createExportButtons('exportSnapshotEmpExcel', 'exportSnapshotEmpPDF', 'exportSnapshotEmpHTML');
+
+        const content = `
+            <div class="filter-bar snapshot-compare">
+                <span class="filter-label">${this.escapeHtml(baseName)} ← ${this.escapeHtml(targetName)}</span>
+                <button class="btn btn-secondary" id="snapshotBackBtn">חזרה לתמונות מצב</button>
+            </div>
+
+            <div class="detail-section">
+                <h3>דרישות - שינוי בביצוע ובניצול</h3>
+                ${requirementsButtons}
+                <div class="table-container">
+                    <table class="data-table" id="snapshotRequirementsTable">
+                        <thead>
                             <tr>
-                                ${this._lastExceptionKeys.map(key => {
-                let val = row[key];
-                if (val && (key.includes('תאריך') || key.includes('Date'))) {
-                    val = this.formatSheetDate(val);
-                }
-                return `<td>${this.escapeHtml(val || '')}</td>`;
-            }).join('')}
+                                <th>מספר דרישה</th>
+                                <th>שם דרישה</th>
+                                <th>ביצוע לפני</th>
+                                <th>ביצוע אחרי</th>
+                                <th>שינוי בביצוע</th>
+                                <th>ניצול לפני</th>
+                                <th>ניצול אחרי</th>
+                                <th>שינוי בניצול</th>
+                                <th></th>
                             </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
+                        </thead>
+                        <tbody>
+                            ${comparison.requirements.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.id)}</td>
+                                    <td>${this.escapeHtml(row.name)}</td>
+                                    <td class="number-cell">${valueOrDash(row.actualBefore, currency)}</td>
+                                    <td class="number-cell">${valueOrDash(row.actualAfter, currency)}</td>
+                                    <td class="number-cell">${this.formatChange(row.actualChange, currency, false)}</td>
+                                    <td class="number-cell">${valueOrDash(row.utilizationBefore, percent)}</td>
+                                    <td class="number-cell">${valueOrDash(row.utilizationAfter, percent)}</td>
+                                    <td class="number-cell">${this.formatChange(row.utilizationChange, percent, false)}</td>
+                                    <td>${statusLabels[row.status]}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="detail-section">
+                <h3>עובדים - שינוי בשעות ובהשקעה</h3>
+                ${employeesButtons}
+                <div class="table-container">
+                    <table class="data-table" id="snapshotEmployeesTable">
+                        <thead>
+                            <tr>
+                                <th>שם עובד</th>
+                                <th>מספר עובד</th>
+                                <th>שעות לפני</th>
+                                <th>שעות אחרי</th>
+                                <th>שינוי בשעות</th>
+                                <th>השקעה לפני</th>
+                                <th>השקעה אחרי</th>
+                                <th>שינוי בהשקעה</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${comparison.employees.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.name)}</td>
+                                    <td>${this.escapeHtml(row.id)}</td>
+                                    <td class="number-cell">${valueOrDash(row.hoursBefore, (v) => this.formatNumber(v))}</td>
+                                    <td class="number-cell">${valueOrDash(row.hoursAfter, (v) => this.formatNumber(v))}</td>
+                                    <td class="number-cell">${this.formatChange(row.hoursChange, (v) => this.formatNumber(v), false)}</td>
+                                    <td class="number-cell">${valueOrDash(row.investmentBefore, percent)}</td>
+                                    <td class="number-cell">${valueOrDash(row.investmentAfter, percent)}</td>
+                                    <td class="number-cell">${this.formatChange(row.investmentChange, percent)}</td>
+                                    <td>${statusLabels[row.status]}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
             </div>
         `;
 
         this.modalManager.showModal('employeeListModal', content);
 
-        // Hack to set title since using generic modal
         const titleEl = document.getElementById('employeeListModalTitle');
-        if (titleEl) titleEl.textContent = `חריגות דיווח (${exceptions.length})`;
+        if (titleEl) titleEl.textContent = 'השוואת תמונות מצב';
+
+        const backBtn = document.getElementById('snapshotBackBtn');
+        if (backBtn) backBtn.addEventListener('click', () => window.app && window.app.showSnapshots());
+
+        const round = (value) => value === null || value === undefined ? '' : Math.round(value * 10) / 10;
+        const statusText = (status) => statusLabels[status] || '';
+        const title = `${baseName} - ${targetName}`;
+
+        const requirementsData = comparison.requirements.map(row => ({
+            'מספר דרישה': row.id,
+            'שם דרישה': row.name,
+            'ביצוע לפני': round(row.actualBefore),
+            'ביצוע אחרי': round(row.actualAfter),
+            'שינוי בביצוע': round(row.actualChange),
+            'ניצול לפני %': round(row.utilizationBefore),
+            'ניצול אחרי %': round(row.utilizationAfter),
+            'שינוי בניצול %': round(row.utilizationChange),
+            'סטטוס': statusText(row.status)
+        }));
 
-        // Setup export handlers
-        // Prepare columns for PDF export (Fix for missing names)
-        const pdfColumns = this._lastExceptionKeys ? this._lastExceptionKeys.map(key => ({
-            header: key,
-            dataKey: key
-        })) : [];
+        const employeesData = comparison.employees.map(row => ({
+            'שם עובד': row.name,
+            'מספר עובד': row.id,
+            'שעות לפני': round(row.hoursBefore),
+            'שעות אחרי': round(row.hoursAfter),
+            'שינוי בשעות': round(row.hoursChange),
+            'השקעה לפני %': round(row.investmentBefore),
+            'השקעה אחרי %': round(row.investmentAfter),
+            'שינוי בהשקעה %': round(row.investmentChange),
+            'סטטוס': statusText(row.status)
+        }));
+
+        const toColumns = (data) => data.length > 0 ? Object.keys(data[0]).map(key => ({ header: key, dataKey: key })) : [];
 
         this.modalManager.setupExportHandlers({
-            excelButtonId: 'exportExceptionsExcel',
-            pdfButtonId: 'exportExceptionsPDF',
-            htmlButtonId: 'exportExceptionsHTML',
-            tableId: 'exceptionsTable',
-            data: exceptions,
-            columns: pdfColumns, // FORCE generic PDF export
-            title: 'חריגות דיווח',
-            filename: 'exceptions-report',
+            excelButtonId: 'exportSnapshotReqExcel',
+            pdfButtonId: 'exportSnapshotReqPDF',
+            htmlButtonId: 'exportSnapshotReqHTML',
+            tableId: 'snapshotRequirementsTable',
+            data: requirementsData,
+            columns: toColumns(requirementsData),
+            title: `השוואת דרישות ${title}`,
+            filename: 'snapshot-requirements-comparison',
+            exporter: window.app && window.app.exporter
+        });
+
+        this.modalManager.setupExportHandlers({
+            excelButtonId: 'exportSnapshotEmpExcel',
+            pdfButtonId: 'exportSnapshotEmpPDF',
+            htmlButtonId: 'exportSnapshotEmpHTML',
+            tableId: 'snapshotEmployeesTable',
+            data: employeesData,
+            columns: toColumns(employeesData),
+            title: `השוואת עובדים ${title}`,
+            filename: 'snapshot-employees-comparison',
             exporter: window.app && window.app.exporter
         });
     }
@@ -553,7 +2954,7 @@ export class UIRenderer {
         }
 
         if (!data || data.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" class="empty-message">טען קובץ דרישות להצגת נתונים</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="7" class="empty-message">טען קובץ דרישות להצגת נתונים</td></tr>';
             // Still update counts even if no data to show
             this.updateRequirementsFilterCounts();
             return;
@@ -569,6 +2970,10 @@ export class UIRenderer {
                 row.utilization > 90 ? 'text-warning' :
                     'text-success';
             const remainingClass = remaining < 0 ? 'text-danger' : '';
+            const projectedClass = row.projectedOverrun ? 'text-danger' : '';
+            const projectedTitle = row.forecastMethod
+                ? `${FORECAST_METHOD_LABELS[row.forecastMethod]} · ${this.formatCurrency(row.monthlyBurn)} לחודש`
+                : 'אין מספיק היסטוריה לחיזוי';
 
             return `
                 <tr class="requirement-row" data-index="${dataIndex}" style="cursor: pointer;">
@@ -578,6 +2983,7 @@ export class UIRenderer {
                     <td class="number-cell">${this.formatCurrency(row.actual)}</td>
                     <td class="number-cell ${remainingClass}">${this.formatCurrency(remaining)}</td>
                     <td class="number-cell ${utilizationClass}">${this.formatNumber(row.utilization)}%</td>
+                    <td class="number-cell ${projectedClass}" title="${this.escapeHtml(projectedTitle)}">${row.projected === null || row.projected === undefined ? '-' : this.formatCurrency(row.projected)}</td>
                 </tr>
             `;
         }).join('');
@@ -642,6 +3048,7 @@ export class UIRenderer {
             this.setElementText('filterCountBacklog', 0);
             this.setElementText('filterCountDone', 0);
             this.setElementText('filterCountOverbudget', 0);
+            this.setElementText('filterCountProjectedOverrun', 0);
             return;
         }
 
@@ -653,6 +3060,7 @@ export class UIRenderer {
         this.setElementText('filterCountBacklog', counts.backlog || 0);
         this.setElementText('filterCountDone', counts.done || 0);
         this.setElementText('filterCountOverbudget', counts.overbudget || 0);
+        this.setElementText('filterCountProjectedOverrun', counts.projectedOverrun || 0);
     }
 
     /**
@@ -760,7 +3168,7 @@ export class UIRenderer {
 
         // Get all raw data fields
         const rawData = requirement.raw || {};
-        const allFields = Object.keys(rawData);
+        const allFields = Object.keys(rawData).filter(key => !key.startsWith('_'));
 
         const exportButtons = this.modalManager.createExportButtons('exportRequirementExcel', 'exportRequirementPDF', 'exportRequirementHTML');
 
@@ -784,6 +3192,12 @@ export class UIRenderer {
                             <span class="detail-value">${this.escapeHtml(requirement.requester)}</span>
                         </div>
                         ` : ''}
+                        ${requirement.sheet ? `
+                        <div class="detail-item">
+                            <span class="detail-label">גיליון מקור:</span>
+                            <span class="detail-value">${this.escapeHtml(requirement.sheet)}</span>
+                        </div>
+                        ` : ''}
                     </div>
                 </div>
 
@@ -806,7 +3220,18 @@ export class UIRenderer {
                             <span class="detail-label">ניצול תקציב:</span>
                             <span class="detail-value ${utilizationClass}">${this.formatNumber(requirement.utilization)}%</span>
                         </div>
+                        ${requirement.forecastMethod ? `
+                        <div class="detail-item">
+                            <span class="detail-label">צפי סוף שנה:</span>
+                            <span class="detail-value ${requirement.projectedOverrun ? 'text-danger' : ''}">${this.formatCurrency(requirement.projected)} (${this.formatNumber(requirement.projectedUtilization)}%)</span>
+                        </div>
+                        <div class="detail-item">
+                            <span class="detail-label">קצב הוצאה חודשי:</span>
+                            <span class="detail-value">${this.formatCurrency(requirement.monthlyBurn)} <small>(${FORECAST_METHOD_LABELS[requirement.forecastMethod]})</small></span>
+                        </div>
+                        ` : ''}
                     </div>
+                    <div class="chart-container chart-small"><canvas id="requirementBudgetChart"></canvas></div>
                 </div>
 
                 ${allFields.length > 0 ? `
@@ -858,7 +3283,8 @@ export class UIRenderer {
             'הוצאה בפועל': this.formatCurrency(requirement.actual),
             'יתרה': this.formatCurrency(remaining),
             'ניצול תקציב': `${this.formatNumber(requirement.utilization)}%`,
-            'סטטוס': requirement.status || ''
+            'סטטוס': requirement.status || '',
+            ...(requirement.sheet ? { 'גיליון מקור': requirement.sheet } : {})
         };
 
         // Standard setup for HTML export - needs an ID for the container to copy
@@ -939,6 +3365,22 @@ export class UIRenderer {
         }
 
         modal.style.display = 'flex';
+
+        // Budget vs actual (and hours-derived cost when linked)
+        const colors = CONFIG.CHART_COLORS;
+        const bars = [
+            { label: 'תקציב', value: requirement.budget, color: colors.BUDGET },
+            { label: 'ביצוע בפועל', value: requirement.actual, color: requirement.actual > requirement.budget ? colors.OVERRUN : colors.ACTUAL }
+        ];
+        if (requirement.actualCost > 0) {
+            bars.push({ label: 'עלות לפי שעות', value: requirement.actualCost, color: colors.HOURS_COST });
+        }
+        this.chartRenderer.renderBar('requirementBudgetChart', {
+            labels: bars.map(b => b.label),
+            datasets: [{ label: 'סכום', data: bars.map(b => b.value), colors: bars.map(b => b.color) }],
+            horizontal: true,
+            valueFormatter: (v) => this.formatCurrency(v)
+        });
     }
 
     /**
@@ -972,6 +3414,8 @@ export class UIRenderer {
             return;
         }
 
+        const monthlyTrend = window.app.dataProcessor.getEmployeeMonthlyTrend(employee.id || employee.name);
+
         // Use pre-calculated percentages
         const investmentPercent = employee.investmentPercent || 0;
         const expensePercent = employee.expensePercent || 0;
@@ -1003,13 +3447,13 @@ export class UIRenderer {
                         ${employee.firstDate ? `
                         <div class="detail-item">
                             <span class="detail-label">תאריך ראשון:</span>
-                            <span class="detail-value">${employee.firstDate}</span>
+                            <span class="detail-value">${this.formatDate(employee.firstDate)}</span>
                         </div>
                         ` : ''}
                         ${employee.lastDate ? `
                         <div class="detail-item">
                             <span class="detail-label">תאריך אחרון:</span>
-                            <span class="detail-value">${employee.lastDate}</span>
+                            <span class="detail-value">${this.formatDate(employee.lastDate)}</span>
                         </div>
                         ` : ''}
                         <div class="detail-item">
@@ -1049,7 +3493,16 @@ export class UIRenderer {
                             <span class="detail-value">${employee.requirementCount || 0}</span>
                         </div>
                     </div>
+                    <div class="chart-container chart-donut"><canvas id="employeeHoursChart"></canvas></div>
+                </div>
+
+                ${monthlyTrend.length > 0 ? `
+                <div class="detail-section">
+                    <h3>מגמה חודשית</h3>
+                    ${monthlyTrend.length > 1 ? '<div class="chart-container chart-small"><canvas id="employeeTrendChart"></canvas></div>' : ''}
+                    ${this.buildMonthlyTrendTable(monthlyTrend, 'employeeTrendTable')}
                 </div>
+                ` : ''}
 
                 ${employee.tasks && employee.tasks.length > 0 ? `
                 <div class="detail-section">
@@ -1088,8 +3541,8 @@ export class UIRenderer {
             'שעות היעדרות': this.formatNumber(employee.absenceHours),
             'מספר דרישות': employee.requirementCount || 0,
             'ימי עבודה': employee.dayCount || 0,
-            'תאריך ראשון': employee.firstDate || '',
-            'תאריך אחרון': employee.lastDate || ''
+            'תאריך ראשון': this.formatDate(employee.firstDate),
+            'תאריך אחרון': this.formatDate(employee.lastDate)
         };
 
         // Setup export handlers manually to use vertical details export for PDF
@@ -1139,6 +3592,22 @@ export class UIRenderer {
         }
 
         modal.style.display = 'flex';
+
+        // Charts are rendered once the modal is visible so they get a size
+        const colors = CONFIG.CHART_COLORS;
+        const otherHours = Math.max(0, employee.totalHours - employee.investmentHours - employee.expenseHours - employee.absenceHours);
+        this.chartRenderer.renderDonut('employeeHoursChart', {
+            labels: ['השקעה', 'הוצאה', 'היעדרות', 'אחר'],
+            values: [employee.investmentHours, employee.expenseHours, employee.absenceHours, otherHours],
+            colors: [colors.INVESTMENT, colors.EXPENSE, colors.ABSENCE, colors.OTHER],
+            valueFormatter: (v) => `${this.formatNumber(v)} ש'`
+        });
+
+        if (monthlyTrend.length > 1) {
+            this.renderMonthlyTrendChart('employeeTrendChart', monthlyTrend);
+        } else {
+            this.chartRenderer.destroy('employeeTrendChart');
+        }
     }
 
     /**
@@ -1292,6 +3761,19 @@ export class UIRenderer {
         }).format(num);
     }
 
+    /**
+     * Format signed change with arrow (LTR so the sign stays readable)
+     * @param {Number} change - Change value (null -> '-')
+     * @param {Function} formatter - Formats the absolute value
+     * @param {Boolean} colored - Green for increase, red for decrease
+     */
+    formatChange(change, formatter = (v) => this.formatNumber(v), colored = true) {
+        if (change === null || change === undefined || isNaN(change)) return '-';
+        const cls = !colored ? '' : change > 0 ? 'text-success' : change < 0 ? 'text-danger' : '';
+        const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '';
+        return `<span class="${cls}" style="direction: ltr; display: inline-block;">${arrow} ${formatter(Math.abs(change))}</span>`;
+    }
+
     /**
      * Format currency
      */
@@ -1348,6 +3830,8 @@ export class UIRenderer {
         const container = document.getElementById('tasksCardsContainer');
         if (!container) return;
 
+        this.renderTasksChart(tasks);
+
         if (!tasks || tasks.length === 0) {
             container.innerHTML = '<div class="empty-message" style="padding: 60px;"><div>אין משימות להצגה</div></div>';
             return;
@@ -1391,6 +3875,35 @@ export class UIRenderer {
         });
     }
 
+    /**
+     * Render hours per task bar chart (top tasks, colored by work type)
+     */
+    renderTasksChart(tasks) {
+        const wrapper = document.getElementById('tasksChartWrapper');
+        if (!wrapper) return;
+
+        if (!tasks || tasks.length === 0) {
+            this.chartRenderer.destroy('tasksHoursChart');
+            wrapper.classList.add('hidden');
+            return;
+        }
+
+        wrapper.classList.remove('hidden');
+
+        // Tasks arrive sorted by total hours
+        const topTasks = tasks.slice(0, CONFIG.MAX_CHART_TASKS);
+        this.chartRenderer.renderBar('tasksHoursChart', {
+            labels: topTasks.map(t => t.name),
+            datasets: [{
+                label: 'שעות',
+                data: topTasks.map(t => t.totalHours),
+                colors: topTasks.map(t => this.chartRenderer.getWorkTypeColor(t.type))
+            }],
+            horizontal: true,
+            valueFormatter: (v) => this.formatNumber(v)
+        });
+    }
+
     /**
      * Show task modal with employee details
      * @param {string|Object} taskOrName - Task name or task object
@@ -1474,11 +3987,34 @@ export class UIRenderer {
         };
     }
 
+    /**
+     * Format ISO date (YYYY-MM-DD) for display
+     */
+    formatDate(isoDate) {
+        if (!isoDate) return '';
+        const [year, month, day] = String(isoDate).split('-').map(Number);
+        if (!year || !month || !day) return String(isoDate);
+        return new Date(year, month - 1, day).toLocaleDateString('he-IL');
+    }
+
+    /**
+     * Format month key (YYYY-MM) for display
+     */
+    formatMonth(monthKey) {
+        if (!monthKey) return '';
+        const [year, month] = String(monthKey).split('-').map(Number);
+        if (!year || !month) return String(monthKey);
+        return new Date(year, month - 1, 1).toLocaleDateString('he-IL', { month: 'long', year: 'numeric' });
+    }
+
     /**
      * Format Excel date
      */
     formatSheetDate(dateValue) {
         if (!dateValue) return '';
+        if (typeof dateValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
+            return this.formatDate(dateValue);
+        }
         if (typeof dateValue === 'number' && dateValue > 100) {
             // Excel serial date
             const date = new Date((dateValue - 25569) * 86400 * 1000);
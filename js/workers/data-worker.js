@@ -0,0 +1,133 @@
+/**
+ * ============================================
+ * Data Worker
+ * ============================================
+ * Runs XLSX parsing and hours processing off the main thread.
+ * Classic worker: SheetJS is loaded with importScripts, the app modules
+ * with dynamic import, so both threads run the same code.
+ * Messages: { id, action, payload } -> { id, progress } | { id, result } | { id, error }
+ */
+
+importScripts('../../xlsx.full.min.js');
+
+const workbooks = new Map(); // workbookId -> SheetJS workbook (kept between analyze and read)
+let nextWorkbookId = 1;
+let sheetReader = null;
+let processor = null;        // Worker copy of DataProcessor (holds processed hours between requests)
+
+const modulesReady = Promise.all([
+    import('../modules/sheet-reader.js'),
+    import('../modules/data-processor.js'),
+    import('../modules/team-filter.js'),
+    import('../modules/date-filter.js'),
+    import('../modules/classification-rules.js'),
+    import('../modules/requirement-matcher.js')
+]).then(([{ SheetReader }, { DataProcessor }, { TeamFilter }, { DateFilter }, { ClassificationRules }, { RequirementMatcher }]) => {
+    sheetReader = new SheetReader();
+    processor = new DataProcessor();
+    processor.setTeamFilter(new TeamFilter());
+    processor.setDateFilter(new DateFilter());
+    processor.setClassificationRules(new ClassificationRules());
+    processor.setRequirementMatcher(new RequirementMatcher());
+});
+
+/**
+ * Apply the main-thread filter state (team selection, date range) to the worker copies
+ */
+function applyFilters(filters) {
+    if (filters.team) processor.teamFilter.setState(filters.team);
+    const range = filters.dateRange || {};
+    processor.dateFilter.applyRange('custom', range.from, range.to);
+}
+
+/**
+ * Views the main thread renders from
+ */
+function getViews() {
+    return {
+        employeeSummary: processor.employeeSummary,
+        allEmployeeSummary: processor.allEmployeeSummary,
+        taskMatrix: processor.getTaskMatrix(),
+        taskKPIs: processor.getTaskKPIs(),
+        tasks: processor.computeTasksGrouped(),
+        allTasks: processor.computeTasksGrouped(true)
+    };
+}
+
+const handlers = {
+    async analyzeWorkbook({ file, type }, progress) {
+        progress('קורא קובץ', 10);
+        const buffer = await file.arrayBuffer();
+
+        progress('מפענח גיליונות', 30);
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+
+        progress('מזהה כותרות', 60);
+        const workbookId = nextWorkbookId++;
+        workbooks.set(workbookId, workbook);
+        return { workbookId, analysis: sheetReader.analyzeWorkbook(workbook, type) };
+    },
+
+    readSheets({ workbookId, type, choice }, progress) {
+        const workbook = workbooks.get(workbookId);
+        workbooks.delete(workbookId);
+        if (!workbook) throw new Error('הקובץ אינו זמין עוד - יש לטעון אותו מחדש');
+
+        progress('קורא שורות', 80);
+        return sheetReader.readChosenSheets(workbook, type, choice);
+    },
+
+    releaseWorkbook({ workbookId }) {
+        workbooks.delete(workbookId);
+    },
+
+    processHours({ data, filters, rules, requirementPatterns }, progress) {
+        applyFilters(filters);
+        if (rules) processor.classificationRules.setRules(rules);
+        if (requirementPatterns) processor.requirementMatcher.setPatterns(requirementPatterns);
+
+        progress('מעבד שעות', 20);
+        processor.setHoursInput(data);
+        processor.processHours();
+
+        progress('מסכם משימות', 80);
+        return {
+            processedHours: processor.processedHours,
+            hoursSources: processor.hoursSources,
+            report: processor.getImportReport('hours'),
+            views: getViews()
+        };
+    },
+
+    loadProcessedHours({ processedHours, filters }) {
+        processor.processedHours = processedHours;
+        applyFilters(filters);
+        processor.buildEmployeeSummary();
+        return getViews();
+    },
+
+    applyFilters({ filters }) {
+        applyFilters(filters);
+        processor.buildEmployeeSummary();
+        return getViews();
+    }
+};
+
+modulesReady
+    .then(() => self.postMessage({ type: 'ready' }))
+    .catch(error => self.postMessage({ type: 'failed', error: error.message }));
+
+self.onmessage = async (e) => {
+    const { id, action, payload } = e.data;
+    const progress = (label, percent) => self.postMessage({ id, progress: { label, percent } });
+
+    try {
+        await modulesReady;
+        const handler = handlers[action];
+        if (!handler) throw new Error(`Unknown data worker action: ${action}`);
+        self.postMessage({ id, result: await handler(payload, progress) });
+    } catch (error) {
+        console.error(`Data worker ${action} failed:`, error);
+        self.postMessage({ id, error: error.message });
+    }
+};